@@ -1,14 +1,23 @@
 // full-pipeline-test.js
 // Complete end-to-end test of the fashion AI pipeline
 // Run with: node full-pipeline-test.js
+// Set API_KEY when the server has API keys configured
 
 import fetch from "node-fetch";
 import fs from "fs/promises";
 import FormData from "form-data";
 import path from "path";
+import { config } from "./utils/config.js";
 
-const API_URL = "http://localhost:3000";
-const COMFY_URL = "http://124.123.18.19:8188";
+const API_URL = config.server.publicUrl;
+const COMFY_URL = config.comfy.url;
+const API_KEY = process.env.API_KEY;
+
+// Backend request with the API key, when one is set
+function apiFetch(route, options = {}) {
+	const headers = { ...options.headers, ...(API_KEY ? { "X-API-Key": API_KEY } : {}) };
+	return fetch(`${API_URL}${route}`, { ...options, headers });
+}
 
 // Color codes for terminal output
 const colors = {
@@ -35,6 +44,36 @@ async function sleep(ms) {
 	return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
+// Generation routes return a job id; poll it until the job finishes
+async function waitForJob(queued, maxWaitTime = 600000) {
+	if (!queued.success || !queued.jobId) {
+		return queued;
+	}
+
+	const startTime = Date.now();
+	while (Date.now() - startTime < maxWaitTime) {
+		const response = await apiFetch(`/jobs/${queued.jobId}`);
+		const data = await response.json().catch(() => ({}));
+		if (!response.ok) {
+			// Pruned jobs 404; server errors end the wait rather than crash the run
+			return { success: false, error: data.error || `GET /jobs/${queued.jobId} returned ${response.status}` };
+		}
+
+		const { job } = data;
+		if (["completed", "failed", "cancelled"].includes(job.status)) {
+			return {
+				success: job.status === "completed",
+				generated: job.progress.completed,
+				results: job.results.filter((r) => r.success),
+				error: job.error,
+			};
+		}
+		await sleep(2000);
+	}
+
+	return { success: false, error: "Timeout waiting for job" };
+}
+
 async function testPipeline() {
 	section("🚀 FASHION AI PIPELINE - COMPLETE TEST");
 
@@ -51,7 +90,7 @@ async function testPipeline() {
 
 	try {
 		log("Checking Backend...", "cyan");
-		const backendResponse = await fetch(`${API_URL}/system-status`);
+		const backendResponse = await apiFetch("/system-status");
 		if (backendResponse.ok) {
 			log("✅ Backend is running", "green");
 			const data = await backendResponse.json();
@@ -69,6 +108,10 @@ async function testPipeline() {
 			console.log(`   No Background: ${data.storage.noBackground}`);
 			console.log(`   Generated: ${data.storage.generated}`);
 			console.log(`   Total: ${data.storage.total}`);
+		} else if (backendResponse.status === 401 || backendResponse.status === 403) {
+			log(`❌ Backend rejected the API key (${backendResponse.status}) - set API_KEY to a valid key`, "red");
+			testResults.services.backend = false;
+			return testResults;
 		} else {
 			log("❌ Backend is not responding", "red");
 			testResults.services.backend = false;
@@ -112,7 +155,7 @@ async function testPipeline() {
 		try {
 			const startTime = Date.now();
 
-			const response = await fetch(`${API_URL}/generate-image`, {
+			const response = await apiFetch("/generate-image", {
 				method: "POST",
 				headers: { "Content-Type": "application/json" },
 				body: JSON.stringify({
@@ -122,7 +165,7 @@ async function testPipeline() {
 				}),
 			});
 
-			const data = await response.json();
+			const data = await waitForJob(await response.json());
 
 			if (data.success && data.generated > 0) {
 				const duration = ((Date.now() - startTime) / 1000).toFixed(1);
@@ -164,7 +207,7 @@ async function testPipeline() {
 	section("3️⃣ VERIFYING GENERATED IMAGES");
 
 	try {
-		const response = await fetch(`${API_URL}/generated-images`);
+		const response = await apiFetch("/generated-images");
 		const data = await response.json();
 
 		if (data.success) {
@@ -191,7 +234,7 @@ async function testPipeline() {
 
 	try {
 		log("Checking ComfyUI queue...", "cyan");
-		const response = await fetch(`${API_URL}/comfy-queue`);
+		const response = await apiFetch("/comfy-queue");
 		const data = await response.json();
 
 		if (data.success) {
@@ -213,7 +256,7 @@ async function testPipeline() {
 	section("5️⃣ TESTING FASHION PROMPT TEMPLATES");
 
 	try {
-		const response = await fetch(`${API_URL}/fashion-prompts?productType=clothing`);
+		const response = await apiFetch("/fashion-prompts?productType=clothing");
 		const data = await response.json();
 
 		if (data.success) {
@@ -240,7 +283,7 @@ async function testPipeline() {
 	try {
 		const startTime = Date.now();
 
-		const response = await fetch(`${API_URL}/generate-image`, {
+		const response = await apiFetch("/generate-image", {
 			method: "POST",
 			headers: { "Content-Type": "application/json" },
 			body: JSON.stringify({
@@ -251,7 +294,7 @@ async function testPipeline() {
 			}),
 		});
 
-		const data = await response.json();
+		const data = await waitForJob(await response.json());
 		const duration = ((Date.now() - startTime) / 1000).toFixed(1);
 
 		if (data.success) {
@@ -2,38 +2,168 @@ import cors from "cors";
 import express from "express";
 import fs from "fs/promises";
 import multer from "multer";
-import fetch from "node-fetch";
 import path from "path";
 import {
 	checkComfyHealth,
-	createImg2ImgWorkflow,
-	createTextToImageWorkflow,
-	downloadComfyOutput,
+	getAvailableControlNets,
+	getAvailableLoras,
 	getAvailableModels,
+	getAvailableUpscaleModels,
 	getDefaultModel,
 	getFashionPrompts,
-	queuePrompt,
-	uploadImageToComfy,
-	waitForCompletion,
+	getSamplerOptions,
+	isNodeAvailable,
 } from "./utils/comfyProcessor.js";
-import { generateImageHash, getImageInfo, isImageCorrupted, processImage, saveMetadata } from "./utils/imageProcessor.js";
+import { config, getRedactedConfig } from "./utils/config.js";
+import { authenticate, isAuthEnabled, listKeys, requirePermission } from "./utils/auth.js";
+import { checkProviders, providerChain, removeBackground } from "./utils/backgroundRemoval.js";
+import { addShadows, compositeOnBackground } from "./utils/compositor.js";
+import { registerGenerationJobs } from "./utils/generationJobs.js";
+import { checkGenerationSettings, modelDefaults, requestSettings, resolveGenerationSettings } from "./utils/generationSettings.js";
+import { getCircuitStates, serviceFetch } from "./utils/httpClient.js";
+import { generateImageHash, generatePerceptualHash, getImageInfo, isImageCorrupted, processImage } from "./utils/imageProcessor.js";
+import { cancelJob, createJob, getJob, listJobs, startJobWorker } from "./utils/jobQueue.js";
+import { marketplacePreset, renderMarketplaceImage } from "./utils/marketplaceExport.js";
+import { printCanvas, renderPrint } from "./utils/printExport.js";
+import { getProgressEvents, progressChannel, publishProgress, streamProgress } from "./utils/progressEvents.js";
+import { checkGenerationQuota, getUsage, rateLimit } from "./utils/quota.js";
+import { deleteScene, getScene, listScenes, saveScene, scenePrompt, sceneSettings } from "./utils/scenePresets.js";
+import * as schemas from "./utils/schemas.js";
+import { upscaleImage } from "./utils/upscaler.js";
+import { MAX_VIDEO_PIXELS, renderVideo } from "./utils/videoRenderer.js";
+import { resolveStoragePath, validate, validateFields, ValidationError } from "./utils/validation.js";
+import { applyWatermark, watermarkLayers, watermarkProfile } from "./utils/watermark.js";
+import { describeTemplate, getTemplate, listTemplates, parameterSchema } from "./utils/workflowTemplates.js";
+import { DEFAULT_WORKSPACE, findProductCutout, findWorkspaceImage, getWorkspace } from "./utils/workspace.js";
 
 const app = express();
 
 // Middleware
-app.use(cors());
+app.use(cors({ origin: config.cors.origins.includes("*") ? "*" : config.cors.origins }));
 app.use(express.json());
 
-// Create required directories
+// Every route needs an API key (when keys are configured) and runs inside the key's workspace
+app.use(authenticate);
+app.use(async (req, res, next) => {
+	req.workspace = await getWorkspace(req.auth.workspace);
+	next();
+});
+
+// 429 for a generation request that would exceed the caller's quotas
+const rejectOverQuota = (req, res, count, batchSize = 1) => {
+	const exceeded = checkGenerationQuota(req.auth, count, batchSize);
+	if (!exceeded) return false;
+
+	console.log(`🚫 [QUOTA] ${req.auth.name}: ${exceeded.error}`);
+	if (exceeded.retryAfter) res.set("Retry-After", String(exceeded.retryAfter));
+	res.status(429).json({ success: false, ...exceeded });
+	return true;
+};
+
+// The scene named in req.body.scene: null when none was asked for, false after a 404
+const findScene = async (req, res) => {
+	if (!req.body.scene) return null;
+	const scene = await getScene(req.body.scene);
+	if (!scene) {
+		res.status(404).json({ success: false, error: `Scene not found: ${req.body.scene}` });
+		return false;
+	}
+	return scene;
+};
+
+// Effective generation settings (model defaults < scene < request), or false after a 400
+// for a model, LoRA, sampler or scheduler ComfyUI does not have
+const resolveRequestSettings = async (req, res, scene, options) => {
+	const settings = await resolveGenerationSettings([sceneSettings(scene), requestSettings(req.body)], options);
+	const errors = await checkGenerationSettings(settings);
+	if (errors.length > 0) {
+		res.status(400).json(new ValidationError(errors).toJSON());
+		return false;
+	}
+	return settings;
+};
+
+// ControlNet guidance for a generation job ({ type, filename, sourcePath, model, strength, ... }),
+// null without `control`, or false after a 400 / 404
+const resolveControl = async (req, res) => {
+	const control = req.body.control;
+	if (!control) return null;
+
+	const sourcePath =
+		(control.type === "canny" && (await findProductCutout(req.workspace, control.filename))) ||
+		(await findWorkspaceImage(req.workspace.paths, control.filename));
+	if (!sourcePath) {
+		res.status(404).json({ success: false, error: `Control image not found: ${control.filename}` });
+		return false;
+	}
+
+	const model = control.model || config.generation.controlnets?.[control.type];
+	const available = await getAvailableControlNets().catch(() => null); // Unknown - the prompt fails with a clear error instead
+	if (!model || (available && !available.includes(model))) {
+		const message = model
+			? `"${model}" is not installed in ComfyUI (see /comfy-controlnets)`
+			: `is required - no default for "${control.type}" in generation.controlnets`;
+		res.status(400).json(new ValidationError([{ field: "body.control.model", message }]).toJSON());
+		return false;
+	}
+
+	return {
+		type: control.type,
+		filename: control.filename,
+		sourcePath,
+		model,
+		strength: control.strength,
+		lowThreshold: control.low_threshold,
+		highThreshold: control.high_threshold,
+	};
+};
+
+// The watermark profile a request names in `watermark`, null without one, or false after a 404
+const resolveWatermark = (req, res) => {
+	const name = req.body.watermark;
+	if (!name) return null;
+
+	const profile = watermarkProfile(name);
+	if (!profile) {
+		res.status(404).json({
+			success: false,
+			error: `Watermark profile not found: ${name}`,
+			availableProfiles: Object.keys(config.watermarks.profiles),
+		});
+		return false;
+	}
+	return profile;
+};
+
+// config.watermarks.autoApply when a non-admin key makes something from a generated image,
+// so an upscale, export or composite of it is stamped like a download would be; null otherwise
+const autoWatermark = (req, sourcePath) => {
+	const { autoApply } = config.watermarks;
+	if (!autoApply || req.auth.role === "admin") return null;
+	const fromGenerated = path.dirname(path.resolve(sourcePath)) === path.resolve(req.workspace.paths.generated);
+	return fromGenerated ? watermarkProfile(autoApply) : null;
+};
+
+// Send a file from one of the workspace's output directories, or 404. The name goes
+// through resolveStoragePath, so nothing outside `dir` can be served.
+const sendStoredFile = async (res, dir, filename, label) => {
+	const filePath = resolveStoragePath(dir, filename);
+	try {
+		await fs.access(filePath);
+	} catch (error) {
+		return res.status(404).json({ success: false, error: `${label} not found: ${filename}` });
+	}
+	res.set("Cache-Control", "private, no-cache");
+	res.sendFile(path.resolve(filePath));
+};
+
+// Auth headers for external services that have credentials configured
+const n8nHeaders = () => (config.n8n.token ? { Authorization: `Bearer ${config.n8n.token}` } : {});
+const rembgHeaders = () => (config.rembg.apiKey ? { "X-API-Key": config.rembg.apiKey } : {});
+
+// Create required directories (workspace directories are created by getWorkspace)
 const createDirectories = async () => {
-	const dirs = [
-		"./uploads",
-		"./processed/originals",
-		"./processed/resized",
-		"./processed/metadata",
-		"./processed/no-background",
-		"./processed/generated",
-	];
+	const dirs = ["./processed/jobs"];
 
 	for (const dir of dirs) {
 		try {
@@ -42,14 +172,19 @@ const createDirectories = async () => {
 			// Directory already exists
 		}
 	}
+	await getWorkspace(DEFAULT_WORKSPACE);
 	console.log("✅ All directories initialized");
 };
-createDirectories();
+await createDirectories();
+
+// Background generation jobs
+registerGenerationJobs();
+await startJobWorker();
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
 	destination: (req, file, cb) => {
-		cb(null, "./uploads");
+		cb(null, req.workspace.paths.uploads);
 	},
 	filename: (req, file, cb) => {
 		const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
@@ -76,10 +211,11 @@ const upload = multer({
 // HEALTH CHECK ENDPOINTS
 // ========================================
 
-app.get("/check-n8n", async (req, res) => {
+app.get("/check-n8n", requirePermission("read"), async (req, res) => {
 	try {
-		const response = await fetch("http://124.123.18.19:5678/webhook/from-backend", {
-			method: "GET",
+		const response = await serviceFetch("n8n", config.n8n.healthWebhook, {
+			headers: n8nHeaders(),
+			retries: 0,
 		});
 		res.json({
 			n8nStatus: response.status === 200 ? "Connected" : "Not responding",
@@ -93,12 +229,12 @@ app.get("/check-n8n", async (req, res) => {
 	}
 });
 
-app.get("/check-comfy", async (req, res) => {
+app.get("/check-comfy", requirePermission("read"), async (req, res) => {
 	try {
 		const isHealthy = await checkComfyHealth();
 		res.json({
 			comfyStatus: isHealthy ? "Connected" : "Not responding",
-			url: "http://124.123.18.19:8188",
+			url: config.comfy.url,
 		});
 	} catch (err) {
 		res.json({
@@ -108,12 +244,13 @@ app.get("/check-comfy", async (req, res) => {
 	}
 });
 
-app.get("/system-status", async (req, res) => {
+app.get("/system-status", requirePermission("read"), async (req, res) => {
+	const { paths } = req.workspace;
 	try {
 		// Check all services
 		const [comfyHealthy, rembgHealthy] = await Promise.all([
 			checkComfyHealth().catch(() => false),
-			fetch("https://bhdv4f7q-5000.inc1.devtunnels.ms/health")
+			serviceFetch("rembg", "/health", { headers: rembgHeaders(), retries: 0 })
 				.then((r) => r.ok)
 				.catch(() => false),
 		]);
@@ -122,7 +259,7 @@ app.get("/system-status", async (req, res) => {
 		let queueInfo = null;
 		if (comfyHealthy) {
 			try {
-				const queueRes = await fetch("http://124.123.18.19:8188/queue");
+				const queueRes = await serviceFetch("comfy", "/queue");
 				const queueData = await queueRes.json();
 				queueInfo = {
 					running: (queueData.queue_running || []).length,
@@ -136,48 +273,55 @@ app.get("/system-status", async (req, res) => {
 		// Get directory stats
 		const stats = await Promise.all([
 			fs
-				.readdir("./uploads")
+				.readdir(paths.uploads)
 				.then((f) => f.length)
 				.catch(() => 0),
 			fs
-				.readdir("./processed/originals")
+				.readdir(paths.originals)
 				.then((f) => f.length)
 				.catch(() => 0),
 			fs
-				.readdir("./processed/resized")
+				.readdir(paths.resized)
 				.then((f) => f.length)
 				.catch(() => 0),
 			fs
-				.readdir("./processed/no-background")
+				.readdir(paths.noBackground)
 				.then((f) => f.length)
 				.catch(() => 0),
 			fs
-				.readdir("./processed/generated")
+				.readdir(paths.generated)
 				.then((f) => f.length)
 				.catch(() => 0),
 		]);
 
+		const circuits = getCircuitStates();
+
 		res.json({
 			success: true,
 			timestamp: new Date().toISOString(),
 			services: {
 				backend: {
 					status: "running",
-					url: "http://localhost:3000",
+					url: config.server.publicUrl,
+					auth: isAuthEnabled() ? "api-key" : "disabled",
+					workspace: req.workspace.name,
 				},
 				comfyui: {
 					status: comfyHealthy ? "connected" : "disconnected",
-					url: "http://124.123.18.19:8188",
+					url: config.comfy.url,
 					queue: queueInfo,
+					circuit: circuits.comfy,
 				},
 				rembg: {
 					status: rembgHealthy ? "connected" : "disconnected",
-					url: "https://bhdv4f7q-5000.inc1.devtunnels.ms",
+					url: config.rembg.url,
+					circuit: circuits.rembg,
 				},
 				n8n: {
 					status: "unknown",
-					url: "http://124.123.18.19:5678",
+					url: config.n8n.url,
 					note: "Use /check-n8n to verify",
+					circuit: circuits.n8n,
 				},
 			},
 			storage: {
@@ -197,11 +341,20 @@ app.get("/system-status", async (req, res) => {
 	}
 });
 
+app.get("/config", requirePermission("admin"), (req, res) => {
+	res.json({
+		success: true,
+		source: config.source || "defaults + environment",
+		config: getRedactedConfig(),
+	});
+});
+
 // ========================================
 // UPLOAD ENDPOINTS
 // ========================================
 
-app.post("/upload-images", upload.array("images", 10), async (req, res) => {
+app.post("/upload-images", requirePermission("write"), rateLimit("upload"), upload.array("images", 10), async (req, res) => {
+	const { catalog } = req.workspace;
 	try {
 		if (!req.files || req.files.length === 0) {
 			return res.status(400).json({
@@ -212,8 +365,23 @@ app.post("/upload-images", upload.array("images", 10), async (req, res) => {
 
 		console.log(`📤 Received ${req.files.length} files for upload`);
 
+		const uploadId = Date.now().toString();
+		catalog.createBatch(uploadId, {
+			fileCount: req.files.length,
+			details: { userAgent: req.get("user-agent"), ip: req.ip },
+		});
+		for (const file of req.files) {
+			catalog.recordAsset({
+				filename: file.filename,
+				originalName: file.originalname,
+				uploadId,
+				mimetype: file.mimetype,
+				size: file.size,
+			});
+		}
+
 		const uploadData = {
-			uploadId: Date.now().toString(),
+			uploadId,
 			totalFiles: req.files.length,
 			files: req.files.map((file) => ({
 				originalName: file.originalname,
@@ -232,11 +400,12 @@ app.post("/upload-images", upload.array("images", 10), async (req, res) => {
 
 		// Try to notify n8n
 		try {
-			const n8nResponse = await fetch("http://124.123.18.19:5678/webhook/process-upload", {
+			const n8nResponse = await serviceFetch("n8n", config.n8n.uploadWebhook, {
 				method: "POST",
 				headers: {
 					"Content-Type": "application/json",
 					Accept: "application/json",
+					...n8nHeaders(),
 				},
 				body: JSON.stringify(uploadData),
 			});
@@ -281,31 +450,33 @@ app.post("/upload-images", upload.array("images", 10), async (req, res) => {
 	}
 });
 
-app.get("/uploads", async (req, res) => {
+app.get("/uploads", requirePermission("read"), validate(schemas.listUploadsSchema), async (req, res) => {
+	const { catalog } = req.workspace;
 	try {
-		const files = await fs.readdir("./uploads");
-		const fileDetails = [];
-
-		for (const file of files) {
-			try {
-				const stats = await fs.stat(path.join("./uploads", file));
-				fileDetails.push({
-					filename: file,
-					size: stats.size,
-					sizeFormatted: `${(stats.size / 1024 / 1024).toFixed(2)} MB`,
-					uploadTime: stats.mtime,
-					isImage: /\.(jpg|jpeg|png|gif|webp|bmp|tiff)$/i.test(file),
-				});
-			} catch (err) {
-				console.log(`Error reading file ${file}:`, err.message);
-			}
-		}
+		const { uploadId, status, limit, offset } = req.query;
+		const { total, assets } = catalog.listAssets({
+			uploadId,
+			status,
+			source: "upload",
+			limit,
+			offset,
+		});
 
-		fileDetails.sort((a, b) => new Date(b.uploadTime) - new Date(a.uploadTime));
+		const fileDetails = assets.map((asset) => ({
+			assetId: asset.id,
+			filename: asset.filename,
+			originalName: asset.originalName,
+			uploadId: asset.uploadId,
+			status: asset.status,
+			size: asset.size,
+			sizeFormatted: `${((asset.size || 0) / 1024 / 1024).toFixed(2)} MB`,
+			uploadTime: asset.createdAt,
+			isImage: /\.(jpg|jpeg|png|gif|webp|bmp|tiff)$/i.test(asset.filename),
+		}));
 
 		res.json({
 			success: true,
-			totalFiles: fileDetails.length,
+			totalFiles: total,
 			files: fileDetails,
 		});
 	} catch (error) {
@@ -320,57 +491,102 @@ app.get("/uploads", async (req, res) => {
 // IMAGE PROCESSING ENDPOINTS
 // ========================================
 
-app.post("/process-images", async (req, res) => {
+app.post("/process-images", requirePermission("write"), validate(schemas.processImagesSchema), async (req, res) => {
+	const { catalog, paths } = req.workspace;
 	console.log("\n🚀 ========== STARTING IMAGE PROCESSING ==========");
+	let channel = null;
+	let outcome = { status: "failed" };
 	try {
 		const { uploadId, filenames } = req.body;
+		const progressId = req.body.progressId || uploadId || `process-${Date.now()}`;
+		channel = progressChannel(req.workspace.name, progressId);
 
-		// Get files to process
+		// Explicit filenames win; otherwise the batch's files, otherwise everything not yet processed
 		let filesToProcess;
 		if (filenames && Array.isArray(filenames)) {
 			filesToProcess = filenames;
+		} else if (uploadId) {
+			if (!catalog.getBatch(uploadId)) {
+				return res.status(404).json({
+					success: false,
+					error: `Batch not found: ${uploadId}`,
+				});
+			}
+			filesToProcess = catalog.listAssets({ uploadId, limit: -1 }).assets.map((a) => a.filename);
 		} else {
-			filesToProcess = await fs.readdir("./uploads");
+			filesToProcess = catalog.listAssets({ status: "uploaded", source: "upload", limit: -1 }).assets.map((a) => a.filename);
 		}
 
 		const results = [];
-		const hashes = new Set();
 		const duplicates = [];
+		const total = filesToProcess.length;
+		const progress = (filename, index, stage, extra = {}) =>
+			publishProgress(channel, { type: "item", stage, filename, index: index + 1, total, ...extra });
+		const fail = (filename, index, error, extra = {}) => {
+			results.push({ filename, success: false, error, ...extra });
+			progress(filename, index, "failed", { error });
+
+			const asset = catalog.getAssetByFilename(filename);
+			if (asset) {
+				catalog.recordRun({ assetId: asset.id, operation: "process", status: "failed", error });
+				catalog.updateAsset(asset.id, { status: "failed" });
+			}
+		};
+
+		publishProgress(channel, { type: "batch", stage: "started", operation: "process-images", total });
 
 		for (let i = 0; i < filesToProcess.length; i++) {
 			const filename = filesToProcess[i];
 			console.log(`\n📸 [${i + 1}/${filesToProcess.length}] Processing: ${filename}`);
+			progress(filename, i, "started");
 
 			try {
-				const inputPath = path.join("./uploads", filename);
-				const originalPath = path.join("./processed/originals", filename);
+				const inputPath = resolveStoragePath(paths.uploads, filename);
+				const originalPath = resolveStoragePath(paths.originals, filename);
 				const processedFilename = filename.replace(/\.(jpg|jpeg|png|webp|gif)$/i, "_processed.jpg");
-				const processedPath = path.join("./processed/resized", processedFilename);
-				const metadataPath = path.join("./processed/metadata", filename.replace(/\.(jpg|jpeg|png|webp|gif)$/i, "_meta.json"));
+				const processedPath = resolveStoragePath(paths.resized, processedFilename);
 
 				// Check if file exists
+				let inputStats;
 				try {
-					await fs.access(inputPath);
+					inputStats = await fs.stat(inputPath);
 				} catch (error) {
-					results.push({ filename, success: false, error: "Input file not found" });
+					fail(filename, i, "Input file not found");
 					continue;
 				}
 
+				// Files copied into ./uploads by hand have no catalog entry yet
+				const asset = catalog.getAssetByFilename(filename) || catalog.recordAsset({ filename, uploadId, size: inputStats.size });
+				catalog.updateAsset(asset.id, { status: "processing" });
+
 				// Check if corrupted
 				const corrupted = await isImageCorrupted(inputPath);
 				if (corrupted) {
-					results.push({ filename, success: false, error: "Image file is corrupted" });
+					fail(filename, i, "Image file is corrupted");
 					continue;
 				}
 
-				// Generate hash
+				// Generate hashes and look for near-duplicates across every earlier upload
 				const hash = await generateImageHash(inputPath);
-				if (hashes.has(hash)) {
-					duplicates.push(filename);
-					results.push({ filename, success: false, error: "Duplicate image detected", hash });
-					continue;
+				const perceptualHash = await generatePerceptualHash(inputPath);
+				const [match] = catalog.findSimilarAssets(perceptualHash, { threshold: config.duplicates.threshold, excludeId: asset.id });
+				catalog.updateAsset(asset.id, { hash, perceptualHash, duplicateOf: match ? match.asset.id : null });
+
+				if (match) {
+					const duplicate = {
+						duplicateOf: { assetId: match.asset.id, filename: match.asset.filename, uploadId: match.asset.uploadId },
+						distance: match.distance,
+					};
+					duplicates.push({ filename, ...duplicate });
+					console.log(`👯 Near-duplicate of ${match.asset.filename} (distance ${match.distance})`);
+
+					if (config.duplicates.action === "reject") {
+						fail(filename, i, `Duplicate of ${match.asset.filename}`, { hash, perceptualHash, ...duplicate });
+						continue;
+					}
+					progress(filename, i, "duplicate", duplicate);
 				}
-				hashes.add(hash);
+				progress(filename, i, "validated", { hash, perceptualHash });
 
 				// Copy original
 				await fs.copyFile(inputPath, originalPath);
@@ -378,40 +594,61 @@ app.post("/process-images", async (req, res) => {
 				// Process image
 				const processResult = await processImage(inputPath, processedPath);
 				if (!processResult.success) {
-					results.push({ filename, success: false, error: processResult.error });
+					fail(filename, i, processResult.error);
 					continue;
 				}
 
-				// Save metadata
-				const metadata = {
-					originalFile: filename,
-					processedFile: processedFilename,
-					uploadId: uploadId || "unknown",
-					originalSize: processResult.original,
-					processedSize: processResult.processed,
+				// Record in catalog
+				catalog.updateAsset(asset.id, {
+					uploadId: asset.uploadId || uploadId,
+					width: processResult.original.width,
+					height: processResult.original.height,
+					format: processResult.original.format,
 					hash,
-					processedAt: new Date().toISOString(),
-					processingTime: processResult.processingTime,
-				};
-
-				await saveMetadata(metadataPath, metadata);
+					status: "processed",
+				});
+				catalog.recordDerivative(asset.id, {
+					kind: "original",
+					filename,
+					path: originalPath,
+					size: processResult.original.fileSize,
+					width: processResult.original.width,
+					height: processResult.original.height,
+					format: processResult.original.format,
+				});
+				catalog.recordDerivative(asset.id, {
+					kind: "resized",
+					filename: processedFilename,
+					path: processedPath,
+					size: processResult.processed.fileSize,
+					width: processResult.processed.width,
+					height: processResult.processed.height,
+					format: processResult.processed.format,
+				});
+				catalog.recordRun({ assetId: asset.id, operation: "process", status: "success", durationMs: processResult.processingTime });
 
 				results.push({
 					filename,
 					success: true,
+					assetId: asset.id,
 					...processResult,
 					hash,
+					perceptualHash,
+					duplicateOf: match ? match.asset.filename : null,
 					paths: {
 						original: originalPath,
 						processed: processedPath,
-						metadata: metadataPath,
 					},
 				});
 
+				progress(filename, i, "resized", {
+					processedFile: processedFilename,
+					processed: processResult.processed,
+				});
 				console.log(`✅ [${i + 1}/${filesToProcess.length}] Successfully processed`);
 			} catch (error) {
 				console.error(`❌ Error processing ${filename}:`, error.message);
-				results.push({ filename, success: false, error: error.message });
+				fail(filename, i, error.message);
 			}
 		}
 
@@ -419,10 +656,12 @@ app.post("/process-images", async (req, res) => {
 		const failed = results.filter((r) => !r.success).length;
 
 		console.log(`\n✅ Processing complete: ${successful} successful, ${failed} failed\n`);
+		outcome = { status: "completed", total, processed: successful, failed };
 
 		res.json({
 			success: true,
 			uploadId: uploadId || "batch",
+			progressId,
 			totalFiles: filesToProcess.length,
 			processed: successful,
 			failed,
@@ -432,14 +671,18 @@ app.post("/process-images", async (req, res) => {
 		});
 	} catch (error) {
 		console.error("\n❌ Processing error:", error.message);
+		outcome.error = error.message;
 		res.status(500).json({
 			success: false,
 			error: error.message,
 		});
+	} finally {
+		// Always close the channel, so subscribers are released and it expires
+		publishProgress(channel, { type: "done", ...outcome });
 	}
 });
 
-app.post("/validate-image", upload.single("image"), async (req, res) => {
+app.post("/validate-image", requirePermission("write"), rateLimit("upload"), upload.single("image"), async (req, res) => {
 	try {
 		if (!req.file) {
 			return res.status(400).json({
@@ -478,17 +721,30 @@ app.post("/validate-image", upload.single("image"), async (req, res) => {
 // BACKGROUND REMOVAL ENDPOINTS
 // ========================================
 
-app.post("/remove-background", async (req, res) => {
+app.post("/remove-background", requirePermission("write"), rateLimit("removeBackground"), validate(schemas.removeBackgroundSchema), async (req, res) => {
+	const { catalog, paths } = req.workspace;
 	console.log("\n🎨 ========== STARTING BACKGROUND REMOVAL ==========");
+	let channel = null;
+	let outcome = { status: "failed" };
 	try {
-		const { filenames } = req.body;
+		const { uploadId, filenames, provider, fallback, tolerance } = req.body;
+		const progressId = req.body.progressId || uploadId || `remove-bg-${Date.now()}`;
+		channel = progressChannel(req.workspace.name, progressId);
 
+		// Explicit filenames win; otherwise the batch's resized files, otherwise every processed file still without one
 		let filesToProcess;
 		if (filenames && Array.isArray(filenames)) {
 			filesToProcess = filenames;
+		} else if (uploadId) {
+			if (!catalog.getBatch(uploadId)) {
+				return res.status(404).json({
+					success: false,
+					error: `Batch not found: ${uploadId}`,
+				});
+			}
+			filesToProcess = catalog.listDerivatives({ kind: "resized", uploadId, limit: -1 }).map((d) => d.filename);
 		} else {
-			const resizedFiles = await fs.readdir("./processed/resized");
-			filesToProcess = resizedFiles.filter((f) => f.endsWith(".jpg") || f.endsWith(".jpeg") || f.endsWith(".png"));
+			filesToProcess = catalog.listDerivatives({ kind: "resized", assetStatus: "processed", limit: -1 }).map((d) => d.filename);
 		}
 
 		if (filesToProcess.length === 0) {
@@ -498,81 +754,94 @@ app.post("/remove-background", async (req, res) => {
 			});
 		}
 
+		// One availability check for the whole batch; per-file calls rely on retries, the circuit breaker and fallbacks
+		const availability = await checkProviders(providerChain(provider, { fallback }));
+		const chain = Object.keys(availability).filter((name) => availability[name]);
+		if (chain.length === 0) {
+			return res.status(503).json({
+				success: false,
+				error: "No background removal provider is available",
+				providers: availability,
+				circuits: getCircuitStates(),
+			});
+		}
+		console.log(`🧩 Providers: ${chain.join(" -> ")}`);
+
 		const results = [];
-		const FormData = (await import("form-data")).default;
+		const total = filesToProcess.length;
+		const progress = (filename, index, stage, extra = {}) =>
+			publishProgress(channel, { type: "item", stage, filename, index: index + 1, total, ...extra });
+		const fail = (filename, index, error) => {
+			results.push({ filename, success: false, error });
+			progress(filename, index, "failed", { error });
+
+			const asset = catalog.getAssetByDerivative("resized", filename);
+			if (asset) {
+				catalog.recordRun({ assetId: asset.id, operation: "remove-background", status: "failed", error });
+			}
+		};
+
+		publishProgress(channel, { type: "batch", stage: "started", operation: "remove-background", total });
 
 		for (let i = 0; i < filesToProcess.length; i++) {
 			const filename = filesToProcess[i];
 			console.log(`\n🎨 [${i + 1}/${filesToProcess.length}] Removing background: ${filename}`);
+			progress(filename, i, "started");
 
 			try {
-				const inputPath = path.join("./processed/resized", filename);
+				const inputPath = resolveStoragePath(paths.resized, filename);
 				const outputFilename = filename.replace(/\.(jpg|jpeg)$/i, "_no_bg.png");
-				const outputPath = path.join("./processed/no-background", outputFilename);
+				const outputPath = resolveStoragePath(paths.noBackground, outputFilename);
 
 				// Check input file
 				await fs.access(inputPath);
 
-				// Check rembg service
-				const healthCheck = await fetch("https://bhdv4f7q-5000.inc1.devtunnels.ms/health");
-				if (!healthCheck.ok) {
-					results.push({ filename, success: false, error: "rembg service not available" });
-					continue;
-				}
-
-				// Prepare and send
-				const formData = new FormData();
-				const fileStream = await fs.readFile(inputPath);
-				formData.append("image", fileStream, {
-					filename: filename,
-					contentType: "image/jpeg",
-				});
-
 				const startTime = Date.now();
-				const response = await fetch("https://bhdv4f7q-5000.inc1.devtunnels.ms/remove-background", {
-					method: "POST",
-					body: formData,
-					headers: formData.getHeaders(),
-				});
-
-				if (!response.ok) {
-					results.push({ filename, success: false, error: `Service error: ${response.status}` });
-					continue;
-				}
-
-				const buffer = await response.arrayBuffer();
-				await fs.writeFile(outputPath, Buffer.from(buffer));
+				const removal = await removeBackground(inputPath, chain, { local: tolerance !== undefined ? { tolerance } : {} });
+				await fs.writeFile(outputPath, removal.buffer);
 
 				const processingTime = Date.now() - startTime;
 				const outputStats = await fs.stat(outputPath);
 
-				// Update metadata
-				const metaFilename = filename.replace(/\.(jpg|jpeg)$/i, "_meta.json");
-				const metaPath = path.join("./processed/metadata", metaFilename);
-				try {
-					const metaContent = await fs.readFile(metaPath, "utf-8");
-					const metadata = JSON.parse(metaContent);
-					metadata.noBackgroundFile = outputFilename;
-					metadata.backgroundRemovalTime = processingTime;
-					metadata.backgroundRemovedAt = new Date().toISOString();
-					await fs.writeFile(metaPath, JSON.stringify(metadata, null, 2));
-				} catch (metaError) {
-					// Metadata update not critical
+				// Record in catalog
+				const asset = catalog.getAssetByDerivative("resized", filename);
+				const outputInfo = await getImageInfo(outputPath).catch(() => null);
+				catalog.recordDerivative(asset ? asset.id : null, {
+					kind: "no-background",
+					filename: outputFilename,
+					path: outputPath,
+					size: outputStats.size,
+					width: outputInfo?.width,
+					height: outputInfo?.height,
+					format: "png",
+					details: { provider: removal.provider },
+				});
+				if (asset) {
+					catalog.updateAsset(asset.id, { status: "background-removed" });
+					catalog.recordRun({
+						assetId: asset.id,
+						operation: "remove-background",
+						status: "success",
+						durationMs: processingTime,
+						details: { provider: removal.provider, attempts: removal.attempts },
+					});
 				}
 
 				results.push({
 					filename,
 					success: true,
+					provider: removal.provider,
 					outputFilename,
 					outputPath,
 					processingTime,
 					outputSize: outputStats.size,
 				});
 
+				progress(filename, i, "bg-removed", { outputFilename, processingTime, provider: removal.provider });
 				console.log(`✅ [${i + 1}/${filesToProcess.length}] Completed`);
 			} catch (error) {
 				console.error(`❌ Failed: ${filename}`, error.message);
-				results.push({ filename, success: false, error: error.message });
+				fail(filename, i, error.message);
 			}
 		}
 
@@ -580,9 +849,11 @@ app.post("/remove-background", async (req, res) => {
 		const failed = results.filter((r) => !r.success).length;
 
 		console.log(`\n✅ Background removal complete: ${successful} successful, ${failed} failed\n`);
+		outcome = { status: "completed", total, processed: successful, failed };
 
 		res.json({
 			success: true,
+			progressId,
 			totalFiles: filesToProcess.length,
 			processed: successful,
 			failed,
@@ -590,54 +861,25 @@ app.post("/remove-background", async (req, res) => {
 		});
 	} catch (error) {
 		console.error("\n❌ Background removal error:", error.message);
+		outcome.error = error.message;
 		res.status(500).json({
 			success: false,
 			error: error.message,
 		});
+	} finally {
+		// Always close the channel, so subscribers are released and it expires
+		publishProgress(channel, { type: "done", ...outcome });
 	}
 });
 
-app.get("/no-background-images", async (req, res) => {
+// Which background removal providers are reachable right now
+app.get("/remove-background/providers", requirePermission("read"), async (req, res) => {
 	try {
-		const files = await fs.readdir("./processed/no-background");
-		const imageFiles = files.filter((f) => f.endsWith(".png"));
-
-		const images = [];
-
-		for (const file of imageFiles) {
-			try {
-				const filePath = path.join("./processed/no-background", file);
-				const stats = await fs.stat(filePath);
-
-				const originalFilename = file.replace("_no_bg.png", "_meta.json");
-				const metaPath = path.join("./processed/metadata", originalFilename);
-
-				let metadata = null;
-				try {
-					const metaContent = await fs.readFile(metaPath, "utf-8");
-					metadata = JSON.parse(metaContent);
-				} catch (metaError) {
-					// Metadata not found
-				}
-
-				images.push({
-					filename: file,
-					size: stats.size,
-					sizeFormatted: `${(stats.size / 1024).toFixed(1)} KB`,
-					createdAt: stats.mtime,
-					metadata,
-				});
-			} catch (err) {
-				console.log(`Error reading file ${file}:`, err.message);
-			}
-		}
-
-		images.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-
 		res.json({
 			success: true,
-			totalImages: images.length,
-			images,
+			default: config.backgroundRemoval.provider,
+			fallbacks: config.backgroundRemoval.fallbacks,
+			providers: await checkProviders(),
 		});
 	} catch (error) {
 		res.status(500).json({
@@ -647,45 +889,31 @@ app.get("/no-background-images", async (req, res) => {
 	}
 });
 
-// ========================================
-// COMFYUI ENDPOINTS
-// ========================================
-
-app.get("/comfy-models", async (req, res) => {
+app.get("/no-background-images", requirePermission("read"), validate(schemas.listDerivativesSchema), async (req, res) => {
+	const { catalog } = req.workspace;
 	try {
-		const models = await getAvailableModels();
-		const defaultModel = await getDefaultModel();
-		res.json({
-			success: true,
-			models,
-			default: defaultModel,
-			recommended: defaultModel,
+		const { uploadId, limit, offset } = req.query;
+		const derivatives = catalog.listDerivatives({
+			kind: "no-background",
+			uploadId,
+			limit,
+			offset,
 		});
-	} catch (error) {
-		res.status(500).json({
-			success: false,
-			error: error.message,
-		});
-	}
-});
-
-app.get("/comfy-queue", async (req, res) => {
-	try {
-		const response = await fetch("http://124.123.18.19:8188/queue");
-		const data = await response.json();
 
-		const queueRunning = data.queue_running || [];
-		const queuePending = data.queue_pending || [];
+		const images = derivatives.map((d) => ({
+			filename: d.filename,
+			size: d.size,
+			sizeFormatted: `${((d.size || 0) / 1024).toFixed(1)} KB`,
+			createdAt: d.createdAt,
+			width: d.width,
+			height: d.height,
+			asset: d.asset,
+		}));
 
 		res.json({
 			success: true,
-			running: queueRunning.length,
-			pending: queuePending.length,
-			totalInQueue: queueRunning.length + queuePending.length,
-			details: {
-				running: queueRunning,
-				pending: queuePending,
-			},
+			totalImages: images.length,
+			images,
 		});
 	} catch (error) {
 		res.status(500).json({
@@ -695,17 +923,96 @@ app.get("/comfy-queue", async (req, res) => {
 	}
 });
 
-app.get("/comfy-stats", async (req, res) => {
+// ========================================
+// COMPOSITING
+// ========================================
+
+app.post("/composite", requirePermission("write"), validate(schemas.compositeSchema), async (req, res) => {
+	const { catalog, paths } = req.workspace;
+	console.log("\n🖼️  ========== COMPOSITING PRODUCTS ==========");
 	try {
-		const response = await fetch("http://124.123.18.19:8188/system_stats");
-		const data = await response.json();
+		const { filenames, width, height, fill, scale, padding, position, offset_x, offset_y, shadows = [], format, quality } = req.body;
+
+		const background = { type: req.body.background };
+		if (background.type === "color") {
+			background.color = req.body.color;
+		} else if (background.type === "gradient") {
+			background.colors = req.body.gradient;
+			background.angle = req.body.gradient_angle;
+		} else {
+			if (!req.body.background_image) {
+				return res.status(400).json(new ValidationError([{ field: "body.background_image", message: 'is required when background is "image"' }]).toJSON());
+			}
+			background.imagePath = await findWorkspaceImage(paths, req.body.background_image);
+			if (!background.imagePath) {
+				return res.status(404).json({
+					success: false,
+					error: `Background image not found: ${req.body.background_image}`,
+				});
+			}
+		}
+
+		const requested = resolveWatermark(req, res);
+		if (requested === false) return;
+		// A generated background brings the automatic watermark in place of the requested one
+		const watermark = (background.imagePath && autoWatermark(req, background.imagePath)) || requested;
+		const overlays = watermark ? await watermarkLayers(watermark, width, height) : [];
+
+		const options = { width, height, background, fill, scale, padding, position, offsetX: offset_x, offsetY: offset_y, shadows, format, quality, overlays };
+		const { imagePath, ...backgroundDetails } = background;
+		const details = { background: { ...backgroundDetails, image: req.body.background_image }, fill, scale, padding, position, shadows, watermark: watermark?.name };
+		const stamp = Date.now();
+		const results = [];
+
+		for (const [i, filename] of filenames.entries()) {
+			console.log(`\n🖼️  [${i + 1}/${filenames.length}] Compositing: ${filename}`);
+			try {
+				const cutoutPath = await findProductCutout(req.workspace, filename);
+				if (!cutoutPath) {
+					throw new Error("No background-removed cutout found. Run /remove-background on it first.");
+				}
+
+				const startTime = Date.now();
+				const { buffer, placement } = await compositeOnBackground(cutoutPath, options);
+
+				const baseName = path.parse(cutoutPath).name.replace(/_no_bg$/, "");
+				const outputFilename = `${baseName}_composite_${stamp}.${format === "jpeg" ? "jpg" : format}`;
+				const outputPath = resolveStoragePath(paths.composites, outputFilename);
+				await fs.writeFile(outputPath, buffer);
+
+				const asset = catalog.getAssetForFile(filename);
+				catalog.recordDerivative(asset ? asset.id : null, {
+					kind: "composite",
+					filename: outputFilename,
+					path: outputPath,
+					size: buffer.length,
+					width,
+					height,
+					format,
+					details: { ...details, placement, cutout: path.basename(cutoutPath) },
+				});
+				if (asset) {
+					catalog.recordRun({ assetId: asset.id, operation: "composite", status: "success", durationMs: Date.now() - startTime });
+				}
+
+				results.push({ filename, success: true, outputFilename, outputPath, outputSize: buffer.length, placement });
+				console.log(`✅ Saved to: ${outputPath}`);
+			} catch (error) {
+				console.error(`❌ Failed: ${filename}`, error.message);
+				results.push({ filename, success: false, error: error.message });
+			}
+		}
 
+		const successful = results.filter((r) => r.success).length;
 		res.json({
-			success: true,
-			system: data.system,
-			devices: data.devices,
+			success: successful > 0,
+			totalFiles: filenames.length,
+			processed: successful,
+			failed: filenames.length - successful,
+			results,
 		});
 	} catch (error) {
+		console.error("\n❌ Compositing error:", error.message);
 		res.status(500).json({
 			success: false,
 			error: error.message,
@@ -713,19 +1020,63 @@ app.get("/comfy-stats", async (req, res) => {
 	}
 });
 
-app.post("/comfy-clear-queue", async (req, res) => {
+app.post("/shadows", requirePermission("write"), validate(schemas.shadowsSchema), async (req, res) => {
+	const { catalog, paths } = req.workspace;
+	console.log("\n🌘 ========== ADDING SHADOWS ==========");
 	try {
-		await fetch("http://124.123.18.19:8188/queue", {
-			method: "POST",
-			headers: { "Content-Type": "application/json" },
-			body: JSON.stringify({ clear: true }),
-		});
+		const { filenames, shadows } = req.body;
+		const stamp = Date.now();
+		const results = [];
 
+		for (const [i, filename] of filenames.entries()) {
+			console.log(`\n🌘 [${i + 1}/${filenames.length}] Shadows for: ${filename}`);
+			try {
+				const cutoutPath = await findProductCutout(req.workspace, filename);
+				if (!cutoutPath) {
+					throw new Error("No background-removed cutout found. Run /remove-background on it first.");
+				}
+
+				const startTime = Date.now();
+				const { buffer, width, height } = await addShadows(cutoutPath, shadows);
+
+				const baseName = path.parse(cutoutPath).name.replace(/_no_bg$/, "");
+				const outputFilename = `${baseName}_shadow_${stamp}.png`;
+				const outputPath = resolveStoragePath(paths.composites, outputFilename);
+				await fs.writeFile(outputPath, buffer);
+
+				const asset = catalog.getAssetForFile(filename);
+				catalog.recordDerivative(asset ? asset.id : null, {
+					kind: "shadow",
+					filename: outputFilename,
+					path: outputPath,
+					size: buffer.length,
+					width,
+					height,
+					format: "png",
+					details: { shadows, cutout: path.basename(cutoutPath) },
+				});
+				if (asset) {
+					catalog.recordRun({ assetId: asset.id, operation: "shadow", status: "success", durationMs: Date.now() - startTime });
+				}
+
+				results.push({ filename, success: true, outputFilename, outputPath, outputSize: buffer.length, width, height });
+				console.log(`✅ Saved to: ${outputPath}`);
+			} catch (error) {
+				console.error(`❌ Failed: ${filename}`, error.message);
+				results.push({ filename, success: false, error: error.message });
+			}
+		}
+
+		const successful = results.filter((r) => r.success).length;
 		res.json({
-			success: true,
-			message: "Queue cleared successfully",
+			success: successful > 0,
+			totalFiles: filenames.length,
+			processed: successful,
+			failed: filenames.length - successful,
+			results,
 		});
 	} catch (error) {
+		console.error("\n❌ Shadow error:", error.message);
 		res.status(500).json({
 			success: false,
 			error: error.message,
@@ -733,23 +1084,32 @@ app.post("/comfy-clear-queue", async (req, res) => {
 	}
 });
 
-app.get("/comfy-history", async (req, res) => {
+app.get("/composite-images", requirePermission("read"), validate(schemas.listDerivativesSchema), async (req, res) => {
+	const { catalog } = req.workspace;
 	try {
-		const { limit = 10 } = req.query;
-		const response = await fetch("http://124.123.18.19:8188/history");
-		const data = await response.json();
+		const { uploadId, limit, offset } = req.query;
+		const derivatives = catalog.listDerivatives({
+			kind: "composite",
+			uploadId,
+			limit,
+			offset,
+		});
 
-		const historyArray = Object.entries(data)
-			.map(([id, info]) => ({
-				id,
-				...info,
-			}))
-			.slice(0, parseInt(limit));
+		const images = derivatives.map((d) => ({
+			filename: d.filename,
+			size: d.size,
+			sizeFormatted: `${((d.size || 0) / 1024).toFixed(1)} KB`,
+			createdAt: d.createdAt,
+			width: d.width,
+			height: d.height,
+			details: d.details,
+			asset: d.asset,
+		}));
 
 		res.json({
 			success: true,
-			count: historyArray.length,
-			history: historyArray,
+			totalImages: images.length,
+			images,
 		});
 	} catch (error) {
 		res.status(500).json({
@@ -759,98 +1119,99 @@ app.get("/comfy-history", async (req, res) => {
 	}
 });
 
-app.post("/generate-image", async (req, res) => {
-	console.log("\n🎨 ========== STARTING TEXT-TO-IMAGE GENERATION ==========");
+app.post("/upscale", requirePermission("write"), rateLimit("upscale"), validate(schemas.upscaleSchema), async (req, res) => {
+	const { catalog, paths } = req.workspace;
+	console.log("\n🔍 ========== UPSCALING IMAGES ==========");
 	try {
-		const { prompt, negative_prompt = "blurry, low quality, distorted", seed = -1, count = 1 } = req.body;
-
-		if (!prompt) {
-			return res.status(400).json({
-				success: false,
-				error: "Prompt is required",
-			});
-		}
-
-		console.log(`📝 Prompt: ${prompt}`);
-		console.log(`🔢 Count: ${count}`);
+		const { filenames, scale, model } = req.body;
+		let { method } = req.body;
 
-		const isHealthy = await checkComfyHealth();
-		if (!isHealthy) {
-			return res.status(503).json({
-				success: false,
-				error: "ComfyUI is not running. Please start it at http://124.123.18.19:8188",
-			});
+		// Check ComfyUI once per request instead of timing out on every file
+		if (method !== "sharp" && !(await checkComfyHealth())) {
+			if (method === "comfy") {
+				return res.status(503).json({
+					success: false,
+					error: "ComfyUI is not running",
+				});
+			}
+			method = "sharp";
 		}
+		console.log(`🔢 Scale: x${scale}, method: ${method}`);
 
+		const stamp = Date.now();
 		const results = [];
 
-		for (let i = 0; i < count; i++) {
-			console.log(`\n🎨 [${i + 1}/${count}] Generating image...`);
-
-			const currentSeed = seed === -1 ? Math.floor(Math.random() * 1000000) : seed + i;
-			const workflow = await createTextToImageWorkflow(prompt, negative_prompt, currentSeed);
-
-			const queueResult = await queuePrompt(workflow);
-			console.log(`✅ Queued with prompt_id: ${queueResult.prompt_id}`);
+		for (const [i, filename] of filenames.entries()) {
+			console.log(`\n🔍 [${i + 1}/${filenames.length}] Upscaling: ${filename}`);
+			try {
+				const sourcePath = await findWorkspaceImage(paths, filename);
+				if (!sourcePath) {
+					throw new Error("Image not found in any processed directory");
+				}
 
-			console.log("⏳ Waiting for generation...");
-			const completion = await waitForCompletion(queueResult.prompt_id);
+				const startTime = Date.now();
+				const upscaled = await upscaleImage(sourcePath, { scale, method, model });
+				const watermark = autoWatermark(req, sourcePath);
+				if (watermark) {
+					({ buffer: upscaled.buffer } = await applyWatermark(upscaled.buffer, watermark));
+				}
 
-			if (!completion.success) {
-				console.error(`❌ Generation ${i + 1} failed:`, completion.error);
-				results.push({
-					index: i + 1,
-					success: false,
-					error: completion.error,
+				const { name, ext } = path.parse(sourcePath);
+				const outputFilename = `${name}_upscaled_x${scale}_${stamp}${ext}`;
+				const outputPath = resolveStoragePath(paths.upscaled, outputFilename);
+				await fs.writeFile(outputPath, upscaled.buffer);
+
+				const asset = catalog.getAssetForFile(filename);
+				catalog.recordDerivative(asset ? asset.id : null, {
+					kind: "upscaled",
+					filename: outputFilename,
+					path: outputPath,
+					size: upscaled.buffer.length,
+					width: upscaled.width,
+					height: upscaled.height,
+					format: ext.slice(1),
+					details: {
+						source: filename,
+						scale,
+						method: upscaled.method,
+						model: upscaled.model,
+						attempts: upscaled.attempts,
+						watermark: watermark?.name,
+					},
 				});
-				continue;
-			}
+				if (asset) {
+					catalog.recordRun({ assetId: asset.id, operation: "upscale", status: "success", durationMs: Date.now() - startTime });
+				}
 
-			const outputs = completion.status.outputs;
-			const outputNode = outputs["9"];
-			if (!outputNode || !outputNode.images || outputNode.images.length === 0) {
-				console.error("❌ No output image found");
 				results.push({
-					index: i + 1,
-					success: false,
-					error: "No output image generated",
+					filename,
+					success: true,
+					outputFilename,
+					outputPath,
+					url: `/upscaled-images/${encodeURIComponent(outputFilename)}`,
+					outputSize: upscaled.buffer.length,
+					width: upscaled.width,
+					height: upscaled.height,
+					method: upscaled.method,
+					model: upscaled.model,
 				});
-				continue;
+				console.log(`✅ Saved to: ${outputPath} (${upscaled.width}x${upscaled.height}, ${upscaled.method})`);
+			} catch (error) {
+				console.error(`❌ Failed: ${filename}`, error.message);
+				results.push({ filename, success: false, error: error.message });
 			}
-
-			const outputFilename = outputNode.images[0].filename;
-			console.log(`📥 Downloading: ${outputFilename}`);
-
-			const localPath = await downloadComfyOutput(outputFilename, "./processed/generated");
-			console.log(`✅ Saved to: ${localPath}`);
-
-			const stats = await fs.stat(localPath);
-
-			results.push({
-				index: i + 1,
-				success: true,
-				filename: path.basename(localPath),
-				path: localPath,
-				size: stats.size,
-				seed: currentSeed,
-				prompt,
-			});
 		}
 
 		const successful = results.filter((r) => r.success).length;
-		const failed = results.filter((r) => !r.success).length;
-
-		console.log(`\n✅ Generation complete: ${successful} successful, ${failed} failed\n`);
-
 		res.json({
-			success: true,
-			totalRequested: count,
-			generated: successful,
-			failed,
+			success: successful > 0,
+			totalFiles: filenames.length,
+			processed: successful,
+			failed: filenames.length - successful,
 			results,
 		});
 	} catch (error) {
-		console.error("\n❌ Generation error:", error.message);
+		console.error("\n❌ Upscale error:", error.message);
 		res.status(500).json({
 			success: false,
 			error: error.message,
@@ -858,148 +1219,1304 @@ app.post("/generate-image", async (req, res) => {
 	}
 });
 
-app.post("/generate-variations", async (req, res) => {
-	console.log("\n🎨 ========== STARTING PRODUCT VARIATION GENERATION ==========");
+app.get("/upscaled-images", requirePermission("read"), validate(schemas.listDerivativesSchema), async (req, res) => {
+	const { catalog } = req.workspace;
 	try {
-		const {
-			filename,
-			prompt,
-			negative_prompt = "blurry, low quality, distorted, ugly",
-			strength = 0.75,
-			count = 3,
-			style = "studio",
-		} = req.body;
-
-		if (!filename) {
-			return res.status(400).json({
-				success: false,
-				error: "Filename is required",
+		const { uploadId, limit, offset } = req.query;
+		const derivatives = catalog.listDerivatives({
+			kind: "upscaled",
+			uploadId,
+			limit,
+			offset,
+		});
+
+		const images = derivatives.map((d) => ({
+			filename: d.filename,
+			size: d.size,
+			sizeFormatted: `${((d.size || 0) / 1024).toFixed(1)} KB`,
+			createdAt: d.createdAt,
+			width: d.width,
+			height: d.height,
+			url: `/upscaled-images/${encodeURIComponent(d.filename)}`,
+			details: d.details,
+			asset: d.asset,
+		}));
+
+		res.json({
+			success: true,
+			totalImages: images.length,
+			images,
+		});
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+});
+
+app.get("/upscaled-images/:filename", requirePermission("read"), validate(schemas.storedFileSchema), (req, res) =>
+	sendStoredFile(res, req.workspace.paths.upscaled, req.params.filename, "Upscaled image")
+);
+
+// ========================================
+// COMFYUI ENDPOINTS
+// ========================================
+
+app.get("/comfy-models", requirePermission("read"), async (req, res) => {
+	try {
+		const models = await getAvailableModels();
+		const defaultModel = await getDefaultModel();
+		const samplerOptions = await getSamplerOptions();
+		res.json({
+			success: true,
+			models,
+			default: defaultModel,
+			recommended: defaultModel,
+			settings: Object.fromEntries(models.map((model) => [model, modelDefaults(model)])),
+			samplers: samplerOptions?.samplers || null,
+			schedulers: samplerOptions?.schedulers || null,
+		});
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+});
+
+app.get("/comfy-loras", requirePermission("read"), async (req, res) => {
+	try {
+		const loras = await getAvailableLoras();
+		res.json({
+			success: true,
+			count: loras.length,
+			loras,
+		});
+	} catch (error) {
+		res.status(503).json({
+			success: false,
+			error: `Could not list LoRAs: ${error.message}`,
+		});
+	}
+});
+
+app.get("/comfy-upscale-models", requirePermission("read"), async (req, res) => {
+	try {
+		const models = await getAvailableUpscaleModels();
+		res.json({
+			success: true,
+			count: models.length,
+			models,
+			default: config.upscale.model,
+		});
+	} catch (error) {
+		res.status(503).json({
+			success: false,
+			error: `Could not list upscale models: ${error.message}`,
+		});
+	}
+});
+
+app.get("/comfy-controlnets", requirePermission("read"), async (req, res) => {
+	try {
+		const controlnets = await getAvailableControlNets();
+		res.json({
+			success: true,
+			count: controlnets.length,
+			controlnets,
+			defaults: config.generation.controlnets,
+		});
+	} catch (error) {
+		res.status(503).json({
+			success: false,
+			error: `Could not list ControlNet models: ${error.message}`,
+		});
+	}
+});
+
+app.get("/comfy-queue", requirePermission("read"), async (req, res) => {
+	try {
+		const response = await serviceFetch("comfy", "/queue");
+		const data = await response.json();
+
+		const queueRunning = data.queue_running || [];
+		const queuePending = data.queue_pending || [];
+
+		res.json({
+			success: true,
+			running: queueRunning.length,
+			pending: queuePending.length,
+			totalInQueue: queueRunning.length + queuePending.length,
+			// Queue entries carry every workspace's prompts - admins only
+			details: req.auth.role === "admin" ? { running: queueRunning, pending: queuePending } : undefined,
+		});
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+});
+
+app.get("/comfy-stats", requirePermission("read"), async (req, res) => {
+	try {
+		const response = await serviceFetch("comfy", "/system_stats");
+		const data = await response.json();
+
+		res.json({
+			success: true,
+			system: data.system,
+			devices: data.devices,
+		});
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+});
+
+app.post("/comfy-clear-queue", requirePermission("admin"), async (req, res) => {
+	try {
+		await serviceFetch("comfy", "/queue", {
+			method: "POST",
+			idempotent: true,
+			headers: { "Content-Type": "application/json" },
+			body: JSON.stringify({ clear: true }),
+		});
+
+		res.json({
+			success: true,
+			message: "Queue cleared successfully",
+		});
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+});
+
+app.get("/comfy-history", requirePermission("admin"), validate(schemas.comfyHistorySchema), async (req, res) => {
+	try {
+		const { limit } = req.query;
+		const response = await serviceFetch("comfy", "/history");
+		const data = await response.json();
+
+		const historyArray = Object.entries(data)
+			.map(([id, info]) => ({
+				id,
+				...info,
+			}))
+			.slice(0, limit);
+
+		res.json({
+			success: true,
+			count: historyArray.length,
+			history: historyArray,
+		});
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+});
+
+app.post("/generate-image", requirePermission("generate"), rateLimit("generate"), validate(schemas.generateImageSchema), async (req, res) => {
+	console.log("\n🎨 ========== QUEUING TEXT-TO-IMAGE GENERATION ==========");
+	try {
+		const { prompt, negative_prompt, seed, count, upscale } = req.body;
+
+		const scene = await findScene(req, res);
+		if (scene === false) return;
+		if (!prompt && !scene) {
+			return res.status(400).json(new ValidationError([{ field: "body.prompt", message: "is required unless a scene is given" }]).toJSON());
+		}
+
+		const finalPrompt = scene ? scenePrompt(scene, prompt) : prompt;
+		const finalNegativePrompt = negative_prompt ?? scene?.negative_prompt ?? "blurry, low quality, distorted";
+
+		console.log(`📝 Prompt: ${finalPrompt}`);
+		if (scene) console.log(`🎬 Scene: ${scene.name}`);
+		console.log(`🔢 Count: ${count}`);
+
+		const isHealthy = await checkComfyHealth();
+		if (!isHealthy) {
+			return res.status(503).json({
+				success: false,
+				error: `ComfyUI is not running. Please start it at ${config.comfy.url}`,
+			});
+		}
+
+		const settings = await resolveRequestSettings(req, res, scene);
+		if (!settings) return;
+		console.log(`⚙️  Settings: ${JSON.stringify(settings)}`);
+
+		const control = await resolveControl(req, res);
+		if (control === false) return;
+		if (control) console.log(`🧭 ControlNet: ${control.type} from ${control.filename} (${control.model}, strength ${control.strength})`);
+
+		if (rejectOverQuota(req, res, count, settings.batchSize)) return;
+
+		const job = await createJob(
+			"text-to-image",
+			{ prompt: finalPrompt, negative_prompt: finalNegativePrompt, seed, count, scene: scene?.name, settings, control, upscale },
+			{ total: count, workspace: req.workspace.name, owner: req.auth.id }
+		);
+
+		res.status(202).json({
+			success: true,
+			jobId: job.id,
+			status: job.status,
+			totalRequested: count,
+			prompt: finalPrompt,
+			scene: scene?.name || null,
+			settings,
+			control: control ? { type: control.type, filename: control.filename, model: control.model, strength: control.strength } : null,
+			upscale: upscale || null,
+			statusUrl: `/jobs/${job.id}`,
+			progressUrl: `/progress/${job.id}`,
+		});
+	} catch (error) {
+		console.error("\n❌ Generation error:", error.message);
+		res.status(500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+});
+
+app.post("/generate-variations", requirePermission("generate"), rateLimit("generate"), validate(schemas.generateVariationsSchema), async (req, res) => {
+	const { catalog, paths } = req.workspace;
+	console.log("\n🎨 ========== QUEUING PRODUCT VARIATION GENERATION ==========");
+	try {
+		const { filename, prompt, negative_prompt, strength, count, style, mode, grow_mask, upscale } = req.body;
+
+		const scene = await findScene(req, res);
+		if (scene === false) return;
+
+		console.log(`📸 Source image: ${filename}`);
+		console.log(`🧭 Mode: ${mode}`);
+		console.log(scene ? `🎬 Scene: ${scene.name}` : `🎨 Style: ${style}`);
+		console.log(`🔢 Count: ${count}`);
+
+		const isHealthy = await checkComfyHealth();
+		if (!isHealthy) {
+			return res.status(503).json({
+				success: false,
+				error: "ComfyUI is not running",
+			});
+		}
+
+		const settings = await resolveRequestSettings(req, res, scene, { keepSourceSize: true });
+		if (!settings) return;
+		console.log(`⚙️  Settings: ${JSON.stringify(settings)}`);
+
+		if (rejectOverQuota(req, res, count, settings.batchSize)) return;
+
+		// Find source image - inpainting needs its transparent-background cutout as the mask
+		const sourcePath = mode === "inpaint" ? await findProductCutout(req.workspace, filename) : await findWorkspaceImage(paths, filename);
+		if (!sourcePath) {
+			return res.status(404).json({
+				success: false,
+				error:
+					mode === "inpaint"
+						? "No background-removed cutout found for this image. Run /remove-background on it first."
+						: "Source image not found in any processed directory",
+			});
+		}
+		console.log(`✅ Found source at: ${sourcePath}`);
+
+		// Scene prompt, or generate one from the style if not provided
+		let finalPrompt = scene ? scenePrompt(scene, prompt) : prompt;
+		if (!finalPrompt) {
+			const fashionPrompts = getFashionPrompts("clothing");
+			finalPrompt = fashionPrompts[style] || fashionPrompts.studio;
+			console.log(`🤖 Auto-generated prompt: ${finalPrompt}`);
+		}
+
+		const sourceAsset = catalog.getAssetForFile(filename);
+
+		const params = {
+			filename,
+			assetId: sourceAsset?.id || null,
+			prompt: finalPrompt,
+			negative_prompt: negative_prompt ?? scene?.negative_prompt ?? "blurry, low quality, distorted, ugly",
+			count,
+			scene: scene?.name,
+			settings,
+			upscale,
+		};
+		const job = await createJob(
+			mode === "inpaint" ? "inpaint-variations" : "img2img-variations",
+			mode === "inpaint" ? { ...params, cutoutPath: sourcePath, growMask: grow_mask } : { ...params, sourcePath, strength },
+			{ total: count, workspace: req.workspace.name, owner: req.auth.id }
+		);
+
+		res.status(202).json({
+			success: true,
+			jobId: job.id,
+			status: job.status,
+			sourceImage: filename,
+			mode,
+			totalRequested: count,
+			prompt: finalPrompt,
+			strength: mode === "inpaint" ? null : strength,
+			scene: scene?.name || null,
+			settings,
+			upscale: upscale || null,
+			statusUrl: `/jobs/${job.id}`,
+			progressUrl: `/progress/${job.id}`,
+		});
+	} catch (error) {
+		console.error("\n❌ Variation error:", error.message);
+		res.status(500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+});
+
+// ========================================
+// SCENE PRESETS
+// ========================================
+
+app.get("/scenes", requirePermission("read"), async (req, res) => {
+	try {
+		const scenes = await listScenes();
+		res.json({
+			success: true,
+			count: scenes.length,
+			scenes,
+		});
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+});
+
+app.get("/scenes/:name", requirePermission("read"), validate(schemas.sceneSchema), async (req, res) => {
+	try {
+		const scene = await getScene(req.params.name);
+		if (!scene) {
+			return res.status(404).json({
+				success: false,
+				error: "Scene not found",
+			});
+		}
+		res.json({ success: true, scene });
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			error: `Invalid scene file: ${error.message}`,
+		});
+	}
+});
+
+// Scenes are shared by every workspace, so changing them is admin-only
+app.post("/scenes", requirePermission("admin"), validate(schemas.createSceneSchema), async (req, res) => {
+	try {
+		const { name, ...fields } = req.body;
+		const existing = await getScene(name).catch(() => true); // An invalid file still counts as taken
+		if (existing) {
+			return res.status(409).json({
+				success: false,
+				error: `Scene already exists: ${name}`,
+			});
+		}
+
+		const scene = await saveScene(name, fields);
+		res.status(201).json({ success: true, scene });
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+});
+
+app.put("/scenes/:name", requirePermission("admin"), validate(schemas.updateSceneSchema), async (req, res) => {
+	try {
+		const scene = await saveScene(req.params.name, req.body);
+		res.json({ success: true, scene });
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+});
+
+app.delete("/scenes/:name", requirePermission("admin"), validate(schemas.sceneSchema), async (req, res) => {
+	try {
+		const deleted = await deleteScene(req.params.name);
+		if (!deleted) {
+			return res.status(404).json({
+				success: false,
+				error: "Scene not found",
+			});
+		}
+		res.json({ success: true, deleted: req.params.name });
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+});
+
+// ========================================
+// WORKFLOW TEMPLATES
+// ========================================
+
+app.get("/workflows", requirePermission("read"), async (req, res) => {
+	try {
+		const templates = await listTemplates();
+		res.json({
+			success: true,
+			count: templates.length,
+			workflows: templates.map(describeTemplate),
+		});
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+});
+
+app.get("/workflows/:name", requirePermission("read"), validate(schemas.workflowSchema), async (req, res) => {
+	try {
+		const template = await getTemplate(req.params.name);
+		if (!template) {
+			return res.status(404).json({
+				success: false,
+				error: "Workflow template not found",
 			});
 		}
+		res.json({ success: true, workflow: describeTemplate(template) });
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			error: `Invalid workflow template: ${error.message}`,
+		});
+	}
+});
+
+app.post("/workflows/:name/run", requirePermission("generate"), rateLimit("generate"), validate(schemas.runWorkflowSchema), async (req, res) => {
+	const { catalog, paths } = req.workspace;
+	console.log(`\n🧩 ========== QUEUING WORKFLOW: ${req.params.name} ==========`);
+	try {
+		const { count, upscale } = req.body;
+
+		const template = await getTemplate(req.params.name);
+		if (!template) {
+			return res.status(404).json({
+				success: false,
+				error: "Workflow template not found",
+			});
+		}
+
+		const { values, errors } = validateFields(req.body.params, parameterSchema(template), "body.params");
+		if (errors.length > 0) {
+			return res.status(400).json(new ValidationError(errors).toJSON());
+		}
+
+		if (rejectOverQuota(req, res, count)) return;
+
+		// Image parameters name files in the caller's workspace
+		const images = {};
+		let assetId = null;
+		for (const [name, parameter] of Object.entries(template.parameters)) {
+			if (parameter.type !== "image" || !values[name]) continue;
+			images[name] = await findWorkspaceImage(paths, values[name]);
+			if (!images[name]) {
+				return res.status(404).json({
+					success: false,
+					error: `Image not found for parameter "${name}": ${values[name]}`,
+				});
+			}
+			assetId = assetId || catalog.getAssetForFile(values[name])?.id || null;
+		}
+
+		const isHealthy = await checkComfyHealth();
+		if (!isHealthy) {
+			return res.status(503).json({
+				success: false,
+				error: "ComfyUI is not running",
+			});
+		}
+
+		const job = await createJob(
+			"workflow",
+			{ workflow: template.name, values, images, assetId, count, upscale },
+			{ total: count, workspace: req.workspace.name, owner: req.auth.id }
+		);
+
+		res.status(202).json({
+			success: true,
+			jobId: job.id,
+			status: job.status,
+			workflow: template.name,
+			totalRequested: count,
+			upscale: upscale || null,
+			statusUrl: `/jobs/${job.id}`,
+			progressUrl: `/progress/${job.id}`,
+		});
+	} catch (error) {
+		console.error("\n❌ Workflow error:", error.message);
+		res.status(500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+});
+
+// ========================================
+// VIDEOS
+// ========================================
+
+const ANIMATEDIFF_TEMPLATE = "animatediff"; // Workflow template run for effect "animatediff"
+
+app.post("/videos", requirePermission("generate"), rateLimit("video"), validate(schemas.videoSchema), async (req, res) => {
+	const { catalog, paths } = req.workspace;
+	console.log("\n🎞️  ========== CREATING PRODUCT VIDEO ==========");
+	try {
+		const { filenames, effect, width, height, fps, duration, format, quality } = req.body;
+		console.log(`🎬 Effect: ${effect}, ${width}x${height}, ${duration}s at ${fps} fps`);
+
+		if (effect === "crossfade" && filenames.length < 2) {
+			return res.status(400).json(new ValidationError([{ field: "body.filenames", message: "needs at least 2 images for crossfade" }]).toJSON());
+		}
+
+		// parallax animates the product cutout; the other effects use the images as they are
+		const sourcePaths = [];
+		for (const filename of effect === "crossfade" ? filenames : filenames.slice(0, 1)) {
+			const sourcePath = effect === "parallax" ? await findProductCutout(req.workspace, filename) : await findWorkspaceImage(paths, filename);
+			if (!sourcePath) {
+				return res.status(404).json({
+					success: false,
+					error:
+						effect === "parallax"
+							? `No background-removed cutout found for ${filename}. Run /remove-background on it first.`
+							: `Image not found: ${filename}`,
+				});
+			}
+			sourcePaths.push(sourcePath);
+		}
+		const asset = catalog.getAssetForFile(filenames[0]);
+
+		if (effect === "animatediff") {
+			const template = await getTemplate(ANIMATEDIFF_TEMPLATE);
+			if (!template) {
+				return res.status(503).json({
+					success: false,
+					error: `Workflow template "${ANIMATEDIFF_TEMPLATE}" is not installed`,
+				});
+			}
+			if (!(await checkComfyHealth())) {
+				return res.status(503).json({
+					success: false,
+					error: "ComfyUI is not running",
+				});
+			}
+			if (!(await isNodeAvailable("ADE_AnimateDiffLoaderGen1"))) {
+				return res.status(503).json({
+					success: false,
+					error: "ComfyUI does not have the AnimateDiff-Evolved nodes installed",
+				});
+			}
+
+			// Motion models work on windows of 8-32 frames
+			const frames = Math.min(32, Math.max(8, Math.round(fps * duration)));
+			const { prompt, negative_prompt, strength, seed, motion_model } = req.body;
+			const { values, errors } = validateFields(
+				{
+					image: filenames[0],
+					prompt: prompt || "professional product showcase, subtle motion, studio lighting",
+					negative_prompt,
+					strength,
+					seed,
+					width,
+					height,
+					frames,
+					fps,
+					motion_model,
+				},
+				parameterSchema(template),
+				"body"
+			);
+			if (errors.length > 0) {
+				return res.status(400).json(new ValidationError(errors).toJSON());
+			}
+
+			if (rejectOverQuota(req, res, 1)) return;
+
+			const job = await createJob(
+				"workflow",
+				{ workflow: template.name, values, images: { image: sourcePaths[0] }, assetId: asset?.id || null, count: 1, kind: "video" },
+				{ total: 1, workspace: req.workspace.name, owner: req.auth.id }
+			);
+
+			return res.status(202).json({
+				success: true,
+				jobId: job.id,
+				status: job.status,
+				effect,
+				frames,
+				fps,
+				format: "webp",
+				statusUrl: `/jobs/${job.id}`,
+				progressUrl: `/progress/${job.id}`,
+			});
+		}
+
+		const frames = Math.max(2, Math.round(fps * duration));
+		if (frames * width * height > MAX_VIDEO_PIXELS) {
+			return res.status(400).json(
+				new ValidationError([
+					{ field: "body.duration", message: `${frames} frames of ${width}x${height} are too many to render - lower the size, fps or duration` },
+				]).toJSON()
+			);
+		}
+
+		const effectOptions = {
+			"ken-burns": { zoom: req.body.zoom, pan: req.body.pan },
+			parallax: { sway: req.body.sway },
+			crossfade: { transition: req.body.transition },
+		}[effect];
+
+		let background = null;
+		if (effect === "parallax") {
+			background = { type: "color", color: req.body.background_color };
+			if (req.body.background_image) {
+				const imagePath = await findWorkspaceImage(paths, req.body.background_image);
+				if (!imagePath) {
+					return res.status(404).json({
+						success: false,
+						error: `Background image not found: ${req.body.background_image}`,
+					});
+				}
+				background = { type: "image", imagePath };
+			}
+		}
+
+		const startTime = Date.now();
+		const video = await renderVideo(effect, sourcePaths, { width, height, fps, duration, format, quality, background, ...effectOptions });
+
+		const baseName = path.parse(sourcePaths[0]).name.replace(/_no_bg$/, "");
+		const outputFilename = `${baseName}_${effect}_${Date.now()}.${format}`;
+		const outputPath = resolveStoragePath(paths.videos, outputFilename);
+		await fs.writeFile(outputPath, video.buffer);
+
+		const sources = effect === "crossfade" ? filenames : filenames.slice(0, 1);
+		catalog.recordDerivative(asset ? asset.id : null, {
+			kind: "video",
+			filename: outputFilename,
+			path: outputPath,
+			size: video.buffer.length,
+			width,
+			height,
+			format,
+			details: {
+				effect,
+				engine: "local",
+				sources,
+				frames: video.frames,
+				fps,
+				duration,
+				...effectOptions,
+				background: req.body.background_image || (background ? background.color : undefined),
+			},
+		});
+		if (asset) {
+			catalog.recordRun({ assetId: asset.id, operation: "video", status: "success", durationMs: Date.now() - startTime });
+		}
+		console.log(`✅ Saved ${video.frames} frames to: ${outputPath}`);
+
+		res.json({
+			success: true,
+			effect,
+			sources,
+			outputFilename,
+			outputPath,
+			url: `/videos/${encodeURIComponent(outputFilename)}`,
+			outputSize: video.buffer.length,
+			width,
+			height,
+			frames: video.frames,
+			fps,
+			duration,
+			format,
+		});
+	} catch (error) {
+		console.error("\n❌ Video error:", error.message);
+		res.status(500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+});
+
+app.get("/videos", requirePermission("read"), validate(schemas.listDerivativesSchema), async (req, res) => {
+	const { catalog } = req.workspace;
+	try {
+		const { uploadId, limit, offset } = req.query;
+		const derivatives = catalog.listDerivatives({
+			kind: "video",
+			uploadId,
+			limit,
+			offset,
+		});
+
+		const videos = derivatives.map((d) => ({
+			filename: d.filename,
+			size: d.size,
+			sizeFormatted: `${((d.size || 0) / 1024).toFixed(1)} KB`,
+			createdAt: d.createdAt,
+			width: d.width,
+			height: d.height,
+			format: d.format,
+			url: `/videos/${encodeURIComponent(d.filename)}`,
+			details: d.details,
+			asset: d.asset,
+		}));
+
+		res.json({
+			success: true,
+			totalVideos: videos.length,
+			videos,
+		});
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+});
+
+app.get("/videos/:filename", requirePermission("read"), validate(schemas.storedFileSchema), (req, res) =>
+	sendStoredFile(res, req.workspace.paths.videos, req.params.filename, "Video")
+);
+
+// ========================================
+// EXPORTS
+// ========================================
+
+app.get("/export/print/presets", requirePermission("read"), (req, res) => {
+	res.json({
+		success: true,
+		presets: Object.entries(config.print.presets).map(([name, preset]) => ({
+			name,
+			...preset,
+			inches: { width: Number((preset.width / preset.dpi).toFixed(2)), height: Number((preset.height / preset.dpi).toFixed(2)) },
+		})),
+		minDpi: config.print.minDpi,
+	});
+});
+
+app.post("/export/print", requirePermission("write"), validate(schemas.printExportSchema), async (req, res) => {
+	const { catalog, paths } = req.workspace;
+	console.log("\n🖨️  ========== PRINT EXPORT ==========");
+	try {
+		const { filenames, preset, fill, padding, position, offset_x, offset_y, background_color, shadows, format, icc_profile, strict } = req.body;
+
+		if (icc_profile === "cmyk" && format !== "tiff") {
+			return res.status(400).json(new ValidationError([{ field: "body.icc_profile", message: "cmyk needs format tiff - PNG has no CMYK mode" }]).toJSON());
+		}
+
+		const canvas = printCanvas(preset, req.body);
+		if (!canvas) {
+			return res.status(404).json({
+				success: false,
+				error: `Print preset not found: ${preset}`,
+				availablePresets: Object.keys(config.print.presets),
+			});
+		}
+		const { width, height, dpi } = canvas;
+		console.log(`📐 ${preset}: ${width}x${height} at ${dpi} DPI, ${format} (${icc_profile})`);
+
+		const stamp = Date.now();
+		const results = [];
+
+		for (const [i, filename] of filenames.entries()) {
+			console.log(`\n🖨️  [${i + 1}/${filenames.length}] Exporting: ${filename}`);
+			try {
+				// A design keeps its transparency when it has a cutout
+				const sourcePath = (await findProductCutout(req.workspace, filename)) || (await findWorkspaceImage(paths, filename));
+				if (!sourcePath) {
+					throw new Error("Image not found in any processed directory");
+				}
+
+				const startTime = Date.now();
+				const watermark = autoWatermark(req, sourcePath);
+				const { buffer, placement, resolution } = await renderPrint(sourcePath, {
+					width,
+					height,
+					dpi,
+					fill,
+					padding,
+					position,
+					offsetX: offset_x,
+					offsetY: offset_y,
+					shadows,
+					background: background_color || null,
+					format,
+					iccProfile: icc_profile,
+					strict,
+					overlays: watermark ? await watermarkLayers(watermark, width, height) : [],
+				});
+				if (resolution.warning) {
+					console.warn(`⚠️  [PRINT] ${resolution.warning}`);
+				}
+
+				const baseName = path.parse(sourcePath).name.replace(/_no_bg$/, "");
+				const outputFilename = `${baseName}_print_${preset}_${stamp}.${format === "tiff" ? "tif" : "png"}`;
+				const outputPath = resolveStoragePath(paths.exports, outputFilename);
+				await fs.writeFile(outputPath, buffer);
+
+				const asset = catalog.getAssetForFile(filename);
+				catalog.recordDerivative(asset ? asset.id : null, {
+					kind: "print",
+					filename: outputFilename,
+					path: outputPath,
+					size: buffer.length,
+					width,
+					height,
+					format,
+					details: {
+						source: filename,
+						preset,
+						dpi,
+						iccProfile: icc_profile,
+						background: background_color || "transparent",
+						placement,
+						effectiveDpi: resolution.effectiveDpi,
+						watermark: watermark?.name,
+					},
+				});
+				if (asset) {
+					catalog.recordRun({ assetId: asset.id, operation: "export", status: "success", durationMs: Date.now() - startTime });
+				}
+
+				results.push({
+					filename,
+					success: true,
+					outputFilename,
+					outputPath,
+					url: `/print-exports/${encodeURIComponent(outputFilename)}`,
+					outputSize: buffer.length,
+					placement,
+					resolution,
+				});
+				console.log(`✅ Saved to: ${outputPath} (${resolution.effectiveDpi} effective DPI)`);
+			} catch (error) {
+				console.error(`❌ Failed: ${filename}`, error.message);
+				results.push({ filename, success: false, error: error.message });
+			}
+		}
 
-		console.log(`📸 Source image: ${filename}`);
-		console.log(`🎨 Style: ${style}`);
-		console.log(`🔢 Count: ${count}`);
+		const successful = results.filter((r) => r.success).length;
+		const warnings = results.filter((r) => r.resolution?.warning).map((r) => ({ filename: r.filename, warning: r.resolution.warning }));
+		res.json({
+			success: successful > 0,
+			preset,
+			width,
+			height,
+			dpi,
+			format,
+			iccProfile: icc_profile,
+			totalFiles: filenames.length,
+			processed: successful,
+			failed: filenames.length - successful,
+			warnings,
+			results,
+		});
+	} catch (error) {
+		console.error("\n❌ Print export error:", error.message);
+		res.status(500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+});
 
-		const isHealthy = await checkComfyHealth();
-		if (!isHealthy) {
-			return res.status(503).json({
-				success: false,
-				error: "ComfyUI is not running",
-			});
+app.get("/print-exports", requirePermission("read"), validate(schemas.listDerivativesSchema), async (req, res) => {
+	const { catalog } = req.workspace;
+	try {
+		const { uploadId, limit, offset } = req.query;
+		const derivatives = catalog.listDerivatives({
+			kind: "print",
+			uploadId,
+			limit,
+			offset,
+		});
+
+		const exports = derivatives.map((d) => ({
+			filename: d.filename,
+			size: d.size,
+			sizeFormatted: `${((d.size || 0) / 1024 / 1024).toFixed(1)} MB`,
+			createdAt: d.createdAt,
+			width: d.width,
+			height: d.height,
+			format: d.format,
+			url: `/print-exports/${encodeURIComponent(d.filename)}`,
+			details: d.details,
+			asset: d.asset,
+		}));
+
+		res.json({
+			success: true,
+			totalExports: exports.length,
+			exports,
+		});
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+});
+
+app.get("/print-exports/:filename", requirePermission("read"), validate(schemas.storedFileSchema), (req, res) =>
+	sendStoredFile(res, req.workspace.paths.exports, req.params.filename, "Print export")
+);
+
+const MAX_MARKETPLACE_OUTPUTS = 400; // Images x presets per request
+
+/**
+ * Images of a batch to export: per asset, every generated image, or its newest
+ * resized or no-background copy ("auto" = the cutout, else the resized image, else the upload)
+ */
+function batchExportSources(catalog, uploadId, source) {
+	const filenames = [];
+	for (const asset of catalog.listAssets({ uploadId, limit: -1 }).assets) {
+		const newest = (kind) => catalog.listDerivatives({ kind, assetId: asset.id, limit: 1 })[0]?.filename;
+		if (source === "generated") {
+			filenames.push(...catalog.listDerivatives({ kind: "generated", assetId: asset.id, limit: -1 }).map((d) => d.filename));
+		} else if (source === "auto") {
+			filenames.push(newest("no-background") || newest("resized") || asset.filename);
+		} else {
+			const filename = newest(source);
+			if (filename) filenames.push(filename);
 		}
+	}
+	return filenames;
+}
 
-		// Find source image
-		let sourcePath;
-		const possiblePaths = [
-			path.join("./processed/no-background", filename),
-			path.join("./processed/resized", filename),
-			path.join("./processed/originals", filename),
-			path.join("./uploads", filename),
-		];
+app.get("/export/marketplace/presets", requirePermission("read"), (req, res) => {
+	res.json({
+		success: true,
+		presets: Object.keys(config.marketplace.presets).map(marketplacePreset),
+	});
+});
 
-		for (const testPath of possiblePaths) {
-			try {
-				await fs.access(testPath);
-				sourcePath = testPath;
-				console.log(`✅ Found source at: ${sourcePath}`);
-				break;
-			} catch (error) {
-				// Continue
+app.post("/export/marketplace", requirePermission("write"), validate(schemas.marketplaceExportSchema), async (req, res) => {
+	const { catalog, paths } = req.workspace;
+	console.log("\n🛍️  ========== MARKETPLACE EXPORT ==========");
+	let channel = null;
+	let outcome = { status: "failed" };
+	try {
+		const { uploadId, filenames, source, crop, shadows } = req.body;
+		const progressId = req.body.progressId || uploadId || `export-${Date.now()}`;
+		channel = progressChannel(req.workspace.name, progressId);
+		const watermark = resolveWatermark(req, res);
+		if (watermark === false) return;
+
+		const presets = [];
+		for (const name of req.body.presets) {
+			const preset = marketplacePreset(name);
+			if (!preset) {
+				return res.status(404).json({
+					success: false,
+					error: `Marketplace preset not found: ${name}`,
+					availablePresets: Object.keys(config.marketplace.presets),
+				});
 			}
+			presets.push(crop ? { ...preset, crop } : preset);
 		}
 
-		if (!sourcePath) {
-			return res.status(404).json({
+		let filesToExport;
+		if (filenames && Array.isArray(filenames)) {
+			filesToExport = filenames;
+		} else if (uploadId) {
+			if (!catalog.getBatch(uploadId)) {
+				return res.status(404).json({
+					success: false,
+					error: `Batch not found: ${uploadId}`,
+				});
+			}
+			filesToExport = batchExportSources(catalog, uploadId, source);
+		} else {
+			return res.status(400).json(new ValidationError([{ field: "body.filenames", message: "is required without an uploadId" }]).toJSON());
+		}
+
+		if (filesToExport.length === 0) {
+			return res.json({
 				success: false,
-				error: "Source image not found in any processed directory",
+				error: "No images found to export",
 			});
 		}
+		if (filesToExport.length * presets.length > MAX_MARKETPLACE_OUTPUTS) {
+			return res.status(400).json(
+				new ValidationError([
+					{
+						field: "body.presets",
+						message: `${filesToExport.length} images x ${presets.length} presets is over the ${MAX_MARKETPLACE_OUTPUTS} outputs a request may make - split the export`,
+					},
+				]).toJSON()
+			);
+		}
+		console.log(`📦 ${filesToExport.length} image(s) x ${presets.map((p) => p.name).join(", ")}`);
 
-		console.log("📤 Uploading to ComfyUI...");
-		const uploadedFilename = await uploadImageToComfy(sourcePath);
-		console.log(`✅ Uploaded as: ${uploadedFilename}`);
+		const total = filesToExport.length;
+		const stamp = Date.now();
+		const results = [];
 
-		// Generate prompt if not provided
-		let finalPrompt = prompt;
-		if (!finalPrompt) {
-			const fashionPrompts = getFashionPrompts("clothing");
-			finalPrompt = fashionPrompts[style] || fashionPrompts.studio;
-			console.log(`🤖 Auto-generated prompt: ${finalPrompt}`);
+		publishProgress(channel, { type: "batch", stage: "started", operation: "marketplace-export", total });
+
+		for (const [i, filename] of filesToExport.entries()) {
+			console.log(`\n🛍️  [${i + 1}/${total}] Exporting: ${filename}`);
+			publishProgress(channel, { type: "item", stage: "started", filename, index: i + 1, total });
+			try {
+				const sourcePath = await findWorkspaceImage(paths, filename);
+				if (!sourcePath) {
+					throw new Error("Image not found in any processed directory");
+				}
+				const maskPath = presets.some((p) => p.crop === "mask" && p.fit === "crop") ? await findProductCutout(req.workspace, filename) : null;
+				const imageWatermark = autoWatermark(req, sourcePath) || watermark;
+
+				const startTime = Date.now();
+				const asset = catalog.getAssetForFile(filename);
+				const baseName = path.parse(sourcePath).name.replace(/_no_bg$/, "");
+				const outputs = [];
+
+				for (const preset of presets) {
+					try {
+						const image = await renderMarketplaceImage(sourcePath, preset, { maskPath, shadows, watermark: imageWatermark });
+
+						const outputFilename = `${baseName}_${preset.name}_${stamp}.${preset.format === "jpeg" ? "jpg" : preset.format}`;
+						const outputPath = resolveStoragePath(paths.exports, outputFilename);
+						await fs.writeFile(outputPath, image.buffer);
+
+						catalog.recordDerivative(asset ? asset.id : null, {
+							kind: "marketplace",
+							filename: outputFilename,
+							path: outputPath,
+							size: image.buffer.length,
+							width: image.width,
+							height: image.height,
+							format: image.format,
+							details: {
+								source: filename,
+								preset: preset.name,
+								fit: preset.fit,
+								crop: image.crop,
+								quality: image.quality,
+								watermark: imageWatermark?.name,
+								warnings: image.warnings,
+							},
+						});
+
+						outputs.push({
+							preset: preset.name,
+							success: true,
+							outputFilename,
+							outputPath,
+							url: `/marketplace-exports/${encodeURIComponent(outputFilename)}`,
+							outputSize: image.buffer.length,
+							width: image.width,
+							height: image.height,
+							format: image.format,
+							quality: image.quality,
+							crop: image.crop,
+							warnings: image.warnings,
+						});
+						console.log(`✅ ${preset.name}: ${outputFilename} (${(image.buffer.length / 1024).toFixed(1)} KB, q${image.quality})`);
+						for (const warning of image.warnings) {
+							console.warn(`⚠️  [EXPORT] ${preset.name}: ${warning}`);
+						}
+					} catch (error) {
+						console.error(`❌ ${preset.name} failed: ${filename}`, error.message);
+						outputs.push({ preset: preset.name, success: false, error: error.message });
+					}
+				}
+
+				const exported = outputs.filter((o) => o.success).length;
+				if (asset) {
+					catalog.recordRun({
+						assetId: asset.id,
+						operation: "export",
+						status: exported > 0 ? "success" : "failed",
+						durationMs: Date.now() - startTime,
+						details: { presets: presets.map((p) => p.name), exported },
+					});
+				}
+				results.push({ filename, success: exported > 0, outputs });
+				publishProgress(channel, { type: "item", stage: "exported", filename, index: i + 1, total, exported });
+			} catch (error) {
+				console.error(`❌ Failed: ${filename}`, error.message);
+				results.push({ filename, success: false, error: error.message });
+				publishProgress(channel, { type: "item", stage: "failed", filename, index: i + 1, total, error: error.message });
+			}
 		}
 
-		const results = [];
+		const successful = results.filter((r) => r.success).length;
+		const failed = total - successful;
+		outcome = { status: "completed", total, processed: successful, failed };
+
+		res.json({
+			success: successful > 0,
+			progressId,
+			presets: presets.map((p) => p.name),
+			totalFiles: total,
+			processed: successful,
+			failed,
+			results,
+		});
+	} catch (error) {
+		console.error("\n❌ Marketplace export error:", error.message);
+		outcome.error = error.message;
+		res.status(500).json({
+			success: false,
+			error: error.message,
+		});
+	} finally {
+		// Always close the channel, so subscribers are released and it expires
+		publishProgress(channel, { type: "done", ...outcome });
+	}
+});
 
-		for (let i = 0; i < count; i++) {
-			console.log(`\n🎨 [${i + 1}/${count}] Generating variation...`);
+app.get("/marketplace-exports", requirePermission("read"), validate(schemas.listDerivativesSchema), async (req, res) => {
+	const { catalog } = req.workspace;
+	try {
+		const { uploadId, limit, offset } = req.query;
+		const derivatives = catalog.listDerivatives({
+			kind: "marketplace",
+			uploadId,
+			limit,
+			offset,
+		});
 
-			const currentSeed = Math.floor(Math.random() * 1000000);
-			const workflow = await createImg2ImgWorkflow(uploadedFilename, finalPrompt, negative_prompt, strength, currentSeed);
+		const images = derivatives.map((d) => ({
+			filename: d.filename,
+			size: d.size,
+			sizeFormatted: `${((d.size || 0) / 1024).toFixed(1)} KB`,
+			createdAt: d.createdAt,
+			width: d.width,
+			height: d.height,
+			format: d.format,
+			url: `/marketplace-exports/${encodeURIComponent(d.filename)}`,
+			details: d.details,
+			asset: d.asset,
+		}));
 
-			const queueResult = await queuePrompt(workflow);
-			console.log(`✅ Queued with prompt_id: ${queueResult.prompt_id}`);
+		res.json({
+			success: true,
+			totalImages: images.length,
+			images,
+		});
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+});
 
-			console.log("⏳ Waiting for generation...");
-			const completion = await waitForCompletion(queueResult.prompt_id);
+app.get("/marketplace-exports/:filename", requirePermission("read"), validate(schemas.storedFileSchema), (req, res) =>
+	sendStoredFile(res, req.workspace.paths.exports, req.params.filename, "Marketplace export")
+);
 
-			if (!completion.success) {
-				console.error(`❌ Variation ${i + 1} failed:`, completion.error);
-				results.push({
-					index: i + 1,
-					success: false,
-					error: completion.error,
-				});
-				continue;
-			}
+// ========================================
+// JOB ENDPOINTS
+// ========================================
 
-			const outputs = completion.status.outputs;
-			const outputNode = outputs["9"];
-			if (!outputNode || !outputNode.images || outputNode.images.length === 0) {
-				console.error("❌ No output image found");
-				results.push({
-					index: i + 1,
-					success: false,
-					error: "No output image generated",
-				});
-				continue;
-			}
+app.get("/jobs", requirePermission("read"), validate(schemas.listJobsSchema), (req, res) => {
+	const { status, type, limit } = req.query;
+	const jobs = listJobs({ status, type, workspace: req.workspace.name, limit });
 
-			const outputFilename = outputNode.images[0].filename;
-			console.log(`📥 Downloading: ${outputFilename}`);
+	res.json({
+		success: true,
+		count: jobs.length,
+		jobs: jobs.map(({ id, type, status, progress, createdAt, finishedAt }) => ({
+			id,
+			type,
+			status,
+			progress,
+			createdAt,
+			finishedAt,
+		})),
+	});
+});
 
-			const localPath = await downloadComfyOutput(outputFilename, "./processed/generated");
-			console.log(`✅ Saved to: ${localPath}`);
+app.get("/jobs/:id", requirePermission("read"), validate(schemas.idParamsSchema), (req, res) => {
+	const job = getJob(req.params.id, req.workspace.name);
+	if (!job) {
+		return res.status(404).json({
+			success: false,
+			error: "Job not found",
+		});
+	}
 
-			const stats = await fs.stat(localPath);
+	res.json({
+		success: true,
+		job,
+	});
+});
 
-			results.push({
-				index: i + 1,
-				success: true,
-				filename: path.basename(localPath),
-				path: localPath,
-				size: stats.size,
-				seed: currentSeed,
-				originalImage: filename,
+app.post("/jobs/:id/cancel", requirePermission("generate"), validate(schemas.idParamsSchema), async (req, res) => {
+	try {
+		const job = await cancelJob(req.params.id, req.workspace.name);
+		if (!job) {
+			return res.status(404).json({
+				success: false,
+				error: "Job not found",
 			});
 		}
 
-		const successful = results.filter((r) => r.success).length;
-		const failed = results.filter((r) => !r.success).length;
+		res.json({
+			success: true,
+			jobId: job.id,
+			status: job.status,
+			message: job.status === "running" ? "Cancellation requested" : `Job is ${job.status}`,
+		});
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+});
 
-		console.log(`\n✅ Variation generation complete: ${successful} successful, ${failed} failed\n`);
+app.get("/generated-images", requirePermission("read"), validate(schemas.listDerivativesSchema), async (req, res) => {
+	const { catalog } = req.workspace;
+	try {
+		const { limit, offset } = req.query;
+		const derivatives = catalog.listDerivatives({ kind: "generated", limit, offset });
+
+		const images = derivatives.map((d) => ({
+			filename: d.filename,
+			size: d.size,
+			sizeFormatted: `${((d.size || 0) / 1024).toFixed(1)} KB`,
+			createdAt: d.createdAt,
+			width: d.width,
+			height: d.height,
+			url: `/generated-images/${encodeURIComponent(d.filename)}`,
+			details: d.details,
+			sourceAsset: d.asset,
+		}));
 
 		res.json({
 			success: true,
-			sourceImage: filename,
-			totalRequested: count,
-			generated: successful,
-			failed,
-			prompt: finalPrompt,
-			strength,
-			results,
+			totalImages: images.length,
+			images,
 		});
 	} catch (error) {
-		console.error("\n❌ Variation error:", error.message);
 		res.status(500).json({
 			success: false,
 			error: error.message,
@@ -1007,35 +2524,149 @@ app.post("/generate-variations", async (req, res) => {
 	}
 });
 
-app.get("/generated-images", async (req, res) => {
+// Non-admin keys get config.watermarks.autoApply stamped on; admins get the original,
+// or the profile they name with ?watermark=
+app.get("/generated-images/:filename", requirePermission("read"), validate(schemas.generatedImageSchema), async (req, res) => {
+	const { paths } = req.workspace;
 	try {
-		const files = await fs.readdir("./processed/generated");
-		const imageFiles = files.filter((f) => /\.(jpg|jpeg|png)$/i.test(f));
+		const imagePath = resolveStoragePath(paths.generated, req.params.filename);
+		try {
+			await fs.access(imagePath);
+		} catch (error) {
+			return res.status(404).json({
+				success: false,
+				error: `Generated image not found: ${req.params.filename}`,
+			});
+		}
 
-		const images = [];
+		const profileName = req.auth.role === "admin" ? req.query.watermark : config.watermarks.autoApply;
+		res.set({ "Cache-Control": "private, no-cache", Vary: "X-API-Key, Authorization" });
+		if (!profileName) {
+			return res.sendFile(path.resolve(imagePath));
+		}
 
-		for (const file of imageFiles) {
-			try {
-				const filePath = path.join("./processed/generated", file);
-				const stats = await fs.stat(filePath);
-
-				images.push({
-					filename: file,
-					size: stats.size,
-					sizeFormatted: `${(stats.size / 1024).toFixed(1)} KB`,
-					createdAt: stats.mtime,
-				});
-			} catch (err) {
-				console.log(`Error reading file ${file}:`, err.message);
-			}
+		const profile = watermarkProfile(profileName);
+		if (!profile) {
+			return res.status(404).json({
+				success: false,
+				error: `Watermark profile not found: ${profileName}`,
+				availableProfiles: Object.keys(config.watermarks.profiles),
+			});
 		}
+		const { buffer, format } = await applyWatermark(imagePath, profile);
+		res.set("X-Watermark", profile.name).type(format).send(buffer);
+	} catch (error) {
+		console.error("\n❌ Serving generated image failed:", error.message);
+		res.status(500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+});
+
+app.get("/watermarks", requirePermission("read"), (req, res) => {
+	res.json({
+		success: true,
+		profiles: Object.keys(config.watermarks.profiles).map(watermarkProfile),
+		autoApply: config.watermarks.autoApply,
+	});
+});
+
+// ========================================
+// ASSET CATALOG ENDPOINTS
+// ========================================
 
-		images.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+app.get("/batches", requirePermission("read"), validate(schemas.listBatchesSchema), (req, res) => {
+	const { catalog } = req.workspace;
+	try {
+		const { limit, offset } = req.query;
+		const batches = catalog.listBatches({ limit, offset });
 
 		res.json({
 			success: true,
-			totalImages: images.length,
-			images,
+			count: batches.length,
+			batches,
+		});
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+});
+
+app.get("/batches/:id", requirePermission("read"), validate(schemas.idParamsSchema), (req, res) => {
+	const { catalog } = req.workspace;
+	const batch = catalog.getBatchDetail(req.params.id);
+	if (!batch) {
+		return res.status(404).json({
+			success: false,
+			error: "Batch not found",
+		});
+	}
+
+	res.json({
+		success: true,
+		batch,
+	});
+});
+
+app.get("/assets", requirePermission("read"), validate(schemas.listAssetsSchema), (req, res) => {
+	const { catalog } = req.workspace;
+	try {
+		const { uploadId, status, source, hash, limit, offset } = req.query;
+		const { total, assets } = catalog.listAssets({
+			uploadId,
+			status,
+			source,
+			hash,
+			limit,
+			offset,
+		});
+
+		res.json({
+			success: true,
+			total,
+			count: assets.length,
+			assets,
+		});
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			error: error.message,
+		});
+	}
+});
+
+app.get("/assets/:id", requirePermission("read"), validate(schemas.idParamsSchema), (req, res) => {
+	const { catalog } = req.workspace;
+	const asset = catalog.getAssetDetail(req.params.id);
+	if (!asset) {
+		return res.status(404).json({
+			success: false,
+			error: "Asset not found",
+		});
+	}
+
+	res.json({
+		success: true,
+		asset,
+	});
+});
+
+// Near-duplicate clusters across all batches (optionally only those touching one upload)
+app.get("/duplicates", requirePermission("read"), validate(schemas.duplicatesSchema), (req, res) => {
+	const { catalog } = req.workspace;
+	try {
+		const { uploadId, threshold = config.duplicates.threshold } = req.query;
+		const clusters = catalog.listDuplicateClusters({ threshold, uploadId });
+
+		res.json({
+			success: true,
+			threshold,
+			count: clusters.length,
+			duplicateAssets: clusters.reduce((sum, c) => sum + c.size - 1, 0),
+			clusters,
 		});
 	} catch (error) {
 		res.status(500).json({
@@ -1045,8 +2676,8 @@ app.get("/generated-images", async (req, res) => {
 	}
 });
 
-app.get("/fashion-prompts", (req, res) => {
-	const { productType = "clothing" } = req.query;
+app.get("/fashion-prompts", requirePermission("read"), validate(schemas.fashionPromptsSchema), (req, res) => {
+	const { productType } = req.query;
 	const prompts = getFashionPrompts(productType);
 
 	res.json({
@@ -1057,11 +2688,66 @@ app.get("/fashion-prompts", (req, res) => {
 	});
 });
 
+// ========================================
+// USAGE
+// ========================================
+
+// Quotas and usage for the calling key; admins may pass ?all=true for every key
+app.get("/usage", requirePermission("read"), validate(schemas.usageSchema), (req, res) => {
+	if (req.query.all) {
+		if (!req.auth.permissions.includes("admin")) {
+			return res.status(403).json({
+				success: false,
+				error: 'Permission denied: requires "admin"',
+				role: req.auth.role,
+			});
+		}
+
+		const keys = isAuthEnabled() ? listKeys() : [req.auth];
+		return res.json({
+			success: true,
+			keys: keys.map((key) => getUsage(key)),
+		});
+	}
+
+	res.json({
+		success: true,
+		...getUsage(req.auth),
+	});
+});
+
+// ========================================
+// PROGRESS STREAM
+// ========================================
+
+// Server-Sent Events for a progressId (/process-images, /remove-background, /export/marketplace) or a job id
+app.get("/progress/:id", requirePermission("read"), validate(schemas.progressSchema), (req, res) => {
+	const { id } = req.params;
+	const channel = progressChannel(req.workspace.name, id);
+	const job = getJob(id, req.workspace.name);
+
+	// Jobs finished before a restart have no buffered events - report the final state
+	if (job && ["completed", "failed", "cancelled"].includes(job.status) && getProgressEvents(channel).length === 0) {
+		publishProgress(channel, { type: "done", status: job.status, progress: job.progress, error: job.error });
+	}
+
+	streamProgress(req, res, channel);
+});
+
 // ========================================
 // ERROR HANDLING
 // ========================================
 
 app.use((error, req, res, next) => {
+	if (error instanceof ValidationError) {
+		return res.status(400).json(error.toJSON());
+	}
+
+	// Malformed JSON body
+	if (error.type === "entity.parse.failed") {
+		return res.status(400).json(new ValidationError([{ field: "body", message: "must be valid JSON" }]).toJSON());
+	}
+
 	if (error instanceof multer.MulterError) {
 		if (error.code === "LIMIT_FILE_SIZE") {
 			return res.status(400).json({
@@ -1090,10 +2776,13 @@ app.use((error, req, res, next) => {
 	});
 });
 
-const PORT = process.env.PORT || 3000;
+const PORT = config.server.port;
 app.listen(PORT, () => {
 	console.log(`🚀 Backend server running on http://localhost:${PORT}`);
 	console.log(`📊 System status: http://localhost:${PORT}/system-status`);
-	console.log(`🎨 ComfyUI: http://124.123.18.19:8188`);
-	console.log(`🖼️  rembg: https://bhdv4f7q-5000.inc1.devtunnels.ms`);
+	console.log(`⚙️  Config: ${config.source || "defaults + environment"}`);
+	console.log(`🎨 ComfyUI: ${config.comfy.url}`);
+	console.log(`🖼️  rembg: ${config.rembg.url}`);
+	console.log(`🔁 n8n: ${config.n8n.url}`);
+	console.log(`🔐 Auth: ${isAuthEnabled() ? `${config.auth.keys.length} API key(s)` : "disabled (no API keys configured)"}`);
 });
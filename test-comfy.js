@@ -2,8 +2,9 @@
 // Run with: node test-comfy.js
 
 import fetch from "node-fetch";
+import { config } from "./utils/config.js";
 
-const COMFY_URL = "http://124.123.18.19:8188";
+const COMFY_URL = config.comfy.url;
 
 async function testComfyUI() {
 	console.log("🧪 Testing ComfyUI Connection...\n");
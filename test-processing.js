@@ -2,8 +2,9 @@
 // Simple test script to verify image processing
 
 import fetch from "node-fetch";
+import { config } from "./utils/config.js";
 
-const BASE_URL = "http://localhost:3000";
+const BASE_URL = config.server.publicUrl;
 
 async function testProcessing() {
 	console.log("🧪 Testing Image Processing System\n");
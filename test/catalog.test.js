@@ -0,0 +1,153 @@
+// test/catalog.test.js
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import sharp from "sharp";
+import initSqlJs from "sql.js";
+import { openCatalog } from "../utils/catalog.js";
+
+const DIRS = ["uploads", "originals", "resized", "metadata", "noBackground", "generated", "composites", "upscaled", "videos", "exports"];
+
+let root;
+let SQL;
+
+before(async () => {
+	root = await fs.mkdtemp(path.join(os.tmpdir(), "catalog-test-"));
+	SQL = await initSqlJs();
+});
+
+after(async () => {
+	await fs.rm(root, { recursive: true, force: true });
+});
+
+// Empty storage directories for one catalog
+async function makePaths(name) {
+	const base = path.join(root, name);
+	const paths = { catalog: path.join(base, "catalog.sqlite") };
+	for (const dir of DIRS) {
+		paths[dir] = path.join(base, dir);
+		await fs.mkdir(paths[dir], { recursive: true });
+	}
+	return paths;
+}
+
+// A small image with a left-to-right gradient, so it has a non-trivial perceptual hash
+function writeImage(filePath) {
+	const width = 32;
+	const height = 32;
+	const pixels = Buffer.alloc(width * height * 3);
+	for (let i = 0; i < width * height; i++) pixels.fill((i % width) * 8, i * 3, i * 3 + 3);
+	return sharp(pixels, { raw: { width, height, channels: 3 } }).png().toFile(filePath);
+}
+
+// Run SQL directly against a saved catalog file
+async function withDatabase(catalogPath, fn) {
+	const db = new SQL.Database(await fs.readFile(catalogPath));
+	try {
+		const result = fn(db);
+		await fs.writeFile(catalogPath, Buffer.from(db.export()));
+		return result;
+	} finally {
+		db.close();
+	}
+}
+
+const appliedVersions = (db) => db.exec("SELECT version FROM schema_migrations ORDER BY version")[0].values.map(([version]) => version);
+
+describe("catalog migrations", () => {
+	it("creates every table on a fresh catalog and records each migration once", async () => {
+		const paths = await makePaths("fresh");
+		const catalog = await openCatalog(paths);
+		await catalog.flush();
+
+		const versions = await withDatabase(paths.catalog, appliedVersions);
+		assert.deepEqual(versions, [1, 2, 3, 4, 5]);
+
+		// Reopening applies nothing new
+		await openCatalog(paths);
+		assert.deepEqual(await withDatabase(paths.catalog, appliedVersions), versions);
+	});
+
+	it("imports metadata sidecars and backfills their batches", async () => {
+		const paths = await makePaths("sidecars");
+		await writeImage(path.join(paths.originals, "shirt.png"));
+		await fs.writeFile(
+			path.join(paths.metadata, "shirt_meta.json"),
+			JSON.stringify({
+				originalFile: "shirt.png",
+				uploadId: "upload-1",
+				processedFile: "shirt_processed.jpg",
+				noBackgroundFile: "shirt_processed_no_bg.png",
+				originalSize: { width: 32, height: 32, format: "png", fileSize: 100 },
+				processedAt: "2025-01-01T00:00:00.000Z",
+				backgroundRemovedAt: "2025-01-01T00:01:00.000Z",
+			})
+		);
+
+		const catalog = await openCatalog(paths);
+		const asset = catalog.getAssetByFilename("shirt.png");
+		assert.equal(asset.uploadId, "upload-1");
+		assert.equal(asset.status, "background-removed");
+		assert.deepEqual(catalog.listDerivatives({ assetId: asset.id }).map((d) => d.kind).sort(), ["no-background", "original", "resized"]);
+
+		const batch = catalog.getBatch("upload-1");
+		assert.equal(batch.fileCount, 1);
+		assert.match(asset.perceptualHash, /^[0-9a-f]{16}$/);
+		await catalog.flush();
+	});
+
+	it("upgrades a catalog from before perceptual hashes", async () => {
+		const paths = await makePaths("upgrade");
+		let catalog = await openCatalog(paths);
+		catalog.recordAsset({ filename: "dress.png", uploadId: "upload-2" });
+		await catalog.flush();
+		await writeImage(path.join(paths.uploads, "dress.png"));
+
+		// Roll the file back to schema version 3
+		await withDatabase(paths.catalog, (db) =>
+			db.exec(`
+				DROP INDEX idx_assets_perceptual_hash;
+				ALTER TABLE assets DROP COLUMN perceptual_hash;
+				ALTER TABLE assets DROP COLUMN duplicate_of;
+				DELETE FROM schema_migrations WHERE version > 3;
+			`)
+		);
+
+		catalog = await openCatalog(paths);
+		await catalog.flush();
+		assert.deepEqual(await withDatabase(paths.catalog, appliedVersions), [1, 2, 3, 4, 5]);
+
+		const asset = catalog.getAssetByFilename("dress.png");
+		assert.match(asset.perceptualHash, /^[0-9a-f]{16}$/);
+		assert.equal(asset.duplicateOf, null);
+	});
+});
+
+describe("near-duplicate lookup", () => {
+	it("finds assets within the threshold and follows hash updates", async () => {
+		const paths = await makePaths("duplicates");
+		const catalog = await openCatalog(paths);
+		const hashed = (filename, perceptualHash) => catalog.updateAsset(catalog.recordAsset({ filename }).id, { perceptualHash });
+
+		const original = hashed("a.png", "0000000000000000");
+		const near = hashed("b.png", "0000000000000007"); // 3 bits off
+		hashed("c.png", "ffffffffffffffff");
+
+		const matches = catalog.findSimilarAssets("0000000000000001", { threshold: 3 });
+		assert.deepEqual(
+			matches.map((m) => [m.asset.id, m.distance]),
+			[
+				[original.id, 1],
+				[near.id, 2],
+			]
+		);
+
+		// The index built by the lookup above picks up later hash changes
+		catalog.updateAsset(near.id, { perceptualHash: "ffffffffffffff00" });
+		assert.deepEqual(catalog.findSimilarAssets("0000000000000001", { threshold: 3, excludeId: original.id }), []);
+		assert.equal(catalog.listDuplicateClusters({ threshold: 8 })[0].size, 2);
+		await catalog.flush();
+	});
+});
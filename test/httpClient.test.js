@@ -0,0 +1,93 @@
+// test/httpClient.test.js
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+
+let server;
+let requests = [];
+let CircuitOpenError;
+let getCircuitStates;
+let isCircuitOpen;
+let serviceFetch;
+
+// /flaky answers 503 once, then 200; /down always 503; anything else 200
+function fakeService() {
+	let flakyCalls = 0;
+	return http.createServer((req, res) => {
+		requests.push(req.url);
+		if (req.url === "/down" || (req.url === "/flaky" && ++flakyCalls === 1)) {
+			res.writeHead(503).end("unavailable");
+		} else {
+			res.writeHead(200, { "Content-Type": "application/json" }).end('{"ok":true}');
+		}
+	});
+}
+
+before(async () => {
+	server = fakeService();
+	await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+	// Config is read on import, so point every service at the fake first
+	const url = `http://127.0.0.1:${server.address().port}`;
+	Object.assign(process.env, {
+		COMFY_URL: url,
+		REMBG_URL: url,
+		N8N_URL: url,
+		CIRCUIT_FAILURE_THRESHOLD: "2",
+		CIRCUIT_RESET_TIMEOUT_MS: "30000",
+	});
+	({ CircuitOpenError, getCircuitStates, isCircuitOpen, serviceFetch } = await import("../utils/httpClient.js"));
+});
+
+after(async () => {
+	await new Promise((resolve) => server.close(resolve));
+});
+
+describe("serviceFetch", () => {
+	it("retries a 503 and counts the call as a success", async () => {
+		requests = [];
+		const response = await serviceFetch("n8n", "/flaky", { retries: 1 });
+		assert.equal(response.status, 200);
+		assert.deepEqual(await response.json(), { ok: true });
+		assert.deepEqual(requests, ["/flaky", "/flaky"]);
+		assert.equal(getCircuitStates().n8n.failures, 0);
+	});
+
+	it("counts one failure per call however many attempts it made, and opens at the threshold", async () => {
+		requests = [];
+		const first = await serviceFetch("rembg", "/down", { retries: 2 });
+		assert.equal(first.status, 503);
+		assert.equal(requests.length, 3);
+		assert.equal(getCircuitStates().rembg.state, "closed");
+		assert.equal(getCircuitStates().rembg.failures, 1);
+
+		await serviceFetch("rembg", "/down", { retries: 2 });
+		assert.equal(getCircuitStates().rembg.state, "open");
+		assert.equal(isCircuitOpen("rembg"), true);
+
+		// Refused without a request
+		await assert.rejects(serviceFetch("rembg", "/up"), CircuitOpenError);
+		assert.equal(requests.length, 6);
+	});
+
+	it("sends one trial after the reset timeout: success closes, failure re-opens", async (t) => {
+		let now = 1_000_000;
+		t.mock.method(Date, "now", () => now);
+		await serviceFetch("comfy", "/down", { retries: 0 });
+		await serviceFetch("comfy", "/down", { retries: 0 });
+		assert.equal(isCircuitOpen("comfy"), true);
+
+		now += 30_000;
+		assert.equal(isCircuitOpen("comfy"), false);
+		await serviceFetch("comfy", "/down", { retries: 0 });
+		assert.equal(getCircuitStates().comfy.state, "open");
+
+		// A second trial waits out a fresh timeout
+		await assert.rejects(serviceFetch("comfy", "/up"), CircuitOpenError);
+		now += 30_000;
+		const response = await serviceFetch("comfy", "/up");
+		assert.equal(response.status, 200);
+		assert.equal(getCircuitStates().comfy.state, "closed");
+		assert.equal(getCircuitStates().comfy.failures, 0);
+	});
+});
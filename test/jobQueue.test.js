@@ -0,0 +1,126 @@
+// test/jobQueue.test.js
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { createJob, getJob, isJobActive, registerJobHandler, startJobWorker } from "../utils/jobQueue.js";
+import { getProgressEvents, progressChannel } from "../utils/progressEvents.js";
+
+const cwd = process.cwd();
+let root;
+const runs = []; // [job id, item] in the order the handler processed them
+
+// Works through params.items, skipping those already in job.results like the real handlers
+registerJobHandler("test", async (job, ctx) => {
+	const done = new Set(job.results.map((r) => r.item));
+	for (const item of job.params.items) {
+		if (done.has(item)) continue;
+		runs.push([job.id, item]);
+		await ctx.addResult({ item, success: item !== "bad" });
+	}
+});
+
+// A job file as the server would have left it
+function persistedJob(id, overrides = {}) {
+	return {
+		id,
+		type: "test",
+		workspace: "default",
+		owner: null,
+		status: "queued",
+		params: { items: ["a", "b"] },
+		state: {},
+		progress: { total: 2, completed: 0, failed: 0 },
+		results: [],
+		error: null,
+		cancelRequested: false,
+		createdAt: "2025-01-01T00:00:00.000Z",
+		updatedAt: "2025-01-01T00:00:00.000Z",
+		startedAt: null,
+		finishedAt: null,
+		...overrides,
+	};
+}
+
+const readJobFile = async (id) => JSON.parse(await fs.readFile(path.join(root, "processed", "jobs", `${id}.json`), "utf-8"));
+
+async function waitForJob(id) {
+	for (let i = 0; i < 200; i++) {
+		const job = getJob(id);
+		if (job && !isJobActive(job)) return job;
+		await new Promise((resolve) => setTimeout(resolve, 10));
+	}
+	assert.fail(`job ${id} did not finish`);
+}
+
+before(async () => {
+	// Jobs live in ./processed/jobs
+	root = await fs.mkdtemp(path.join(os.tmpdir(), "jobs-test-"));
+	process.chdir(root);
+
+	const jobs = [
+		persistedJob("interrupted", {
+			status: "running",
+			createdAt: "2025-01-01T00:00:02.000Z",
+			startedAt: "2025-01-01T00:00:02.000Z",
+			progress: { total: 2, completed: 1, failed: 0 },
+			results: [{ item: "a", success: true }],
+		}),
+		persistedJob("queued", { createdAt: "2025-01-01T00:00:01.000Z" }),
+		persistedJob("cancelling", { status: "running", cancelRequested: true }),
+		persistedJob("finished", { status: "completed", progress: { total: 2, completed: 2, failed: 0 } }),
+	];
+	await fs.mkdir(path.join(root, "processed", "jobs"), { recursive: true });
+	for (const job of jobs) {
+		await fs.writeFile(path.join(root, "processed", "jobs", `${job.id}.json`), JSON.stringify(job));
+	}
+	await fs.writeFile(path.join(root, "processed", "jobs", "broken.json"), "{");
+});
+
+after(async () => {
+	process.chdir(cwd);
+	await fs.rm(root, { recursive: true, force: true });
+});
+
+describe("job worker", () => {
+	it("resumes queued and running jobs oldest first, skipping finished work", async () => {
+		await startJobWorker();
+		const interrupted = await waitForJob("interrupted");
+		await waitForJob("queued");
+
+		assert.deepEqual(runs, [
+			["queued", "a"],
+			["queued", "b"],
+			["interrupted", "b"],
+		]);
+		assert.equal(interrupted.status, "completed");
+		assert.deepEqual(interrupted.progress, { total: 2, completed: 2, failed: 0 });
+		assert.equal(interrupted.startedAt, "2025-01-01T00:00:02.000Z");
+		assert.equal((await readJobFile("interrupted")).status, "completed");
+	});
+
+	it("finishes cancelled jobs without running them and leaves finished ones alone", async () => {
+		assert.equal(getJob("cancelling").status, "cancelled");
+		assert.equal((await readJobFile("cancelling")).status, "cancelled");
+		assert.equal(getJob("finished").status, "completed");
+		assert.ok(!runs.some(([id]) => id === "cancelling" || id === "finished"));
+	});
+
+	it("runs and persists new jobs, closing their progress channel", async () => {
+		const job = await createJob("test", { items: ["x", "bad"] }, { total: 2, workspace: "studio" });
+		await waitForJob(job.id);
+
+		assert.equal(job.status, "completed");
+		assert.deepEqual(job.progress, { total: 2, completed: 1, failed: 1 });
+		assert.equal(getJob(job.id, "default"), null);
+		assert.deepEqual((await readJobFile(job.id)).results, job.results);
+
+		const events = getProgressEvents(progressChannel("studio", job.id));
+		assert.deepEqual(
+			events.map((e) => e.type),
+			["status", "status", "item", "item", "done"]
+		);
+		assert.equal(events.at(-1).status, "completed");
+	});
+});
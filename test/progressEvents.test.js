@@ -0,0 +1,116 @@
+// test/progressEvents.test.js
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "events";
+import { getProgressEvents, progressChannel, publishProgress, streamProgress } from "../utils/progressEvents.js";
+
+function mockRequest(headers = {}, query = {}) {
+	const req = new EventEmitter();
+	req.query = query;
+	req.get = (name) => headers[name.toLowerCase()];
+	return req;
+}
+
+function mockResponse() {
+	return {
+		statusCode: 200,
+		headers: {},
+		chunks: [],
+		ended: false,
+		status(code) {
+			this.statusCode = code;
+			return this;
+		},
+		set(headers) {
+			Object.assign(this.headers, headers);
+			return this;
+		},
+		flushHeaders() {},
+		write(chunk) {
+			this.chunks.push(chunk);
+		},
+		end() {
+			this.ended = true;
+		},
+		// Parsed `data:` payloads written so far
+		get events() {
+			return this.chunks.filter((c) => c.startsWith("id: ")).map((c) => JSON.parse(c.split("data: ")[1]));
+		},
+	};
+}
+
+let channelCount = 0;
+
+// A fresh channel per test
+const testChannel = () => progressChannel("test", `channel-${++channelCount}`);
+
+describe("progress channels", () => {
+	it("replays events after Last-Event-ID and ends straight away once done", () => {
+		const channel = testChannel();
+		publishProgress(channel, { type: "batch", stage: "started" });
+		publishProgress(channel, { type: "item", index: 1 });
+		publishProgress(channel, { type: "done", status: "completed" });
+
+		const res = mockResponse();
+		streamProgress(mockRequest({ "last-event-id": "1" }), res, channel);
+		assert.equal(res.headers["Content-Type"], "text/event-stream");
+		assert.deepEqual(
+			res.events.map((e) => [e.id, e.type]),
+			[
+				[2, "item"],
+				[3, "done"],
+			]
+		);
+		assert.equal(res.ended, true);
+	});
+
+	it("streams live events to a subscriber and disconnects it after done", () => {
+		const channel = testChannel();
+		publishProgress(channel, { type: "batch", stage: "started" });
+
+		const res = mockResponse();
+		streamProgress(mockRequest(), res, channel);
+		assert.equal(res.ended, false);
+
+		publishProgress(channel, { type: "item", index: 1 });
+		publishProgress(channel, { type: "done", status: "failed", error: "boom" });
+		assert.deepEqual(
+			res.events.map((e) => e.type),
+			["batch", "item", "done"]
+		);
+		assert.equal(res.events.at(-1).error, "boom");
+		assert.equal(res.ended, true);
+
+		// Nothing more reaches a finished stream
+		publishProgress(channel, { type: "item", index: 2 });
+		assert.equal(res.events.length, 3);
+	});
+
+	it("stops writing to a client that went away", () => {
+		const channel = testChannel();
+		const req = mockRequest();
+		const res = mockResponse();
+		streamProgress(req, res, channel);
+
+		req.emit("close");
+		publishProgress(channel, { type: "item", index: 1 });
+		assert.deepEqual(res.events, []);
+	});
+
+	it("reopens a finished channel that is published to again", () => {
+		const channel = testChannel();
+		publishProgress(channel, { type: "done", status: "completed" });
+		publishProgress(channel, { type: "batch", stage: "started" });
+
+		const res = mockResponse();
+		streamProgress(mockRequest({}, { lastEventId: "1" }), res, channel);
+		assert.equal(res.ended, false);
+		assert.deepEqual(
+			getProgressEvents(channel).map((e) => e.type),
+			["done", "batch"]
+		);
+
+		publishProgress(channel, { type: "done", status: "completed" });
+		assert.equal(res.ended, true);
+	});
+});
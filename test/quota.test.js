@@ -0,0 +1,125 @@
+// test/quota.test.js
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { checkGenerationQuota, getQuotas, rateLimit } from "../utils/quota.js";
+
+function mockResponse() {
+	return {
+		statusCode: 200,
+		headers: {},
+		body: null,
+		set(name, value) {
+			Object.assign(this.headers, typeof name === "object" ? name : { [name]: value });
+			return this;
+		},
+		status(code) {
+			this.statusCode = code;
+			return this;
+		},
+		json(body) {
+			this.body = body;
+			return this;
+		},
+	};
+}
+
+let keyCount = 0;
+
+// A fresh key id per test, so buckets never carry over between tests
+function testKey(overrides = {}) {
+	keyCount++;
+	return { id: `test-key-${keyCount}`, name: `key-${keyCount}`, workspace: "default", role: "member", ...overrides };
+}
+
+// Send one request through the middleware; returns the response, with `passed` set when next() ran
+function send(middleware, auth) {
+	const res = mockResponse();
+	res.passed = false;
+	middleware({ auth }, res, () => {
+		res.passed = true;
+	});
+	return res;
+}
+
+describe("rateLimit", () => {
+	it("allows up to capacity, then 429s with the time to the next token", (t) => {
+		let now = 1_000_000;
+		t.mock.method(Date, "now", () => now);
+		const auth = testKey({ rateLimits: { generate: { capacity: 2, refillPerMinute: 6 } } });
+		const limiter = rateLimit("generate");
+
+		assert.equal(send(limiter, auth).headers["X-RateLimit-Remaining"], "1");
+		assert.equal(send(limiter, auth).headers["X-RateLimit-Remaining"], "0");
+
+		const limited = send(limiter, auth);
+		assert.equal(limited.passed, false);
+		assert.equal(limited.statusCode, 429);
+		assert.equal(limited.body.retryAfter, 10); // One token every 10s at 6 a minute
+		assert.equal(limited.headers["Retry-After"], "10");
+
+		now += 5_000;
+		assert.equal(send(limiter, auth).body.retryAfter, 5);
+
+		now += 5_000;
+		assert.equal(send(limiter, auth).passed, true);
+	});
+
+	it("refills no higher than capacity", (t) => {
+		let now = 1_000_000;
+		t.mock.method(Date, "now", () => now);
+		const auth = testKey({ rateLimits: { upload: { capacity: 3, refillPerMinute: 60 } } });
+		const limiter = rateLimit("upload");
+
+		send(limiter, auth);
+		now += 60 * 60_000;
+		const results = [1, 2, 3, 4].map(() => send(limiter, auth).passed);
+		assert.deepEqual(results, [true, true, true, false]);
+	});
+
+	it("keeps a bucket per key, even within one workspace", (t) => {
+		t.mock.method(Date, "now", () => 1_000_000);
+		const rateLimits = { video: { capacity: 1, refillPerMinute: 1 } };
+		const first = testKey({ rateLimits });
+		const second = testKey({ rateLimits });
+		const limiter = rateLimit("video");
+
+		assert.equal(send(limiter, first).passed, true);
+		assert.equal(send(limiter, first).passed, false);
+		assert.equal(send(limiter, second).passed, true);
+	});
+
+	it("passes everything through for a bucket without a limit", () => {
+		const auth = testKey({ rateLimits: { generate: null } });
+		const limiter = rateLimit("generate");
+		for (let i = 0; i < 50; i++) {
+			assert.equal(send(limiter, auth).passed, true);
+		}
+	});
+});
+
+describe("getQuotas", () => {
+	it("applies per-key overrides over the defaults", () => {
+		const quotas = getQuotas(testKey({ quotas: { imagesPerDay: "unlimited", maxCount: "4", concurrentJobs: null } }));
+		assert.equal(quotas.imagesPerDay, null);
+		assert.equal(quotas.maxCount, 4);
+		assert.equal(quotas.concurrentJobs, null);
+	});
+});
+
+describe("checkGenerationQuota", () => {
+	it("rejects a count over the per-request limit", () => {
+		const result = checkGenerationQuota(testKey({ quotas: { maxCount: 4 } }), 5);
+		assert.equal(result.quota, "maxCount");
+		assert.equal(result.limit, 4);
+	});
+
+	it("charges count x batchSize images against the daily quota", () => {
+		const auth = testKey({ quotas: { imagesPerDay: 10, maxCount: 8 } });
+		assert.equal(checkGenerationQuota(auth, 2, 4), null);
+
+		const result = checkGenerationQuota(auth, 3, 4);
+		assert.equal(result.quota, "imagesPerDay");
+		assert.equal(result.used, 0);
+		assert.ok(result.retryAfter > 0 && result.retryAfter <= 24 * 60 * 60);
+	});
+});
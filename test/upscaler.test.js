@@ -0,0 +1,110 @@
+// test/upscaler.test.js
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import http from "http";
+import os from "os";
+import path from "path";
+import sharp from "sharp";
+
+let root;
+let server;
+let models = ["4x.pth"];
+let upscaleImage;
+
+// Just enough of the ComfyUI API for the upscale graph: it "runs" a prompt by
+// saving an opaque grey image at node 4's size, as a real model would
+function fakeComfy() {
+	const outputs = new Map();
+	return http.createServer(async (req, res) => {
+		const chunks = [];
+		for await (const chunk of req) chunks.push(chunk);
+		const body = Buffer.concat(chunks);
+		const send = (data, type = "application/json") => {
+			res.writeHead(200, { "Content-Type": type });
+			res.end(type === "application/json" ? JSON.stringify(data) : data);
+		};
+
+		if (req.url.startsWith("/object_info/UpscaleModelLoader")) {
+			return send({ UpscaleModelLoader: { input: { required: { model_name: [models] } } } });
+		}
+		if (req.url === "/upload/image") {
+			return send({ name: "source.png" });
+		}
+		if (req.url === "/prompt") {
+			const { width, height } = JSON.parse(body).prompt["4"].inputs;
+			const id = `prompt-${outputs.size + 1}`;
+			outputs.set(id, await sharp({ create: { width, height, channels: 3, background: "#808080" } }).png().toBuffer());
+			return send({ prompt_id: id });
+		}
+		if (req.url.startsWith("/history/")) {
+			const id = req.url.slice("/history/".length);
+			return send({ [id]: { status: { completed: true, status_str: "success" }, outputs: { 5: { images: [{ filename: `${id}.png` }] } } } });
+		}
+		if (req.url.startsWith("/view")) {
+			const filename = new URL(req.url, "http://localhost").searchParams.get("filename");
+			return send(outputs.get(filename.replace(/\.png$/, "")), "image/png");
+		}
+		res.writeHead(404).end();
+	});
+}
+
+// A 16x16 cutout: opaque square in the middle of a transparent canvas
+async function writeCutout(filePath) {
+	const square = await sharp({ create: { width: 8, height: 8, channels: 4, background: "#ff0000ff" } }).png().toBuffer();
+	await sharp({ create: { width: 16, height: 16, channels: 4, background: "#00000000" } })
+		.composite([{ input: square, left: 4, top: 4 }])
+		.png()
+		.toFile(filePath);
+}
+
+const alphaAt = async (buffer, x, y) => {
+	const { data, info } = await sharp(buffer).raw().toBuffer({ resolveWithObject: true });
+	return data[(y * info.width + x) * info.channels + 3];
+};
+
+before(async () => {
+	root = await fs.mkdtemp(path.join(os.tmpdir(), "upscaler-test-"));
+	server = fakeComfy();
+	await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+	// Config is read on import, so point ComfyUI at the fake first
+	process.env.COMFY_URL = `http://127.0.0.1:${server.address().port}`;
+	process.env.COMFY_WEBSOCKET = "false";
+	process.env.COMFY_RETRIES = "0";
+	({ upscaleImage } = await import("../utils/upscaler.js"));
+});
+
+after(async () => {
+	await new Promise((resolve) => server.close(resolve));
+	await fs.rm(root, { recursive: true, force: true });
+});
+
+describe("upscaleImage", () => {
+	it("keeps the alpha of a cutout upscaled through ComfyUI", async () => {
+		const source = path.join(root, "cutout_no_bg.png");
+		await writeCutout(source);
+
+		const result = await upscaleImage(source, { scale: 2, method: "comfy" });
+		assert.equal(result.method, "comfy");
+		assert.deepEqual([result.width, result.height], [32, 32]);
+
+		const metadata = await sharp(result.buffer).metadata();
+		assert.equal(metadata.format, "png");
+		assert.equal(metadata.hasAlpha, true);
+		assert.equal(await alphaAt(result.buffer, 1, 1), 0);
+		assert.equal(await alphaAt(result.buffer, 16, 16), 255);
+	});
+
+	it("falls back to sharp when ComfyUI has no upscale model", async () => {
+		models = [];
+		const source = path.join(root, "fallback_no_bg.png");
+		await writeCutout(source);
+
+		const result = await upscaleImage(source, { scale: 1.5, method: "auto" });
+		assert.equal(result.method, "sharp");
+		assert.deepEqual([result.width, result.height], [24, 24]);
+		assert.deepEqual(result.attempts, [{ method: "comfy", error: "No upscale model installed in ComfyUI" }]);
+		assert.equal(await alphaAt(result.buffer, 0, 0), 0);
+	});
+});
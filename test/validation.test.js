@@ -0,0 +1,119 @@
+// test/validation.test.js
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { ValidationError, resolveStoragePath, validate, validateFields } from "../utils/validation.js";
+
+function mockResponse() {
+	return {
+		statusCode: 200,
+		body: null,
+		status(code) {
+			this.statusCode = code;
+			return this;
+		},
+		json(body) {
+			this.body = body;
+			return this;
+		},
+	};
+}
+
+describe("validateFields", () => {
+	it("coerces query-string values to the declared type", () => {
+		const { values, errors } = validateFields(
+			{ count: "3", scale: "1.5", watermark: "false", tags: "a, b,,c" },
+			{ count: { type: "integer" }, scale: { type: "number" }, watermark: { type: "boolean" }, tags: { type: "array" } },
+			"query"
+		);
+		assert.deepEqual(errors, []);
+		assert.deepEqual(values, { count: 3, scale: 1.5, watermark: false, tags: ["a", "b", "c"] });
+	});
+
+	it("rejects strings that do not coerce", () => {
+		const { errors } = validateFields(
+			{ count: "three", scale: " ", watermark: "yes" },
+			{ count: { type: "integer" }, scale: { type: "number" }, watermark: { type: "boolean" } },
+			"query"
+		);
+		assert.deepEqual(errors, [
+			{ field: "query.count", message: "must be an integer" },
+			{ field: "query.scale", message: "must be a number" },
+			{ field: "query.watermark", message: "must be true or false" },
+		]);
+	});
+
+	it("applies defaults to missing, null and empty values and drops unknown fields", () => {
+		const { values, errors } = validateFields(
+			{ limit: "", offset: null, extra: "ignored" },
+			{ limit: { type: "integer", default: 50 }, offset: { type: "integer", default: 0 }, seed: { type: "integer", default: () => 7 } },
+			"query"
+		);
+		assert.deepEqual(errors, []);
+		assert.deepEqual(values, { limit: 50, offset: 0, seed: 7 });
+	});
+
+	it("reports missing required fields and range errors", () => {
+		const { errors } = validateFields(
+			{ count: 0, format: "gif" },
+			{ prompt: { type: "string", required: true }, count: { type: "integer", min: 1 }, format: { type: "string", enum: ["png", "jpeg"] } },
+			"body"
+		);
+		assert.deepEqual(errors, [
+			{ field: "body.prompt", message: "is required" },
+			{ field: "body.count", message: "must be >= 1" },
+			{ field: "body.format", message: "must be one of: png, jpeg" },
+		]);
+	});
+
+	it("validates nested objects and array items", () => {
+		const schema = {
+			shadow: { type: "object", fields: { opacity: { type: "number", max: 1 }, blur: { type: "integer", default: 4 } } },
+			layers: { type: "array", items: { type: "object", fields: { filename: { type: "filename", required: true } } } },
+		};
+		const { values, errors } = validateFields(
+			{ shadow: { opacity: 2 }, layers: [{ filename: "a.png", extra: true }, { filename: "../b.png" }] },
+			schema,
+			"body"
+		);
+		assert.deepEqual(errors, [
+			{ field: "body.shadow.opacity", message: "must be <= 1" },
+			{ field: "body.layers[1].filename", message: "must be a plain file name (no path separators or '..')" },
+		]);
+		assert.deepEqual(values.layers[0], { filename: "a.png" });
+	});
+});
+
+describe("validate", () => {
+	it("replaces req.query with the coerced values", () => {
+		const req = { query: { limit: "10" }, body: {}, params: {} };
+		let called = false;
+		validate({ query: { limit: { type: "integer", default: 50 }, offset: { type: "integer", default: 0 } } })(req, mockResponse(), () => {
+			called = true;
+		});
+		assert.ok(called);
+		assert.deepEqual(req.query, { limit: 10, offset: 0 });
+	});
+
+	it("responds 400 with every invalid field", () => {
+		const req = { query: { limit: "x" }, body: {}, params: { id: "../etc" } };
+		const res = mockResponse();
+		validate({ params: { id: { type: "id" } }, query: { limit: { type: "integer" } } })(req, res, () => assert.fail("next() called"));
+		assert.equal(res.statusCode, 400);
+		assert.equal(res.body.success, false);
+		assert.deepEqual(
+			res.body.errors.map((e) => e.field),
+			["params.id", "query.limit"]
+		);
+	});
+});
+
+describe("resolveStoragePath", () => {
+	it("joins plain file names onto the directory", () => {
+		assert.equal(resolveStoragePath("processed/exports", "a.png"), "processed/exports/a.png");
+	});
+
+	it("refuses names that leave the directory", () => {
+		assert.throws(() => resolveStoragePath("processed/exports", "../config.json"), ValidationError);
+		assert.throws(() => resolveStoragePath("processed/exports", ".."), ValidationError);
+	});
+});
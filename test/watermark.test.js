@@ -0,0 +1,147 @@
+// test/watermark.test.js
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "child_process";
+import fs from "fs/promises";
+import net from "net";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import sharp from "sharp";
+
+const REPO = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const ADMIN_KEY = "admin-key-0123456789";
+const MEMBER_KEY = "member-key-0123456789";
+
+let root;
+let server;
+let baseUrl;
+let applyWatermark;
+let watermarkProfile;
+
+const freePort = () =>
+	new Promise((resolve) => {
+		const probe = net.createServer().listen(0, "127.0.0.1", () => {
+			const { port } = probe.address();
+			probe.close(() => resolve(port));
+		});
+	});
+
+// Run server.js in the scratch directory, with autoApply on and no AI services reachable
+async function startServer() {
+	await fs.mkdir(path.join(root, "processed", "generated"), { recursive: true });
+	await sharp({ create: { width: 64, height: 64, channels: 3, background: "#808080" } })
+		.png()
+		.toFile(path.join(root, "processed", "generated", "look.png"));
+	await fs.writeFile(path.join(root, "config.json"), JSON.stringify({ watermarks: { autoApply: "preview" } }));
+
+	const port = await freePort();
+	baseUrl = `http://127.0.0.1:${port}`;
+	server = spawn(process.execPath, [path.join(REPO, "server.js")], {
+		cwd: root,
+		env: {
+			...process.env,
+			PORT: String(port),
+			CONFIG_FILE: path.join(root, "config.json"),
+			API_KEYS: `${ADMIN_KEY}:default:admin:admin,${MEMBER_KEY}:default:member:member`,
+			COMFY_URL: "http://127.0.0.1:1",
+			REMBG_URL: "http://127.0.0.1:1",
+			N8N_URL: "http://127.0.0.1:1",
+			WORKFLOWS_DIR: path.join(REPO, "workflows"),
+			SCENES_DIR: path.join(REPO, "scenes"),
+		},
+		stdio: ["ignore", "pipe", "pipe"],
+	});
+
+	let output = "";
+	await new Promise((resolve, reject) => {
+		server.stdout.on("data", (chunk) => {
+			output += chunk;
+			if (output.includes("Backend server running")) resolve();
+		});
+		server.stderr.on("data", (chunk) => (output += chunk));
+		server.on("exit", (code) => reject(new Error(`server.js exited with ${code}:\n${output}`)));
+	});
+}
+
+// Upscale the generated image with one key and download the result with the same key
+async function upscaleAs(key) {
+	const headers = { "X-API-Key": key, "Content-Type": "application/json" };
+	const response = await fetch(`${baseUrl}/upscale`, {
+		method: "POST",
+		headers,
+		body: JSON.stringify({ filenames: ["look.png"], scale: 2, method: "sharp" }),
+	});
+	const body = await response.json();
+	assert.equal(body.success, true, JSON.stringify(body));
+
+	const download = await fetch(`${baseUrl}${body.results[0].url}`, { headers });
+	assert.equal(download.status, 200);
+	return sharp(Buffer.from(await download.arrayBuffer()))
+		.raw()
+		.toBuffer();
+}
+
+const grey = (channels) => sharp({ create: { width: 64, height: 64, channels, background: "#80808080" } }).png().toBuffer();
+
+before(async () => {
+	root = await fs.mkdtemp(path.join(os.tmpdir(), "watermark-test-"));
+
+	// Config is read on import, so give this process its own profiles first
+	process.env.CONFIG_FILE = path.join(root, "profiles.json");
+	await fs.writeFile(process.env.CONFIG_FILE, JSON.stringify({ watermarks: { profiles: { stamp: { text: "TEST", opacity: 1, tiled: true } } } }));
+	({ applyWatermark, watermarkProfile } = await import("../utils/watermark.js"));
+});
+
+after(async () => {
+	await fs.rm(root, { recursive: true, force: true });
+});
+
+describe("watermarkProfile", () => {
+	it("fills in the defaults for a configured profile and names it", () => {
+		const profile = watermarkProfile("stamp");
+		assert.equal(profile.name, "stamp");
+		assert.equal(profile.text, "TEST");
+		assert.equal(profile.opacity, 1);
+		assert.equal(profile.position, "bottom-right");
+		assert.equal(profile.outline, "#000000");
+	});
+
+	it("returns null for an unknown profile", () => {
+		assert.equal(watermarkProfile("missing"), null);
+	});
+});
+
+describe("applyWatermark", () => {
+	it("keeps the format and channels of the image it stamps", async () => {
+		for (const channels of [3, 4]) {
+			const source = await grey(channels);
+			const { buffer, format } = await applyWatermark(source, watermarkProfile("stamp"));
+			assert.equal(format, "png");
+			assert.equal((await sharp(buffer).metadata()).channels, channels);
+			assert.notDeepEqual(await sharp(buffer).raw().toBuffer(), await sharp(source).raw().toBuffer());
+		}
+	});
+});
+
+describe("watermarks.autoApply", () => {
+	before(startServer);
+
+	after(async () => {
+		if (server.exitCode === null) {
+			await new Promise((resolve) => {
+				server.once("exit", resolve);
+				server.kill();
+			});
+		}
+	});
+
+	it("stamps a generated image a member key upscales", async () => {
+		const clean = await upscaleAs(ADMIN_KEY);
+		const stamped = await upscaleAs(MEMBER_KEY);
+
+		assert.equal(stamped.length, clean.length);
+		assert.ok(clean.every((value) => value === 0x80), "the admin copy is unstamped");
+		assert.notDeepEqual(stamped, clean);
+	});
+});
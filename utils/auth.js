@@ -0,0 +1,168 @@
+// utils/auth.js
+import crypto from "crypto";
+import { config } from "./config.js";
+import { DEFAULT_WORKSPACE, isValidWorkspaceName } from "./workspace.js";
+
+/**
+ * What each role may do. Routes declare the permission they need.
+ */
+export const ROLES = {
+	admin: ["read", "write", "generate", "admin"],
+	member: ["read", "write", "generate"],
+	viewer: ["read"],
+};
+
+const hashKey = (key) => crypto.createHash("sha256").update(key).digest();
+
+/**
+ * Normalise and validate the configured keys once at startup
+ */
+function loadKeys() {
+	const errors = [];
+	const names = new Set();
+	const keys = config.auth.keys.map((entry, i) => {
+		const role = entry.role || "member";
+		const workspace = entry.workspace || DEFAULT_WORKSPACE;
+		const name = entry.name || `key-${i + 1}`;
+		const hash = hashKey(entry.key);
+
+		if (!ROLES[role]) {
+			errors.push(`auth.keys[${i}].role must be one of ${Object.keys(ROLES).join(", ")}, got "${role}"`);
+		}
+		if (!isValidWorkspaceName(workspace)) {
+			errors.push(`auth.keys[${i}].workspace is not a valid workspace name: "${workspace}"`);
+		}
+		// Usage is reported by name, so two keys must not share one
+		if (names.has(name)) {
+			errors.push(`auth.keys[${i}].name "${name}" is already used by another key`);
+		}
+		names.add(name);
+
+		return {
+			hash,
+			id: hash.toString("hex").slice(0, 16), // Stable per key: owns its jobs, quotas and rate-limit buckets
+			name,
+			workspace,
+			role,
+			quotas: entry.quotas || {},
+			rateLimits: entry.rateLimits || {},
+		};
+	});
+
+	if (errors.length > 0) {
+		throw new Error(`Invalid configuration:\n  - ${errors.join("\n  - ")}`);
+	}
+	return keys;
+}
+
+const keys = loadKeys();
+
+// GET routes that also take the key as ?apiKey=
+const KEY_IN_QUERY_PATHS = ["/progress/", "/generated-images/", "/upscaled-images/", "/videos/", "/print-exports/", "/marketplace-exports/"];
+
+export function isAuthEnabled() {
+	return keys.length > 0;
+}
+
+/**
+ * Read the caller's key from X-API-Key or "Authorization: Bearer".
+ * EventSource, <img> and <video> tags cannot send headers, so /progress streams
+ * and stored output files also accept ?apiKey=.
+ */
+function readKey(req) {
+	const header = req.get("x-api-key");
+	if (header) return header;
+
+	const authorization = req.get("authorization");
+	if (authorization && authorization.startsWith("Bearer ")) {
+		return authorization.slice(7).trim();
+	}
+
+	const keyInQuery = KEY_IN_QUERY_PATHS.some((prefix) => req.path.startsWith(prefix));
+	if (req.method === "GET" && keyInQuery && typeof req.query.apiKey === "string") {
+		return req.query.apiKey;
+	}
+	return null;
+}
+
+function findKey(presented) {
+	const presentedHash = hashKey(presented);
+	return keys.find((k) => crypto.timingSafeEqual(k.hash, presentedHash)) || null;
+}
+
+/**
+ * Resolve req.auth = { id, name, workspace, role, permissions, quotas, rateLimits }.
+ * With no keys configured every caller is an admin of the default workspace.
+ */
+export function authenticate(req, res, next) {
+	if (!isAuthEnabled()) {
+		req.auth = {
+			id: "anonymous",
+			name: "anonymous",
+			workspace: DEFAULT_WORKSPACE,
+			role: "admin",
+			permissions: ROLES.admin,
+			quotas: {},
+			rateLimits: {},
+		};
+		return next();
+	}
+
+	const presented = readKey(req);
+	if (!presented) {
+		return res.status(401).json({
+			success: false,
+			error: "API key required (X-API-Key header or Authorization: Bearer <key>)",
+		});
+	}
+
+	const key = findKey(presented);
+	if (!key) {
+		return res.status(401).json({
+			success: false,
+			error: "Invalid API key",
+		});
+	}
+
+	req.auth = {
+		id: key.id,
+		name: key.name,
+		workspace: key.workspace,
+		role: key.role,
+		permissions: ROLES[key.role],
+		quotas: key.quotas,
+		rateLimits: key.rateLimits,
+	};
+	next();
+}
+
+/**
+ * Route guard: 403 unless the caller's role grants the permission
+ */
+export function requirePermission(permission) {
+	return (req, res, next) => {
+		if (!req.auth || !req.auth.permissions.includes(permission)) {
+			return res.status(403).json({
+				success: false,
+				error: `Permission denied: requires "${permission}"`,
+				role: req.auth?.role,
+			});
+		}
+		next();
+	};
+}
+
+/**
+ * Configured keys without their secrets (for usage reporting)
+ */
+export function listKeys() {
+	return keys.map(({ id, name, workspace, role, quotas, rateLimits }) => ({ id, name, workspace, role, quotas, rateLimits }));
+}
+
+export default {
+	ROLES,
+	listKeys,
+	isAuthEnabled,
+	authenticate,
+	requirePermission,
+};
@@ -0,0 +1,275 @@
+// utils/backgroundRemoval.js
+import fs from "fs/promises";
+import path from "path";
+import sharp from "sharp";
+import {
+	checkComfyHealth,
+	fetchComfyOutput,
+	isNodeAvailable,
+	queuePrompt,
+	uploadImageToComfy,
+	waitForCompletion,
+} from "./comfyProcessor.js";
+import { config } from "./config.js";
+import { isCircuitOpen, serviceFetch } from "./httpClient.js";
+
+export const PROVIDER_NAMES = ["rembg", "comfy", "local"];
+
+const rembgHeaders = () => (config.rembg.apiKey ? { "X-API-Key": config.rembg.apiKey } : {});
+
+// ========================================
+// PROVIDERS
+// ========================================
+// Each provider: { name, isAvailable(), isReady(), remove(inputPath, options) -> PNG Buffer }
+// isAvailable() may hit the network (checked once per batch); isReady() must not
+// (checked before every file so a dead service is skipped without waiting on it).
+
+/**
+ * Remote rembg HTTP service
+ */
+const rembgProvider = {
+	name: "rembg",
+
+	async isAvailable() {
+		return serviceFetch("rembg", "/health", { headers: rembgHeaders(), retries: 0 })
+			.then((r) => r.ok)
+			.catch(() => false);
+	},
+
+	isReady() {
+		return !isCircuitOpen("rembg");
+	},
+
+	async remove(inputPath) {
+		const FormData = (await import("form-data")).default;
+		const formData = new FormData();
+		formData.append("image", await fs.readFile(inputPath), {
+			filename: path.basename(inputPath),
+			contentType: "image/jpeg",
+		});
+
+		const response = await serviceFetch("rembg", "/remove-background", {
+			method: "POST",
+			idempotent: true, // Same input, same output - safe to resend
+			body: formData.getBuffer(),
+			headers: { ...formData.getHeaders(), ...rembgHeaders() },
+		});
+
+		if (!response.ok) {
+			throw new Error(`rembg service error: ${response.status}`);
+		}
+		return Buffer.from(await response.arrayBuffer());
+	},
+};
+
+/**
+ * ComfyUI segmentation workflow: LoadImage -> <segmentation node> -> SaveImage
+ */
+const comfyProvider = {
+	name: "comfy",
+
+	async isAvailable() {
+		return (await checkComfyHealth()) && (await isNodeAvailable(config.backgroundRemoval.comfy.nodeType));
+	},
+
+	isReady() {
+		return !isCircuitOpen("comfy");
+	},
+
+	async remove(inputPath) {
+		const { nodeType, imageInput, inputs, timeoutMs } = config.backgroundRemoval.comfy;
+		const uploadedName = await uploadImageToComfy(inputPath);
+
+		const workflow = {
+			1: {
+				inputs: { image: uploadedName, upload: "image" },
+				class_type: "LoadImage",
+			},
+			2: {
+				inputs: { ...inputs, [imageInput]: ["1", 0] },
+				class_type: nodeType,
+			},
+			3: {
+				inputs: { images: ["2", 0], filename_prefix: "no_bg" },
+				class_type: "SaveImage",
+			},
+		};
+
+		const { prompt_id: promptId } = await queuePrompt(workflow);
+		const completion = await waitForCompletion(promptId, timeoutMs);
+		if (!completion.success) {
+			throw new Error(`ComfyUI segmentation failed: ${completion.error}`);
+		}
+
+		const image = completion.status.outputs?.["3"]?.images?.[0];
+		if (!image) {
+			throw new Error("ComfyUI segmentation produced no image");
+		}
+
+		// Normalise whatever the node saved to an RGBA PNG
+		return sharp(await fetchComfyOutput(image.filename)).ensureAlpha().png().toBuffer();
+	},
+};
+
+/**
+ * Built-in remover for products shot on a plain (usually white) backdrop.
+ * Samples the border to find the background colour, flood-fills from the edges
+ * through pixels close to it and makes them transparent, fading the alpha over
+ * `softness` for smoother edges. Only background connected to the border is
+ * removed, so white areas inside the product survive.
+ */
+const localProvider = {
+	name: "local",
+
+	async isAvailable() {
+		return true;
+	},
+
+	isReady() {
+		return true;
+	},
+
+	async remove(inputPath, options = {}) {
+		const settings = { ...config.backgroundRemoval.local, ...options };
+		const tolerance = Number(settings.tolerance);
+		const softness = Number(settings.softness);
+
+		const { data, info } = await sharp(inputPath).removeAlpha().raw().toBuffer({ resolveWithObject: true });
+		const { width, height } = info;
+		const pixelCount = width * height;
+
+		const border = [];
+		for (let x = 0; x < width; x++) border.push(x, (height - 1) * width + x);
+		for (let y = 1; y < height - 1; y++) border.push(y * width, y * width + width - 1);
+
+		const background = medianColor(data, border);
+		const distance = (p) => {
+			const i = p * 3;
+			return Math.hypot(data[i] - background[0], data[i + 1] - background[1], data[i + 2] - background[2]);
+		};
+
+		const matching = border.filter((p) => distance(p) <= tolerance).length;
+		const coverage = matching / border.length;
+		if (coverage < settings.minBorderCoverage) {
+			throw new Error(
+				`Background is not plain enough for the local remover (${Math.round(coverage * 100)}% of the border matches, ` +
+					`${Math.round(settings.minBorderCoverage * 100)}% required)`
+			);
+		}
+
+		// Flood fill from every border pixel through "background-ish" pixels
+		const alpha = new Uint8Array(pixelCount).fill(255);
+		const visited = new Uint8Array(pixelCount);
+		const queue = new Int32Array(pixelCount);
+		let head = 0;
+		let tail = 0;
+		const limit = tolerance + softness;
+
+		const visit = (p) => {
+			if (visited[p]) return;
+			visited[p] = 1;
+			const d = distance(p);
+			if (d > limit) return;
+
+			// Fully transparent within tolerance, fading back in across the soft band
+			alpha[p] = d <= tolerance ? 0 : Math.round(((d - tolerance) / Math.max(softness, 1)) * 255);
+			if (d <= tolerance) queue[tail++] = p;
+		};
+
+		for (const p of border) visit(p);
+		while (head < tail) {
+			const p = queue[head++];
+			const x = p % width;
+			if (x > 0) visit(p - 1);
+			if (x < width - 1) visit(p + 1);
+			if (p >= width) visit(p - width);
+			if (p < pixelCount - width) visit(p + width);
+		}
+
+		const rgba = Buffer.alloc(pixelCount * 4);
+		for (let p = 0; p < pixelCount; p++) {
+			rgba[p * 4] = data[p * 3];
+			rgba[p * 4 + 1] = data[p * 3 + 1];
+			rgba[p * 4 + 2] = data[p * 3 + 2];
+			rgba[p * 4 + 3] = alpha[p];
+		}
+
+		return sharp(rgba, { raw: { width, height, channels: 4 } }).png().toBuffer();
+	},
+};
+
+/**
+ * Per-channel median of the given pixels - robust against a product touching the edge
+ */
+function medianColor(data, pixels) {
+	return [0, 1, 2].map((channel) => {
+		const values = pixels.map((p) => data[p * 3 + channel]).sort((a, b) => a - b);
+		return values[Math.floor(values.length / 2)];
+	});
+}
+
+const providers = {
+	rembg: rembgProvider,
+	comfy: comfyProvider,
+	local: localProvider,
+};
+
+// ========================================
+// SELECTION
+// ========================================
+
+/**
+ * Providers to try, in order: the requested one (or the configured default),
+ * then the configured fallbacks unless disabled
+ */
+export function providerChain(requested = null, { fallback = true } = {}) {
+	const primary = requested || config.backgroundRemoval.provider;
+	const chain = fallback ? [primary, ...config.backgroundRemoval.fallbacks] : [primary];
+	return [...new Set(chain)];
+}
+
+/**
+ * Check which providers of a chain are reachable right now
+ */
+export async function checkProviders(chain = PROVIDER_NAMES) {
+	const checks = await Promise.all(chain.map((name) => providers[name].isAvailable().catch(() => false)));
+	return Object.fromEntries(chain.map((name, i) => [name, checks[i]]));
+}
+
+/**
+ * Remove the background of one image with the first provider in `chain` that
+ * succeeds. Returns { buffer, provider, attempts: [{ provider, error }] }.
+ */
+export async function removeBackground(inputPath, chain, options = {}) {
+	const attempts = [];
+
+	for (const name of chain) {
+		const provider = providers[name];
+		if (!provider.isReady()) {
+			attempts.push({ provider: name, error: "unavailable (circuit open)" });
+			continue;
+		}
+
+		try {
+			const buffer = await provider.remove(inputPath, options[name]);
+			if (attempts.length > 0) {
+				console.log(`↪️  [BG] ${path.basename(inputPath)} handled by fallback provider "${name}"`);
+			}
+			return { buffer, provider: name, attempts };
+		} catch (error) {
+			console.error(`⚠️  [BG] Provider "${name}" failed for ${path.basename(inputPath)}:`, error.message);
+			attempts.push({ provider: name, error: error.message });
+		}
+	}
+
+	const error = new Error(attempts.map((a) => `${a.provider}: ${a.error}`).join("; ") || "No background removal provider available");
+	error.attempts = attempts;
+	throw error;
+}
+
+export default {
+	PROVIDER_NAMES,
+	providerChain,
+	checkProviders,
+	removeBackground,
+};
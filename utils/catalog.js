@@ -0,0 +1,888 @@
+// utils/catalog.js
+import fs from "fs/promises";
+import path from "path";
+import initSqlJs from "sql.js";
+import { v4 as uuidv4 } from "uuid";
+import { generatePerceptualHash, hammingDistance } from "./imageProcessor.js";
+
+const SAVE_DELAY = 200; // Batch writes that happen in quick succession
+
+let sqlModule = null;
+
+/**
+ * Schema migrations, applied in order and recorded in schema_migrations.
+ * Entries are either SQL strings or async functions of the catalog.
+ */
+const MIGRATIONS = [
+	{
+		version: 1,
+		name: "create catalog tables",
+		up: `
+			CREATE TABLE assets (
+				id TEXT PRIMARY KEY,
+				filename TEXT NOT NULL UNIQUE,
+				original_name TEXT,
+				upload_id TEXT,
+				source TEXT NOT NULL DEFAULT 'upload',
+				mimetype TEXT,
+				size INTEGER,
+				width INTEGER,
+				height INTEGER,
+				format TEXT,
+				hash TEXT,
+				status TEXT NOT NULL DEFAULT 'uploaded',
+				created_at TEXT NOT NULL,
+				updated_at TEXT NOT NULL
+			);
+			CREATE INDEX idx_assets_upload_id ON assets(upload_id);
+			CREATE INDEX idx_assets_status ON assets(status);
+			CREATE INDEX idx_assets_hash ON assets(hash);
+
+			CREATE TABLE derivatives (
+				id INTEGER PRIMARY KEY AUTOINCREMENT,
+				asset_id TEXT REFERENCES assets(id) ON DELETE CASCADE,
+				kind TEXT NOT NULL,
+				filename TEXT NOT NULL,
+				path TEXT NOT NULL,
+				size INTEGER,
+				width INTEGER,
+				height INTEGER,
+				format TEXT,
+				details TEXT,
+				created_at TEXT NOT NULL,
+				UNIQUE (kind, filename)
+			);
+			CREATE INDEX idx_derivatives_asset ON derivatives(asset_id);
+
+			CREATE TABLE processing_runs (
+				id INTEGER PRIMARY KEY AUTOINCREMENT,
+				asset_id TEXT REFERENCES assets(id) ON DELETE CASCADE,
+				operation TEXT NOT NULL,
+				status TEXT NOT NULL,
+				error TEXT,
+				duration_ms INTEGER,
+				details TEXT,
+				created_at TEXT NOT NULL
+			);
+			CREATE INDEX idx_runs_asset ON processing_runs(asset_id);
+		`,
+	},
+	{
+		version: 2,
+		name: "import metadata sidecars",
+		up: importSidecars,
+	},
+	{
+		version: 3,
+		name: "create upload batches",
+		up: `
+			CREATE TABLE batches (
+				id TEXT PRIMARY KEY,
+				file_count INTEGER NOT NULL DEFAULT 0,
+				details TEXT,
+				created_at TEXT NOT NULL,
+				updated_at TEXT NOT NULL
+			);
+			INSERT INTO batches (id, file_count, created_at, updated_at)
+				SELECT upload_id, COUNT(*), MIN(created_at), MAX(updated_at)
+				FROM assets WHERE upload_id IS NOT NULL GROUP BY upload_id;
+		`,
+	},
+	{
+		version: 4,
+		name: "add perceptual hashes",
+		up: `
+			ALTER TABLE assets ADD COLUMN perceptual_hash TEXT;
+			ALTER TABLE assets ADD COLUMN duplicate_of TEXT;
+			CREATE INDEX idx_assets_perceptual_hash ON assets(perceptual_hash);
+		`,
+	},
+	{
+		version: 5,
+		name: "backfill perceptual hashes",
+		up: backfillPerceptualHashes,
+	},
+];
+
+// sql.js refuses to bind undefined
+const bindable = (params) => params.map((value) => (value === undefined ? null : value));
+
+function now() {
+	return new Date().toISOString();
+}
+
+function parseJson(value) {
+	if (!value) return null;
+	try {
+		return JSON.parse(value);
+	} catch (error) {
+		return null;
+	}
+}
+
+// ========================================
+// ROW MAPPING
+// ========================================
+
+function toAsset(row) {
+	if (!row) return null;
+	return {
+		id: row.id,
+		filename: row.filename,
+		originalName: row.original_name,
+		uploadId: row.upload_id,
+		source: row.source,
+		mimetype: row.mimetype,
+		size: row.size,
+		width: row.width,
+		height: row.height,
+		format: row.format,
+		hash: row.hash,
+		perceptualHash: row.perceptual_hash,
+		duplicateOf: row.duplicate_of,
+		status: row.status,
+		createdAt: row.created_at,
+		updatedAt: row.updated_at,
+	};
+}
+
+function toDerivative(row) {
+	if (!row) return null;
+	return {
+		id: row.id,
+		assetId: row.asset_id,
+		kind: row.kind,
+		filename: row.filename,
+		path: row.path,
+		size: row.size,
+		width: row.width,
+		height: row.height,
+		format: row.format,
+		details: parseJson(row.details),
+		createdAt: row.created_at,
+	};
+}
+
+function toRun(row) {
+	return {
+		id: row.id,
+		assetId: row.asset_id,
+		operation: row.operation,
+		status: row.status,
+		error: row.error,
+		durationMs: row.duration_ms,
+		details: parseJson(row.details),
+		createdAt: row.created_at,
+	};
+}
+
+function toBatch(row) {
+	if (!row) return null;
+	return {
+		id: row.id,
+		fileCount: row.file_count,
+		details: parseJson(row.details),
+		createdAt: row.created_at,
+		updatedAt: row.updated_at,
+	};
+}
+
+/**
+ * Split a hex perceptual hash into threshold + 1 bands of bits. Two hashes within
+ * `threshold` bits must agree on at least one whole band, so only assets sharing a
+ * band need comparing. Returns null when the threshold covers the whole hash.
+ */
+function hashBands(perceptualHash, threshold) {
+	const bits = [...perceptualHash].map((digit) => parseInt(digit, 16).toString(2).padStart(4, "0")).join("");
+	if (threshold >= bits.length) return null;
+
+	const count = threshold + 1;
+	const bands = [];
+	for (let band = 0; band < count; band++) {
+		const start = Math.floor((band * bits.length) / count);
+		const end = Math.floor(((band + 1) * bits.length) / count);
+		bands.push(`${band}:${bits.slice(start, end)}`);
+	}
+	return bands;
+}
+
+// Asset fields updateAsset() may change
+const ASSET_COLUMNS = {
+	originalName: "original_name",
+	uploadId: "upload_id",
+	mimetype: "mimetype",
+	size: "size",
+	width: "width",
+	height: "height",
+	format: "format",
+	hash: "hash",
+	perceptualHash: "perceptual_hash",
+	duplicateOf: "duplicate_of",
+	status: "status",
+};
+
+// ========================================
+// MIGRATIONS
+// ========================================
+
+async function fileStats(filePath) {
+	try {
+		return await fs.stat(filePath);
+	} catch (error) {
+		return null;
+	}
+}
+
+/**
+ * One-off import of processed/metadata/*_meta.json and files already on disk
+ */
+async function importSidecars(catalog) {
+	const { recordAsset, updateAsset, recordDerivative, recordRun, getDerivative, getAssetByFilename, getAssetByDerivative } = catalog;
+	const { paths } = catalog;
+	let imported = 0;
+
+	const metaFiles = await fs.readdir(paths.metadata).catch(() => []);
+	for (const metaFile of metaFiles.filter((f) => f.endsWith("_meta.json"))) {
+		try {
+			const meta = JSON.parse(await fs.readFile(path.join(paths.metadata, metaFile), "utf-8"));
+			if (!meta.originalFile) continue;
+
+			const asset = recordAsset({
+				filename: meta.originalFile,
+				uploadId: meta.uploadId && meta.uploadId !== "unknown" ? meta.uploadId : null,
+				size: meta.originalSize?.fileSize ?? null,
+				createdAt: meta.processedAt,
+			});
+			updateAsset(asset.id, {
+				width: meta.originalSize?.width,
+				height: meta.originalSize?.height,
+				format: meta.originalSize?.format,
+				hash: meta.hash,
+				status: meta.noBackgroundFile ? "background-removed" : "processed",
+			});
+
+			if (meta.processedFile) {
+				recordDerivative(asset.id, {
+					kind: "resized",
+					filename: meta.processedFile,
+					path: path.join(paths.resized, meta.processedFile),
+					size: meta.processedSize?.fileSize,
+					width: meta.processedSize?.width,
+					height: meta.processedSize?.height,
+					format: meta.processedSize?.format,
+					createdAt: meta.processedAt,
+				});
+				recordRun({ assetId: asset.id, operation: "process", status: "success", durationMs: meta.processingTime, createdAt: meta.processedAt });
+			}
+
+			if (meta.noBackgroundFile) {
+				recordDerivative(asset.id, {
+					kind: "no-background",
+					filename: meta.noBackgroundFile,
+					path: path.join(paths.noBackground, meta.noBackgroundFile),
+					format: "png",
+					createdAt: meta.backgroundRemovedAt,
+				});
+				recordRun({
+					assetId: asset.id,
+					operation: "remove-background",
+					status: "success",
+					durationMs: meta.backgroundRemovalTime,
+					createdAt: meta.backgroundRemovedAt,
+				});
+			}
+			imported++;
+		} catch (error) {
+			console.error(`⚠️  [CATALOG] Skipping sidecar ${metaFile}:`, error.message);
+		}
+	}
+
+	// Files produced without a (findable) sidecar
+	const backfill = [
+		{ dir: paths.uploads, kind: null },
+		{ dir: paths.originals, kind: "original" },
+		{ dir: paths.resized, kind: "resized" },
+		{ dir: paths.noBackground, kind: "no-background" },
+		{ dir: paths.generated, kind: "generated" },
+	];
+
+	for (const { dir, kind } of backfill) {
+		const files = await fs.readdir(dir).catch(() => []);
+		for (const file of files.filter((f) => /\.(jpg|jpeg|png|gif|webp|bmp|tiff)$/i.test(f))) {
+			const filePath = path.join(dir, file);
+			const stats = await fileStats(filePath);
+			if (!stats) continue;
+
+			if (!kind) {
+				recordAsset({ filename: file, size: stats.size, createdAt: stats.mtime.toISOString() });
+				continue;
+			}
+			if (getDerivative(kind, file)) continue;
+
+			// Legacy naming: <upload>.<ext> -> <upload>_processed.jpg -> <upload>_processed_no_bg.png
+			let asset = null;
+			if (kind === "original") {
+				asset = getAssetByFilename(file);
+			} else if (kind === "resized") {
+				asset = catalog.listAssets({ limit: -1 }).assets.find((a) => file === a.filename.replace(/\.[^.]+$/, "_processed.jpg")) || null;
+			} else if (kind === "no-background") {
+				asset = getAssetByDerivative("resized", file.replace(/_no_bg\.png$/, ".jpg"));
+			}
+
+			recordDerivative(asset ? asset.id : null, {
+				kind,
+				filename: file,
+				path: filePath,
+				size: stats.size,
+				createdAt: stats.mtime.toISOString(),
+			});
+			if (asset && kind === "no-background") {
+				updateAsset(asset.id, { status: "background-removed" });
+			}
+		}
+	}
+
+	console.log(`📥 [CATALOG] Imported ${imported} metadata sidecars`);
+}
+
+/**
+ * Hash every asset whose source file is still on disk so earlier uploads take
+ * part in near-duplicate detection
+ */
+async function backfillPerceptualHashes(catalog) {
+	const { paths } = catalog;
+	let hashed = 0;
+
+	for (const asset of catalog.listAssets({ limit: -1 }).assets) {
+		for (const dir of [paths.originals, paths.uploads]) {
+			const filePath = path.join(dir, asset.filename);
+			if (!(await fileStats(filePath))) continue;
+
+			try {
+				catalog.updateAsset(asset.id, { perceptualHash: await generatePerceptualHash(filePath) });
+				hashed++;
+			} catch (error) {
+				console.error(`⚠️  [CATALOG] Could not hash ${asset.filename}:`, error.message);
+			}
+			break;
+		}
+	}
+
+	console.log(`🔍 [CATALOG] Computed perceptual hashes for ${hashed} assets`);
+}
+
+/**
+ * Open (or create) a catalog database and bring its schema up to date.
+ * paths: { catalog, metadata, uploads, originals, resized, noBackground, generated, composites, upscaled, videos, exports }
+ */
+export async function openCatalog(paths) {
+	if (!sqlModule) {
+		sqlModule = await initSqlJs();
+	}
+
+	let existing = null;
+	try {
+		existing = await fs.readFile(paths.catalog);
+	} catch (error) {
+		// First run - start with an empty database
+	}
+
+	const db = existing ? new sqlModule.Database(existing) : new sqlModule.Database();
+	db.run("PRAGMA foreign_keys = ON");
+
+	let saveTimer = null;
+	let savePromise = Promise.resolve();
+
+	// ========================================
+	// LOW-LEVEL HELPERS
+	// ========================================
+
+	function all(sql, params = []) {
+		const stmt = db.prepare(sql);
+		try {
+			stmt.bind(bindable(params));
+			const rows = [];
+			while (stmt.step()) rows.push(stmt.getAsObject());
+			return rows;
+		} finally {
+			stmt.free();
+		}
+	}
+
+	function get(sql, params = []) {
+		return all(sql, params)[0] || null;
+	}
+
+	function run(sql, params = []) {
+		db.run(sql, bindable(params));
+		const id = get("SELECT last_insert_rowid() AS id").id;
+		scheduleSave();
+		return id;
+	}
+
+	/**
+	 * Write the database file (write + rename so a crash never leaves half a file)
+	 */
+	async function saveCatalog() {
+		const data = db.export();
+		const tmpPath = `${paths.catalog}.tmp`;
+		await fs.writeFile(tmpPath, Buffer.from(data));
+		await fs.rename(tmpPath, paths.catalog);
+	}
+
+	function scheduleSave() {
+		if (saveTimer) return;
+		saveTimer = setTimeout(() => {
+			saveTimer = null;
+			savePromise = savePromise.then(saveCatalog).catch((error) => {
+				console.error("❌ [CATALOG] Failed to save catalog:", error.message);
+			});
+		}, SAVE_DELAY);
+	}
+
+	/**
+	 * Flush pending writes to disk
+	 */
+	async function flush() {
+		if (saveTimer) {
+			clearTimeout(saveTimer);
+			saveTimer = null;
+			savePromise = savePromise.then(saveCatalog);
+		}
+		await savePromise;
+	}
+
+	// ========================================
+	// ASSETS
+	// ========================================
+
+	/**
+	 * Record an uploaded (or otherwise ingested) source image
+	 */
+	function recordAsset({ filename, originalName = null, uploadId = null, source = "upload", mimetype = null, size = null, createdAt }) {
+		const existing = getAssetByFilename(filename);
+		if (existing) return existing;
+
+		const id = uuidv4();
+		const timestamp = createdAt || now();
+		run(
+			`INSERT INTO assets (id, filename, original_name, upload_id, source, mimetype, size, status, created_at, updated_at)
+			 VALUES (?, ?, ?, ?, ?, ?, ?, 'uploaded', ?, ?)`,
+			[id, filename, originalName, uploadId, source, mimetype, size, timestamp, timestamp]
+		);
+		return getAsset(id);
+	}
+
+	/**
+	 * Update selected asset fields
+	 */
+	function updateAsset(id, fields) {
+		if (bandIndex && fields.perceptualHash !== undefined) {
+			const previous = getAsset(id)?.perceptualHash;
+			if (previous) unindexHash(id, previous);
+			if (fields.perceptualHash) indexHash(id, fields.perceptualHash);
+		}
+
+		const sets = [];
+		const params = [];
+		for (const [key, column] of Object.entries(ASSET_COLUMNS)) {
+			if (fields[key] !== undefined) {
+				sets.push(`${column} = ?`);
+				params.push(fields[key]);
+			}
+		}
+		if (sets.length === 0) return getAsset(id);
+
+		sets.push("updated_at = ?");
+		params.push(now(), id);
+		run(`UPDATE assets SET ${sets.join(", ")} WHERE id = ?`, params);
+		return getAsset(id);
+	}
+
+	function getAsset(id) {
+		return toAsset(get("SELECT * FROM assets WHERE id = ?", [id]));
+	}
+
+	function getAssetByFilename(filename) {
+		return toAsset(get("SELECT * FROM assets WHERE filename = ?", [filename]));
+	}
+
+	/**
+	 * Find the asset a derivative file belongs to (e.g. a resized filename)
+	 */
+	function getAssetByDerivative(kind, filename) {
+		return toAsset(
+			get(
+				`SELECT a.* FROM assets a
+				 JOIN derivatives d ON d.asset_id = a.id
+				 WHERE d.kind = ? AND d.filename = ?`,
+				[kind, filename]
+			)
+		);
+	}
+
+	/**
+	 * Find the asset behind any file name - the upload itself or one of its derivatives
+	 */
+	function getAssetForFile(filename) {
+		return (
+			getAssetByFilename(filename) ||
+			toAsset(
+				get(
+					`SELECT a.* FROM assets a
+					 JOIN derivatives d ON d.asset_id = a.id
+					 WHERE d.filename = ?
+					 ORDER BY d.created_at DESC`,
+					[filename]
+				)
+			)
+		);
+	}
+
+	/**
+	 * List assets, newest first
+	 */
+	function listAssets({ uploadId, status, source, hash, limit = 100, offset = 0 } = {}) {
+		const where = [];
+		const params = [];
+		if (uploadId) {
+			where.push("upload_id = ?");
+			params.push(uploadId);
+		}
+		if (status) {
+			where.push("status = ?");
+			params.push(status);
+		}
+		if (source) {
+			where.push("source = ?");
+			params.push(source);
+		}
+		if (hash) {
+			where.push("hash = ?");
+			params.push(hash);
+		}
+
+		const clause = where.length ? `WHERE ${where.join(" AND ")}` : "";
+		const total = get(`SELECT COUNT(*) AS count FROM assets ${clause}`, params).count;
+		const rows = all(`SELECT * FROM assets ${clause} ORDER BY created_at DESC LIMIT ? OFFSET ?`, [...params, limit, offset]);
+
+		return { total, assets: rows.map(toAsset) };
+	}
+
+	/**
+	 * An asset with all of its derivatives and processing runs
+	 */
+	function getAssetDetail(id) {
+		const asset = getAsset(id);
+		if (!asset) return null;
+
+		return {
+			...asset,
+			derivatives: all("SELECT * FROM derivatives WHERE asset_id = ? ORDER BY created_at", [id]).map(toDerivative),
+			runs: all("SELECT * FROM processing_runs WHERE asset_id = ? ORDER BY created_at", [id]).map(toRun),
+		};
+	}
+
+	// ========================================
+	// NEAR-DUPLICATES
+	// ========================================
+
+	function hashedAssets() {
+		return all("SELECT * FROM assets WHERE perceptual_hash IS NOT NULL ORDER BY created_at").map(toAsset);
+	}
+
+	// Hashed assets bucketed by band for one threshold: built on first use, then
+	// kept current by updateAsset(). { threshold, hashes: Map<id, hash>, buckets: Map<band, Set<id>> }
+	let bandIndex = null;
+
+	const bandKeys = (perceptualHash) => hashBands(perceptualHash, bandIndex.threshold) || ["*"];
+
+	function indexHash(id, perceptualHash) {
+		bandIndex.hashes.set(id, perceptualHash);
+		for (const key of bandKeys(perceptualHash)) {
+			if (!bandIndex.buckets.has(key)) bandIndex.buckets.set(key, new Set());
+			bandIndex.buckets.get(key).add(id);
+		}
+	}
+
+	function unindexHash(id, perceptualHash) {
+		bandIndex.hashes.delete(id);
+		for (const key of bandKeys(perceptualHash)) {
+			bandIndex.buckets.get(key)?.delete(id);
+		}
+	}
+
+	/**
+	 * Ids of the assets sharing at least one hash band with `perceptualHash` - every
+	 * asset within `threshold` bits is among them
+	 */
+	function bandCandidates(perceptualHash, threshold) {
+		if (bandIndex?.threshold !== threshold) {
+			bandIndex = { threshold, hashes: new Map(), buckets: new Map() };
+			for (const row of all("SELECT id, perceptual_hash FROM assets WHERE perceptual_hash IS NOT NULL")) {
+				indexHash(row.id, row.perceptual_hash);
+			}
+		}
+
+		const ids = new Set();
+		for (const key of bandKeys(perceptualHash)) {
+			for (const id of bandIndex.buckets.get(key) || []) ids.add(id);
+		}
+		return ids;
+	}
+
+	/**
+	 * Assets whose perceptual hash is within `threshold` bits of the given one,
+	 * closest (then oldest) first. Only assets sharing a hash band are compared.
+	 */
+	function findSimilarAssets(perceptualHash, { threshold, excludeId = null } = {}) {
+		const matches = [];
+		for (const id of bandCandidates(perceptualHash, threshold)) {
+			const distance = hammingDistance(perceptualHash, bandIndex.hashes.get(id));
+			if (id !== excludeId && distance <= threshold) {
+				matches.push({ asset: getAsset(id), distance });
+			}
+		}
+		return matches.sort((a, b) => a.distance - b.distance || a.asset.createdAt.localeCompare(b.asset.createdAt));
+	}
+
+	/**
+	 * Group assets into clusters of near-duplicates (connected by distance <= threshold).
+	 * Only pairs sharing a hash band are compared, not every pair.
+	 * Only clusters with at least two assets are returned, largest first.
+	 */
+	function listDuplicateClusters({ threshold, uploadId } = {}) {
+		const assets = hashedAssets();
+		const parent = assets.map((_, i) => i);
+		const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+		const positions = new Map(assets.map((asset, i) => [asset.id, i]));
+		for (let i = 0; i < assets.length; i++) {
+			for (const id of bandCandidates(assets[i].perceptualHash, threshold)) {
+				const j = positions.get(id);
+				if (j > i && hammingDistance(assets[i].perceptualHash, assets[j].perceptualHash) <= threshold) {
+					parent[find(j)] = find(i);
+				}
+			}
+		}
+
+		const groups = new Map();
+		assets.forEach((asset, i) => {
+			const root = find(i);
+			if (!groups.has(root)) groups.set(root, []);
+			groups.get(root).push(asset);
+		});
+
+		return [...groups.values()]
+			.filter((members) => members.length > 1)
+			.filter((members) => !uploadId || members.some((a) => a.uploadId === uploadId))
+			.map((members) => ({
+				size: members.length,
+				// The oldest upload is treated as the original
+				original: members[0].id,
+				assets: members.map((asset) => ({
+					...asset,
+					distance: hammingDistance(members[0].perceptualHash, asset.perceptualHash),
+				})),
+			}))
+			.sort((a, b) => b.size - a.size);
+	}
+
+	// ========================================
+	// BATCHES
+	// ========================================
+
+	/**
+	 * Record an upload batch (the uploadId minted by /upload-images)
+	 */
+	function createBatch(id, { fileCount = 0, details = null } = {}) {
+		const timestamp = now();
+		run(
+			`INSERT INTO batches (id, file_count, details, created_at, updated_at) VALUES (?, ?, ?, ?, ?)
+			 ON CONFLICT (id) DO UPDATE SET file_count = batches.file_count + excluded.file_count, updated_at = excluded.updated_at`,
+			[id, fileCount, details ? JSON.stringify(details) : null, timestamp, timestamp]
+		);
+		return getBatch(id);
+	}
+
+	function getBatch(id) {
+		return toBatch(get("SELECT * FROM batches WHERE id = ?", [id]));
+	}
+
+	/**
+	 * Count a batch's assets by pipeline status
+	 */
+	function batchStatusCounts(id) {
+		const rows = all("SELECT status, COUNT(*) AS count FROM assets WHERE upload_id = ? GROUP BY status", [id]);
+		return Object.fromEntries(rows.map((r) => [r.status, r.count]));
+	}
+
+	/**
+	 * List batches, newest first, with per-status file counts
+	 */
+	function listBatches({ limit = 50, offset = 0 } = {}) {
+		return all("SELECT * FROM batches ORDER BY created_at DESC LIMIT ? OFFSET ?", [limit, offset]).map((row) => ({
+			...toBatch(row),
+			statusCounts: batchStatusCounts(row.id),
+		}));
+	}
+
+	/**
+	 * A batch with every file's pipeline status, derivatives and latest error
+	 */
+	function getBatchDetail(id) {
+		const batch = getBatch(id);
+		if (!batch) return null;
+
+		const files = all("SELECT * FROM assets WHERE upload_id = ? ORDER BY created_at", [id]).map((row) => {
+			const asset = toAsset(row);
+			const derivatives = all("SELECT * FROM derivatives WHERE asset_id = ? ORDER BY created_at", [asset.id]).map(toDerivative);
+			const lastFailure = get(
+				"SELECT * FROM processing_runs WHERE asset_id = ? AND status = 'failed' ORDER BY created_at DESC LIMIT 1",
+				[asset.id]
+			);
+			const has = (kind) => derivatives.some((d) => d.kind === kind);
+
+			return {
+				...asset,
+				stages: {
+					uploaded: true,
+					processed: has("resized"),
+					backgroundRemoved: has("no-background"),
+					generated: derivatives.filter((d) => d.kind === "generated").length,
+				},
+				derivatives,
+				lastError: lastFailure ? { operation: lastFailure.operation, error: lastFailure.error, at: lastFailure.created_at } : null,
+			};
+		});
+
+		return {
+			...batch,
+			statusCounts: batchStatusCounts(id),
+			files,
+		};
+	}
+
+	// ========================================
+	// DERIVATIVES & RUNS
+	// ========================================
+
+	/**
+	 * Record a file produced from an asset. assetId may be null for outputs with
+	 * no source image (text-to-image). Re-recording the same kind/filename replaces it.
+	 */
+	function recordDerivative(assetId, { kind, filename, path: filePath, size = null, width = null, height = null, format = null, details = null, createdAt }) {
+		run(
+			`INSERT INTO derivatives (asset_id, kind, filename, path, size, width, height, format, details, created_at)
+			 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+			 ON CONFLICT (kind, filename) DO UPDATE SET
+				asset_id = excluded.asset_id, path = excluded.path, size = excluded.size,
+				width = excluded.width, height = excluded.height, format = excluded.format,
+				details = excluded.details, created_at = excluded.created_at`,
+			[assetId, kind, filename, filePath, size, width, height, format, details ? JSON.stringify(details) : null, createdAt || now()]
+		);
+		return toDerivative(get("SELECT * FROM derivatives WHERE kind = ? AND filename = ?", [kind, filename]));
+	}
+
+	function getDerivative(kind, filename) {
+		return toDerivative(get("SELECT * FROM derivatives WHERE kind = ? AND filename = ?", [kind, filename]));
+	}
+
+	/**
+	 * List derivatives of a kind joined with their source asset, newest first
+	 */
+	function listDerivatives({ kind, uploadId, assetId, assetStatus, limit = 100, offset = 0 } = {}) {
+		const where = [];
+		const params = [];
+		if (assetStatus) {
+			where.push("a.status = ?");
+			params.push(assetStatus);
+		}
+		if (kind) {
+			where.push("d.kind = ?");
+			params.push(kind);
+		}
+		if (uploadId) {
+			where.push("a.upload_id = ?");
+			params.push(uploadId);
+		}
+		if (assetId) {
+			where.push("d.asset_id = ?");
+			params.push(assetId);
+		}
+
+		const clause = where.length ? `WHERE ${where.join(" AND ")}` : "";
+		const rows = all(
+			`SELECT d.*, a.filename AS asset_filename, a.upload_id AS asset_upload_id, a.hash AS asset_hash
+			 FROM derivatives d LEFT JOIN assets a ON a.id = d.asset_id
+			 ${clause} ORDER BY d.created_at DESC LIMIT ? OFFSET ?`,
+			[...params, limit, offset]
+		);
+
+		return rows.map((row) => ({
+			...toDerivative(row),
+			asset: row.asset_id ? { id: row.asset_id, filename: row.asset_filename, uploadId: row.asset_upload_id, hash: row.asset_hash } : null,
+		}));
+	}
+
+	/**
+	 * Record one processing step (process, remove-background, generate...)
+	 */
+	function recordRun({ assetId = null, operation, status, error = null, durationMs = null, details = null, createdAt }) {
+		const id = run(
+			`INSERT INTO processing_runs (asset_id, operation, status, error, duration_ms, details, created_at)
+			 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+			[assetId, operation, status, error, durationMs, details ? JSON.stringify(details) : null, createdAt || now()]
+		);
+		return id;
+	}
+
+	const catalog = {
+		paths,
+		flush,
+		recordAsset,
+		updateAsset,
+		getAsset,
+		getAssetByFilename,
+		getAssetByDerivative,
+		getAssetForFile,
+		listAssets,
+		getAssetDetail,
+		findSimilarAssets,
+		listDuplicateClusters,
+		createBatch,
+		getBatch,
+		listBatches,
+		getBatchDetail,
+		recordDerivative,
+		getDerivative,
+		listDerivatives,
+		recordRun,
+	};
+
+	// Migrations
+	db.run("CREATE TABLE IF NOT EXISTS schema_migrations (version INTEGER PRIMARY KEY, name TEXT, applied_at TEXT)");
+	const applied = new Set(all("SELECT version FROM schema_migrations").map((r) => r.version));
+
+	for (const migration of MIGRATIONS) {
+		if (applied.has(migration.version)) continue;
+
+		console.log(`🗄️  [CATALOG] Applying migration ${migration.version} to ${paths.catalog}: ${migration.name}`);
+		if (typeof migration.up === "function") {
+			await migration.up(catalog);
+		} else {
+			db.exec(migration.up);
+		}
+		run("INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)", [migration.version, migration.name, now()]);
+	}
+	await flush();
+
+	const counts = get("SELECT (SELECT COUNT(*) FROM assets) AS assets, (SELECT COUNT(*) FROM derivatives) AS derivatives");
+	console.log(`✅ Catalog ready: ${paths.catalog} (${counts.assets} assets, ${counts.derivatives} derivatives)`);
+
+	return catalog;
+}
+
+export default {
+	openCatalog,
+};
@@ -1,22 +1,35 @@
 // utils/comfyProcessor.js
-import fetch from "node-fetch";
+import { EventEmitter } from "events";
 import fs from "fs/promises";
 import path from "path";
 import { v4 as uuidv4 } from "uuid";
+import WebSocket from "ws";
+import { config } from "./config.js";
+import { serviceFetch } from "./httpClient.js";
+import { resolveStoragePath } from "./validation.js";
 
-const COMFY_URL = "http://124.123.18.19:8188";
+const COMFY_URL = config.comfy.url;
+const CLIENT_ID = uuidv4(); // Identifies our prompts on the /ws event stream
+const SOCKET_CONNECT_TIMEOUT = 3000;
+const SOCKET_RETRY_DELAY = 30000; // Don't retry a failed socket on every prompt
+
+const comfyEvents = new EventEmitter();
+let socket = null;
+let socketConnecting = null;
+let lastSocketFailure = 0;
 
 /**
  * Queue a prompt to ComfyUI
  */
 export async function queuePrompt(workflow) {
 	try {
-		const response = await fetch(`${COMFY_URL}/prompt`, {
+		// Not retried - a retry after a lost response would queue the prompt twice
+		const response = await serviceFetch("comfy", "/prompt", {
 			method: "POST",
 			headers: {
 				"Content-Type": "application/json",
 			},
-			body: JSON.stringify({ prompt: workflow }),
+			body: JSON.stringify({ prompt: workflow, client_id: CLIENT_ID }),
 		});
 
 		if (!response.ok) {
@@ -35,9 +48,7 @@ export async function queuePrompt(workflow) {
  */
 export async function checkComfyHealth() {
 	try {
-		const response = await fetch(`${COMFY_URL}/system_stats`, {
-			method: "GET",
-		});
+		const response = await serviceFetch("comfy", "/system_stats", { retries: 0 });
 		return response.ok;
 	} catch (error) {
 		return false;
@@ -49,7 +60,7 @@ export async function checkComfyHealth() {
  */
 export async function getPromptStatus(promptId) {
 	try {
-		const response = await fetch(`${COMFY_URL}/history/${promptId}`);
+		const response = await serviceFetch("comfy", `/history/${promptId}`);
 		if (!response.ok) {
 			return { status: "unknown" };
 		}
@@ -61,21 +72,111 @@ export async function getPromptStatus(promptId) {
 }
 
 /**
- * Wait for prompt to complete and return the output
+ * Turn a ComfyUI execution_error payload into a readable message
  */
-export async function waitForCompletion(promptId, maxWaitTime = 120000) {
-	const startTime = Date.now();
-	const pollInterval = 2000; // Check every 2 seconds
+function describeNodeError(data) {
+	const node = data.node_type ? `${data.node_type} (node ${data.node_id})` : `node ${data.node_id}`;
+	return `${node} failed: ${data.exception_type ? `${data.exception_type}: ` : ""}${data.exception_message || "Unknown error"}`;
+}
 
-	while (Date.now() - startTime < maxWaitTime) {
-		const status = await getPromptStatus(promptId);
+function nodeErrorDetails(data) {
+	return {
+		nodeId: data.node_id,
+		nodeType: data.node_type,
+		exceptionType: data.exception_type,
+		message: data.exception_message,
+		traceback: data.traceback,
+	};
+}
 
-		if (status.status?.completed || status.outputs) {
-			return { success: true, status };
+/**
+ * Read the completion state out of a /history entry
+ */
+function completionFromHistory(status) {
+	// Failed prompts also carry an (empty) outputs object, so check errors first
+	if (status.status?.status_str === "error") {
+		const errorMessage = (status.status.messages || []).find(([type]) => type === "execution_error");
+		if (errorMessage) {
+			return { success: false, error: describeNodeError(errorMessage[1]), nodeError: nodeErrorDetails(errorMessage[1]), status };
 		}
+		return { success: false, error: "Generation failed", status };
+	}
 
-		if (status.status?.status_str === "error") {
-			return { success: false, error: "Generation failed", status };
+	if (status.status?.completed || status.outputs) {
+		return { success: true, status };
+	}
+
+	return null;
+}
+
+/**
+ * Open (or reuse) the /ws event stream for this client id
+ */
+function connectSocket() {
+	if (!config.comfy.websocket) {
+		return Promise.resolve(false);
+	}
+	if (socket && socket.readyState === WebSocket.OPEN) {
+		return Promise.resolve(true);
+	}
+	if (socketConnecting) {
+		return socketConnecting;
+	}
+	if (Date.now() - lastSocketFailure < SOCKET_RETRY_DELAY) {
+		return Promise.resolve(false);
+	}
+
+	socketConnecting = new Promise((resolve) => {
+		const wsUrl = `${COMFY_URL.replace(/^http/, "ws")}/ws?clientId=${CLIENT_ID}`;
+		const ws = new WebSocket(wsUrl, { handshakeTimeout: SOCKET_CONNECT_TIMEOUT });
+
+		ws.on("open", () => {
+			console.log("🔌 [COMFY] WebSocket connected");
+			socket = ws;
+			socketConnecting = null;
+			resolve(true);
+		});
+
+		ws.on("message", (data, isBinary) => {
+			if (isBinary) return; // preview frames
+			try {
+				comfyEvents.emit("message", JSON.parse(data.toString()));
+			} catch (error) {
+				// Ignore malformed frames
+			}
+		});
+
+		ws.on("error", (error) => {
+			console.error("⚠️  [COMFY] WebSocket error:", error.message);
+			lastSocketFailure = Date.now();
+			resolve(false);
+		});
+
+		ws.on("close", () => {
+			if (socket === ws) {
+				console.log("🔌 [COMFY] WebSocket closed");
+				socket = null;
+			}
+			socketConnecting = null;
+			comfyEvents.emit("disconnected");
+			resolve(false);
+		});
+	});
+
+	return socketConnecting;
+}
+
+/**
+ * Poll /history until the prompt finishes (used when the WebSocket is unavailable)
+ */
+async function pollForCompletion(promptId, maxWaitTime) {
+	const startTime = Date.now();
+	const pollInterval = 2000; // Check every 2 seconds
+
+	while (Date.now() - startTime < maxWaitTime) {
+		const completion = completionFromHistory(await getPromptStatus(promptId));
+		if (completion) {
+			return completion;
 		}
 
 		await new Promise((resolve) => setTimeout(resolve, pollInterval));
@@ -85,25 +186,169 @@ export async function waitForCompletion(promptId, maxWaitTime = 120000) {
 }
 
 /**
- * Upload image to ComfyUI for img2img workflows
+ * History is written just after ComfyUI reports success, so retry briefly
+ */
+async function fetchFinalHistory(promptId, attempts = 10) {
+	for (let i = 0; i < attempts; i++) {
+		const completion = completionFromHistory(await getPromptStatus(promptId));
+		if (completion) {
+			return completion;
+		}
+		await new Promise((resolve) => setTimeout(resolve, 250));
+	}
+	return { success: false, error: "Generation finished but no history was recorded" };
+}
+
+/**
+ * Wait for prompt to complete and return the output.
+ * Follows the /ws event stream when available and reports progress through
+ * onProgress({ type: "started" | "cached" | "node" | "step", ... }); falls back
+ * to polling /history when the socket cannot be opened or drops.
  */
-export async function uploadImageToComfy(imagePath) {
+export async function waitForCompletion(promptId, maxWaitTime = 120000, { onProgress } = {}) {
+	const startTime = Date.now();
+	const connected = await connectSocket();
+
+	if (!connected) {
+		return pollForCompletion(promptId, maxWaitTime);
+	}
+
+	const report = (event) => {
+		if (!onProgress) return;
+		try {
+			onProgress({ promptId, ...event });
+		} catch (error) {
+			// Progress reporting must never break the wait
+		}
+	};
+
+	return new Promise((resolve) => {
+		let settled = false;
+		let timer = null;
+
+		const cleanup = () => {
+			settled = true;
+			clearTimeout(timer);
+			comfyEvents.off("message", onMessage);
+			comfyEvents.off("disconnected", onDisconnect);
+		};
+
+		const finish = (result) => {
+			if (settled) return;
+			cleanup();
+			resolve(result);
+		};
+
+		const finishFromHistory = () => {
+			if (settled) return;
+			cleanup();
+			fetchFinalHistory(promptId).then(resolve);
+		};
+
+		function onMessage(message) {
+			const data = message.data || {};
+			if (data.prompt_id !== promptId) return;
+
+			switch (message.type) {
+				case "execution_start":
+					report({ type: "started" });
+					break;
+				case "execution_cached":
+					report({ type: "cached", nodes: data.nodes });
+					break;
+				case "executing":
+					if (data.node === null) finishFromHistory();
+					else report({ type: "node", node: data.node });
+					break;
+				case "progress":
+					report({
+						type: "step",
+						node: data.node,
+						value: data.value,
+						max: data.max,
+						percent: Math.round((data.value / data.max) * 100),
+					});
+					break;
+				case "execution_success":
+					finishFromHistory();
+					break;
+				case "execution_error":
+					finish({ success: false, error: describeNodeError(data), nodeError: nodeErrorDetails(data) });
+					break;
+				case "execution_interrupted":
+					finish({ success: false, error: "Generation interrupted", nodeError: nodeErrorDetails(data) });
+					break;
+			}
+		}
+
+		function onDisconnect() {
+			if (settled) return;
+			console.log("⚠️  [COMFY] WebSocket lost, falling back to polling");
+			cleanup();
+			pollForCompletion(promptId, Math.max(0, maxWaitTime - (Date.now() - startTime))).then(resolve);
+		}
+
+		comfyEvents.on("message", onMessage);
+		comfyEvents.on("disconnected", onDisconnect);
+		timer = setTimeout(() => finish({ success: false, error: "Timeout waiting for generation" }), maxWaitTime);
+
+		// The prompt may already have finished before we subscribed
+		getPromptStatus(promptId).then((status) => {
+			const completion = completionFromHistory(status);
+			if (completion) finish(completion);
+		});
+	});
+}
+
+/**
+ * Remove a prompt from the ComfyUI queue, interrupting it if it is the one executing
+ */
+export async function cancelPrompt(promptId) {
+	try {
+		const queueResponse = await serviceFetch("comfy", "/queue");
+		const queue = await queueResponse.json();
+		const isRunning = (queue.queue_running || []).some((item) => item[1] === promptId);
+
+		if (isRunning) {
+			await serviceFetch("comfy", "/interrupt", { method: "POST" });
+		} else {
+			await serviceFetch("comfy", "/queue", {
+				method: "POST",
+				idempotent: true,
+				headers: { "Content-Type": "application/json" },
+				body: JSON.stringify({ delete: [promptId] }),
+			});
+		}
+		return true;
+	} catch (error) {
+		throw new Error(`Failed to cancel prompt: ${error.message}`);
+	}
+}
+
+/**
+ * Upload image to ComfyUI for img2img workflows. Pass `imageBuffer` to upload
+ * an in-memory image under the name of `imagePath`.
+ */
+export async function uploadImageToComfy(imagePath, imageBuffer = null) {
 	try {
 		const FormData = (await import("form-data")).default;
 		const formData = new FormData();
 
-		const imageBuffer = await fs.readFile(imagePath);
+		imageBuffer = imageBuffer || (await fs.readFile(imagePath));
 		const filename = path.basename(imagePath);
 
 		formData.append("image", imageBuffer, {
 			filename: filename,
-			contentType: "image/jpeg",
+			contentType: filename.endsWith(".png") ? "image/png" : "image/jpeg",
 		});
+		// Replace rather than rename on a retried upload, so it returns the same name
+		formData.append("overwrite", "true");
 
-		// Upload to ComfyUI's input directory
-		const response = await fetch(`${COMFY_URL}/upload/image`, {
+		// Upload to ComfyUI's input directory (buffered so a retry can resend it)
+		const response = await serviceFetch("comfy", "/upload/image", {
 			method: "POST",
-			body: formData,
+			idempotent: true,
+			body: formData.getBuffer(),
 			headers: formData.getHeaders(),
 		});
 
@@ -118,21 +363,28 @@ export async function uploadImageToComfy(imagePath) {
 	}
 }
 
+/**
+ * Fetch an output image from ComfyUI into memory
+ */
+export async function fetchComfyOutput(filename) {
+	const response = await serviceFetch("comfy", `/view?filename=${encodeURIComponent(filename)}&type=output&subfolder=`);
+
+	if (!response.ok) {
+		throw new Error(`Failed to download: ${response.status}`);
+	}
+
+	return Buffer.from(await response.arrayBuffer());
+}
+
 /**
  * Download generated image from ComfyUI
  */
 export async function downloadComfyOutput(filename, outputDir) {
 	try {
-		const response = await fetch(`${COMFY_URL}/view?filename=${filename}&type=output&subfolder=`);
-
-		if (!response.ok) {
-			throw new Error(`Failed to download: ${response.status}`);
-		}
+		const buffer = await fetchComfyOutput(filename);
+		const outputPath = resolveStoragePath(outputDir, filename);
 
-		const buffer = await response.arrayBuffer();
-		const outputPath = path.join(outputDir, filename);
-
-		await fs.writeFile(outputPath, Buffer.from(buffer));
+		await fs.writeFile(outputPath, buffer);
 		return outputPath;
 	} catch (error) {
 		throw new Error(`Failed to download output: ${error.message}`);
@@ -140,22 +392,96 @@ export async function downloadComfyOutput(filename, outputDir) {
 }
 
 /**
- * Create a simple text-to-image workflow
+ * Chain LoraLoader nodes (ids 20, 21, ...) after the checkpoint loader (node 4)
+ * and point everything that used the checkpoint's model / clip at the last one.
+ * `loras`: [{ name, strength_model, strength_clip }]
+ */
+function applyLoras(workflow, loras = []) {
+	if (loras.length === 0) return workflow;
+
+	// Rewire consumers of the checkpoint first, while only they reference node 4
+	const loraIds = loras.map((lora, i) => String(20 + i));
+	const last = loraIds[loraIds.length - 1];
+	for (const node of Object.values(workflow)) {
+		for (const [input, value] of Object.entries(node.inputs)) {
+			if (Array.isArray(value) && value[0] === "4" && value[1] !== 2) {
+				node.inputs[input] = [last, value[1]]; // 0 = model, 1 = clip; the VAE (2) stays on the checkpoint
+			}
+		}
+	}
+
+	loras.forEach((lora, i) => {
+		const previous = i === 0 ? "4" : loraIds[i - 1];
+		workflow[loraIds[i]] = {
+			inputs: {
+				lora_name: lora.name,
+				strength_model: lora.strength_model ?? 1,
+				strength_clip: lora.strength_clip ?? 1,
+				model: [previous, 0],
+				clip: [previous, 1],
+			},
+			class_type: "LoraLoader",
+		};
+	});
+	return workflow;
+}
+
+/**
+ * Guide a workflow with ControlNet: LoadImage (30) -> ControlNetLoader (31) ->
+ * ControlNetApply (32) on the positive prompt (node 6), which the sampler then uses.
+ * `control`: { image (file name in ComfyUI's input dir), model, strength }
+ */
+export function applyControlNet(workflow, control) {
+	if (!control) return workflow;
+
+	for (const node of Object.values(workflow)) {
+		for (const [input, value] of Object.entries(node.inputs)) {
+			if (Array.isArray(value) && value[0] === "6" && value[1] === 0) {
+				node.inputs[input] = ["32", 0];
+			}
+		}
+	}
+
+	workflow[30] = {
+		inputs: { image: control.image, upload: "image" },
+		class_type: "LoadImage",
+	};
+	workflow[31] = {
+		inputs: { control_net_name: control.model },
+		class_type: "ControlNetLoader",
+	};
+	workflow[32] = {
+		inputs: {
+			conditioning: ["6", 0],
+			control_net: ["31", 0],
+			image: ["30", 0],
+			strength: control.strength ?? 1,
+		},
+		class_type: "ControlNetApply",
+	};
+	return workflow;
+}
+
+/**
+ * Create a simple text-to-image workflow.
+ * `settings` (see utils/generationSettings.js): { steps, cfg, sampler, scheduler, width, height, batchSize, loras }
  */
-export async function createTextToImageWorkflow(prompt, negativePrompt = "", seed = -1, modelName = null) {
+export async function createTextToImageWorkflow(prompt, negativePrompt = "", seed = -1, modelName = null, settings = {}) {
+	const { steps = 20, cfg = 7, sampler = "euler", scheduler = "normal", width = 512, height = 512, batchSize = 1 } = settings;
+
 	// Get default model if not specified
 	if (!modelName) {
 		modelName = await getDefaultModel();
 	}
 
-	return {
+	const workflow = {
 		3: {
 			inputs: {
 				seed: seed,
-				steps: 20,
-				cfg: 7,
-				sampler_name: "euler",
-				scheduler: "normal",
+				steps,
+				cfg,
+				sampler_name: sampler,
+				scheduler,
 				denoise: 1,
 				model: ["4", 0],
 				positive: ["6", 0],
@@ -172,9 +498,9 @@ export async function createTextToImageWorkflow(prompt, negativePrompt = "", see
 		},
 		5: {
 			inputs: {
-				width: 512,
-				height: 512,
-				batch_size: 1,
+				width,
+				height,
+				batch_size: batchSize,
 			},
 			class_type: "EmptyLatentImage",
 		},
@@ -207,10 +533,14 @@ export async function createTextToImageWorkflow(prompt, negativePrompt = "", see
 			class_type: "SaveImage",
 		},
 	};
+
+	return applyLoras(workflow, settings.loras);
 }
 
 /**
- * Create an image-to-image workflow for product variations
+ * Create an image-to-image workflow for product variations.
+ * `settings`: { steps, cfg, sampler, scheduler, width, height, batchSize, loras } - without
+ * width / height the source image keeps its size; with only one, the aspect ratio is kept
  */
 export async function createImg2ImgWorkflow(
 	uploadedFilename,
@@ -218,14 +548,17 @@ export async function createImg2ImgWorkflow(
 	negativePrompt = "",
 	strength = 0.75,
 	seed = -1,
-	modelName = null
+	modelName = null,
+	settings = {}
 ) {
+	const { steps = 25, cfg = 7.5, sampler = "euler_ancestral", scheduler = "normal", width, height, batchSize = 1 } = settings;
+
 	// Get default model if not specified
 	if (!modelName) {
 		modelName = await getDefaultModel();
 	}
 
-	return {
+	const workflow = {
 		1: {
 			inputs: {
 				image: uploadedFilename,
@@ -243,10 +576,10 @@ export async function createImg2ImgWorkflow(
 		3: {
 			inputs: {
 				seed: seed,
-				steps: 25,
-				cfg: 7.5,
-				sampler_name: "euler_ancestral",
-				scheduler: "normal",
+				steps,
+				cfg,
+				sampler_name: sampler,
+				scheduler,
 				denoise: strength,
 				model: ["4", 0],
 				positive: ["6", 0],
@@ -257,7 +590,7 @@ export async function createImg2ImgWorkflow(
 		},
 		4: {
 			inputs: {
-				ckpt_name: "SD1.5/v1-5-pruned-emaonly.ckpt",
+				ckpt_name: modelName,
 			},
 			class_type: "CheckpointLoaderSimple",
 		},
@@ -290,6 +623,124 @@ export async function createImg2ImgWorkflow(
 			class_type: "SaveImage",
 		},
 	};
+
+	// Optional resize of the source (0 keeps the aspect ratio) and repeat of the latent for batches
+	if (width || height) {
+		workflow[10] = {
+			inputs: { image: ["1", 0], upscale_method: "lanczos", width: width || 0, height: height || 0, crop: "center" },
+			class_type: "ImageScale",
+		};
+		workflow[2].inputs.pixels = ["10", 0];
+	}
+	if (batchSize > 1) {
+		workflow[11] = {
+			inputs: { samples: ["2", 0], amount: batchSize },
+			class_type: "RepeatLatentBatch",
+		};
+		workflow[3].inputs.latent_image = ["11", 0];
+	}
+
+	return applyLoras(workflow, settings.loras);
+}
+
+/**
+ * Create an inpainting workflow that regenerates only the transparent area of
+ * an uploaded RGBA image. LoadImage turns the alpha channel into a mask
+ * (transparent = 1), so the product is kept and the background is repainted.
+ * `settings`: { steps, cfg, sampler, scheduler, batchSize, loras }; the size is the image's.
+ */
+export async function createInpaintWorkflow(
+	uploadedFilename,
+	prompt,
+	negativePrompt = "",
+	seed = -1,
+	modelName = null,
+	settings = {},
+	{ growMask = 6 } = {}
+) {
+	const { steps = 25, cfg = 7, sampler = "euler", scheduler = "normal", batchSize = 1 } = settings;
+
+	if (!modelName) {
+		modelName = await getDefaultModel();
+	}
+
+	const workflow = {
+		1: {
+			inputs: {
+				image: uploadedFilename,
+				upload: "image",
+			},
+			class_type: "LoadImage",
+		},
+		2: {
+			inputs: {
+				pixels: ["1", 0],
+				vae: ["4", 2],
+				mask: ["1", 1],
+				grow_mask_by: growMask,
+			},
+			class_type: "VAEEncodeForInpaint",
+		},
+		3: {
+			inputs: {
+				seed: seed,
+				steps,
+				cfg,
+				sampler_name: sampler,
+				scheduler,
+				denoise: 1, // VAEEncodeForInpaint blanks the masked area, so it must be fully denoised
+				model: ["4", 0],
+				positive: ["6", 0],
+				negative: ["7", 0],
+				latent_image: ["2", 0],
+			},
+			class_type: "KSampler",
+		},
+		4: {
+			inputs: {
+				ckpt_name: modelName,
+			},
+			class_type: "CheckpointLoaderSimple",
+		},
+		6: {
+			inputs: {
+				text: prompt,
+				clip: ["4", 1],
+			},
+			class_type: "CLIPTextEncode",
+		},
+		7: {
+			inputs: {
+				text: negativePrompt,
+				clip: ["4", 1],
+			},
+			class_type: "CLIPTextEncode",
+		},
+		8: {
+			inputs: {
+				samples: ["3", 0],
+				vae: ["4", 2],
+			},
+			class_type: "VAEDecode",
+		},
+		9: {
+			inputs: {
+				filename_prefix: "inpaint",
+				images: ["8", 0],
+			},
+			class_type: "SaveImage",
+		},
+	};
+
+	if (batchSize > 1) {
+		workflow[11] = {
+			inputs: { samples: ["2", 0], amount: batchSize },
+			class_type: "RepeatLatentBatch",
+		};
+		workflow[3].inputs.latent_image = ["11", 0];
+	}
+
+	return applyLoras(workflow, settings.loras);
 }
 
 /**
@@ -297,7 +748,7 @@ export async function createImg2ImgWorkflow(
  */
 export async function getAvailableModels() {
 	try {
-		const response = await fetch(`${COMFY_URL}/object_info/CheckpointLoaderSimple`);
+		const response = await serviceFetch("comfy", "/object_info/CheckpointLoaderSimple");
 		if (!response.ok) {
 			throw new Error("Failed to fetch models");
 		}
@@ -308,6 +759,72 @@ export async function getAvailableModels() {
 	}
 }
 
+/**
+ * LoRA files available to ComfyUI's LoraLoader
+ */
+export async function getAvailableLoras() {
+	const response = await serviceFetch("comfy", "/object_info/LoraLoader");
+	if (!response.ok) {
+		throw new Error(`Failed to fetch LoRAs: ${response.status}`);
+	}
+	const data = await response.json();
+	return data.LoraLoader?.input.required.lora_name[0] || [];
+}
+
+/**
+ * ControlNet models available to ComfyUI's ControlNetLoader
+ */
+export async function getAvailableControlNets() {
+	const response = await serviceFetch("comfy", "/object_info/ControlNetLoader");
+	if (!response.ok) {
+		throw new Error(`Failed to fetch ControlNet models: ${response.status}`);
+	}
+	const data = await response.json();
+	return data.ControlNetLoader?.input.required.control_net_name[0] || [];
+}
+
+/**
+ * Super-resolution models available to ComfyUI's UpscaleModelLoader
+ */
+export async function getAvailableUpscaleModels() {
+	const response = await serviceFetch("comfy", "/object_info/UpscaleModelLoader");
+	if (!response.ok) {
+		throw new Error(`Failed to fetch upscale models: ${response.status}`);
+	}
+	const data = await response.json();
+	return data.UpscaleModelLoader?.input.required.model_name[0] || [];
+}
+
+/**
+ * Sampler and scheduler names the installed KSampler accepts, or null if
+ * ComfyUI could not be asked
+ */
+export async function getSamplerOptions() {
+	try {
+		const response = await serviceFetch("comfy", "/object_info/KSampler");
+		if (!response.ok) return null;
+		const data = await response.json();
+		const inputs = data.KSampler.input.required;
+		return { samplers: inputs.sampler_name[0], schedulers: inputs.scheduler[0] };
+	} catch (error) {
+		return null;
+	}
+}
+
+/**
+ * Whether a node type (e.g. one from a custom node pack) is installed in ComfyUI
+ */
+export async function isNodeAvailable(nodeType) {
+	try {
+		const response = await serviceFetch("comfy", `/object_info/${encodeURIComponent(nodeType)}`, { retries: 0 });
+		if (!response.ok) return false;
+		const data = await response.json();
+		return Boolean(data[nodeType]);
+	} catch (error) {
+		return false;
+	}
+}
+
 /**
  * Get the first available SD1.5 model
  */
@@ -348,11 +865,20 @@ export default {
 	checkComfyHealth,
 	getPromptStatus,
 	waitForCompletion,
+	cancelPrompt,
 	uploadImageToComfy,
+	fetchComfyOutput,
 	downloadComfyOutput,
+	applyControlNet,
 	createTextToImageWorkflow,
 	createImg2ImgWorkflow,
+	createInpaintWorkflow,
 	getAvailableModels,
+	getAvailableLoras,
+	getAvailableControlNets,
+	getAvailableUpscaleModels,
+	getSamplerOptions,
+	isNodeAvailable,
 	getDefaultModel,
 	getFashionPrompts,
 };
@@ -0,0 +1,215 @@
+// utils/compositor.js
+// Places transparent-background product cutouts onto new backgrounds with sharp
+import sharp from "sharp";
+import { shadowLayers } from "./shadows.js";
+
+// Horizontal / vertical anchor of each position within the padded canvas
+export const ANCHORS = {
+	center: [0.5, 0.5],
+	top: [0.5, 0],
+	bottom: [0.5, 1],
+	left: [0, 0.5],
+	right: [1, 0.5],
+	"top-left": [0, 0],
+	"top-right": [1, 0],
+	"bottom-left": [0, 1],
+	"bottom-right": [1, 1],
+};
+
+export const POSITIONS = Object.keys(ANCHORS);
+export const BACKGROUND_TYPES = ["color", "gradient", "image"];
+
+/**
+ * Bounding box of the non-transparent pixels of an image, or null if it is fully transparent
+ */
+export async function alphaBoundingBox(input) {
+	const { data, info } = await sharp(input).ensureAlpha().extractChannel(3).raw().toBuffer({ resolveWithObject: true });
+	let left = info.width;
+	let top = info.height;
+	let right = -1;
+	let bottom = -1;
+
+	for (let y = 0; y < info.height; y++) {
+		for (let x = 0; x < info.width; x++) {
+			if (data[y * info.width + x] > 8) {
+				if (x < left) left = x;
+				if (x > right) right = x;
+				if (y < top) top = y;
+				if (y > bottom) bottom = y;
+			}
+		}
+	}
+
+	return right < 0 ? null : { left, top, width: right - left + 1, height: bottom - top + 1 };
+}
+
+/**
+ * The visible part of a layer placed at (left, top) on a canvas, as a sharp
+ * composite entry - sharp refuses overlays that stick out - or null if none of it shows
+ */
+async function clipLayer({ input, left, top }, canvasWidth, canvasHeight) {
+	const { width, height } = await sharp(input).metadata();
+	const visible = {
+		left: Math.max(0, -left),
+		top: Math.max(0, -top),
+		width: Math.min(width, canvasWidth - left) - Math.max(0, -left),
+		height: Math.min(height, canvasHeight - top) - Math.max(0, -top),
+	};
+	if (visible.width < 1 || visible.height < 1) return null;
+
+	const clipped = visible.width === width && visible.height === height ? input : await sharp(input).extract(visible).toBuffer();
+	return { input: clipped, left: Math.max(0, left), top: Math.max(0, top) };
+}
+
+/**
+ * Linear gradient as SVG. `angle` follows CSS: 0 = bottom to top, 90 = left to right, 180 = top to bottom.
+ */
+function gradientSvg(colors, angle, width, height) {
+	const radians = (angle * Math.PI) / 180;
+	const dx = Math.sin(radians) / 2;
+	const dy = -Math.cos(radians) / 2;
+	const stops = colors.map((color, i) => `<stop offset="${i / (colors.length - 1)}" stop-color="${color}"/>`).join("");
+
+	return Buffer.from(
+		`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+			`<defs><linearGradient id="g" x1="${0.5 - dx}" y1="${0.5 - dy}" x2="${0.5 + dx}" y2="${0.5 + dy}">${stops}</linearGradient></defs>` +
+			`<rect width="100%" height="100%" fill="url(#g)"/></svg>`
+	);
+}
+
+/**
+ * Background canvas as a PNG Buffer.
+ * background: { type: "color", color } | { type: "gradient", colors, angle } | { type: "image", imagePath }
+ *   | { type: "transparent" } (print exports only - the other formats flatten it to black)
+ */
+export async function createBackground(background, width, height) {
+	switch (background.type) {
+		case "transparent":
+			return sharp({ create: { width, height, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } } }).png().toBuffer();
+		case "gradient":
+			return sharp(gradientSvg(background.colors, background.angle ?? 180, width, height)).flatten().png().toBuffer();
+		case "image":
+			return sharp(background.imagePath).resize(width, height, { fit: "cover" }).flatten().png().toBuffer();
+		default:
+			return sharp({ create: { width, height, channels: 3, background: background.color || "#FFFFFF" } }).png().toBuffer();
+	}
+}
+
+/**
+ * Lay a cutout out on a background canvas, unencoded.
+ *
+ * The product is trimmed to its visible pixels, then sized either by `fill` (the
+ * share of the padded canvas it fills along its limiting side, e.g. 0.85) or by an
+ * explicit `scale` of its own size, and placed at `position` plus `offsetX` / `offsetY`.
+ * `shadows` (see utils/shadows.js) are drawn underneath it at the output scale.
+ * Returns { canvas (sharp instance), placement: { left, top, width, height, scale, sourceWidth, sourceHeight } }.
+ */
+export async function composeProduct(cutoutPath, options) {
+	const { width, height, background, fill = 0.85, scale = null, padding = 0, position = "center", offsetX = 0, offsetY = 0 } = options;
+	const { shadows = [] } = options;
+
+	const bounds = await alphaBoundingBox(cutoutPath);
+	if (!bounds) {
+		throw new Error("Cutout is fully transparent");
+	}
+
+	const availableWidth = width - 2 * padding;
+	const availableHeight = height - 2 * padding;
+	if (availableWidth < 1 || availableHeight < 1) {
+		throw new Error(`padding ${padding} leaves no room on a ${width}x${height} canvas`);
+	}
+
+	const factor = scale ?? fill * Math.min(availableWidth / bounds.width, availableHeight / bounds.height);
+	const productWidth = Math.max(1, Math.round(bounds.width * factor));
+	const productHeight = Math.max(1, Math.round(bounds.height * factor));
+	const product = await sharp(cutoutPath).ensureAlpha().extract(bounds).resize(productWidth, productHeight).png().toBuffer();
+
+	const [anchorX, anchorY] = ANCHORS[position];
+	const left = Math.round(padding + (availableWidth - productWidth) * anchorX + offsetX);
+	const top = Math.round(padding + (availableHeight - productHeight) * anchorY + offsetY);
+
+	const overlay = await clipLayer({ input: product, left, top }, width, height);
+	if (!overlay) {
+		throw new Error("Product is placed entirely outside the canvas");
+	}
+
+	const layers = [];
+	for (const layer of await shadowLayers(product, shadows)) {
+		const clipped = await clipLayer({ ...layer, left: left + layer.left, top: top + layer.top }, width, height);
+		if (clipped) layers.push(clipped);
+	}
+
+	// Flattened (raw, so print-size canvases stay fast) - sharp applies composites after every other operation of a pipeline
+	const { data, info } = await sharp(await createBackground(background, width, height))
+		.composite([...layers, overlay])
+		.raw()
+		.toBuffer({ resolveWithObject: true });
+	return {
+		canvas: sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } }),
+		placement: {
+			left,
+			top,
+			width: productWidth,
+			height: productHeight,
+			scale: Number(factor.toFixed(4)),
+			sourceWidth: bounds.width,
+			sourceHeight: bounds.height,
+		},
+	};
+}
+
+/**
+ * Composite a cutout onto a background canvas (see composeProduct) and encode it.
+ * options: composeProduct's plus { format: "jpeg" | "png" | "webp", quality, overlays }
+ *   overlays - composite entries drawn over the finished image, e.g. a watermark
+ * Returns { buffer, placement }.
+ */
+export async function compositeOnBackground(cutoutPath, options) {
+	const { format = "jpeg", quality = 90, overlays = [] } = options;
+	const { canvas, placement } = await composeProduct(cutoutPath, options);
+	if (overlays.length > 0) {
+		canvas.composite(overlays);
+	}
+
+	const output = format === "png" ? canvas.png() : format === "webp" ? canvas.webp({ quality }) : canvas.jpeg({ quality });
+	return { buffer: await output.toBuffer(), placement };
+}
+
+/**
+ * Standalone shadows: the trimmed cutout with its shadows on a transparent
+ * canvas grown to fit them. Returns { buffer (PNG), width, height }.
+ */
+export async function addShadows(cutoutPath, shadows) {
+	const bounds = await alphaBoundingBox(cutoutPath);
+	if (!bounds) {
+		throw new Error("Cutout is fully transparent");
+	}
+	const product = await sharp(cutoutPath).ensureAlpha().extract(bounds).png().toBuffer();
+	const layers = [...(await shadowLayers(product, shadows)), { input: product, left: 0, top: 0 }];
+
+	// Canvas covering the product and every layer
+	const sizes = await Promise.all(layers.map((layer) => sharp(layer.input).metadata()));
+	const minLeft = Math.min(...layers.map((l) => l.left));
+	const minTop = Math.min(...layers.map((l) => l.top));
+	const maxRight = Math.max(...layers.map((l, i) => l.left + sizes[i].width));
+	const maxBottom = Math.max(...layers.map((l, i) => l.top + sizes[i].height));
+
+	const width = maxRight - minLeft;
+	const height = maxBottom - minTop;
+	const buffer = await sharp({ create: { width, height, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } } })
+		.composite(layers.map((layer) => ({ input: layer.input, left: layer.left - minLeft, top: layer.top - minTop })))
+		.png()
+		.toBuffer();
+	return { buffer, width, height };
+}
+
+export default {
+	ANCHORS,
+	POSITIONS,
+	BACKGROUND_TYPES,
+	alphaBoundingBox,
+	createBackground,
+	composeProduct,
+	compositeOnBackground,
+	addShadows,
+};
@@ -0,0 +1,745 @@
+// utils/config.js
+import fs from "fs";
+import path from "path";
+
+/**
+ * @typedef {Object} ServiceConfig
+ * @property {string} url - Base URL of the service
+ * @property {number} timeoutMs - Per-request timeout
+ * @property {number} retries - Extra attempts for idempotent requests
+ */
+
+/**
+ * @typedef {Object} AppConfig
+ * @property {{ port: number, publicUrl: string }} server
+ * @property {ServiceConfig & { websocket: boolean }} comfy
+ * @property {ServiceConfig & { uploadWebhook: string, healthWebhook: string, token: string | null }} n8n
+ * @property {ServiceConfig & { apiKey: string | null }} rembg
+ * @property {{ workspacesRoot: string }} storage
+ * @property {{ keys: Array<{ key: string, name?: string, workspace?: string, role?: string, quotas?: QuotaConfig, rateLimits?: Object<string, RateLimitConfig> }> }} auth
+ * @property {{ origins: string[] }} cors
+ * @property {QuotaConfig} quotas - Defaults for every key, overridable per key
+ * @property {Object<string, RateLimitConfig>} rateLimits - Token buckets per route group
+ * @property {{ threshold: number, action: "flag" | "reject" }} duplicates - Perceptual-hash near-duplicate detection
+ * @property {{ failureThreshold: number, resetTimeoutMs: number }} circuitBreaker - Shared by every external service
+ * @property {BackgroundRemovalConfig} backgroundRemoval
+ * @property {{ dir: string }} workflows - ComfyUI workflow templates
+ * @property {{ dir: string }} scenes - Scene preset JSON files
+ * @property {{ defaults: GenerationSettings, models: Object<string, GenerationSettings>, controlnets: Object<string, string> }} generation -
+ *   Sampler and resolution defaults; `models` entries apply to checkpoints whose name contains the key
+ *   (case-insensitive); `controlnets` maps a control type (canny, depth, pose) to its default ControlNet model
+ * @property {{ model: string | null, maxDimension: number, timeoutMs: number }} upscale - ComfyUI upscale model
+ *   (null = the first installed one), largest output side, and how long a model upscale may take
+ * @property {{ presets: Object<string, { width: number, height: number, dpi: number }>, minDpi: number }} print -
+ *   Print canvases for /export/print, and the lowest effective DPI a source may print at
+ * @property {{ presets: Object<string, MarketplacePreset> }} marketplace - Listing image presets for /export/marketplace
+ * @property {{ profiles: Object<string, WatermarkProfile>, autoApply: string | null }} watermarks - Watermark profiles;
+ *   `autoApply` names the one stamped on generated images served to non-admin keys, and on the upscales,
+ *   exports and composites they make from them (default null = none)
+ */
+
+/**
+ * @typedef {Object} MarketplacePreset
+ * @property {number} width
+ * @property {number} height
+ * @property {"pad" | "crop"} fit - Whole product on `background`, or cropped to fill the frame
+ * @property {"attention" | "entropy" | "mask" | "center"} [crop] - Crop strategy (default attention)
+ * @property {string | null} [background] - Hex color behind cutouts and letterboxed photos; null keeps
+ *   cutouts transparent in PNG / WebP and uses white otherwise
+ * @property {number} [fill] - Share of the canvas a padded cutout fills (default 0.85)
+ * @property {"jpeg" | "png" | "webp"} format
+ * @property {number} [quality] - Starting quality before file-size targeting (default 90)
+ * @property {number | null} [minBytes]
+ * @property {number | null} [maxBytes]
+ */
+
+/**
+ * @typedef {Object} WatermarkProfile - A `logo` image path or a line of `text`
+ * @property {string} [logo]
+ * @property {string} [text]
+ * @property {string} [color] - Text color (default white)
+ * @property {string | null} [outline] - Halo color drawn around text so it reads on light and dark images
+ *   (default black, null for none)
+ * @property {string} [font] - Pango font description (default "sans bold")
+ * @property {string} [position] - compositor position, ignored when tiled (default bottom-right)
+ * @property {number} [margin] - Distance from the edges as a share of the shorter side (default 0.03)
+ * @property {number} [opacity] - 0-1 (default 0.5)
+ * @property {number} [scale] - Mark width as a share of the image width (default 0.2)
+ * @property {boolean} [tiled] - Repeat across the whole image at `angle` degrees, `spacing` mark-sizes apart
+ * @property {number} [angle]
+ * @property {number} [spacing]
+ */
+
+/**
+ * @typedef {Object} BackgroundRemovalConfig
+ * @property {"rembg" | "comfy" | "local"} provider - Used when a request does not pick one
+ * @property {string[]} fallbacks - Tried in order when the provider is down or fails
+ * @property {{ nodeType: string, imageInput: string, inputs: Object, timeoutMs: number }} comfy - Segmentation node from a custom node pack
+ * @property {{ tolerance: number, softness: number, minBorderCoverage: number }} local - Plain-background remover
+ */
+
+/**
+ * @typedef {Object} GenerationSettings
+ * @property {string} [sampler] - KSampler sampler_name, e.g. "euler", "dpmpp_2m"
+ * @property {string} [scheduler] - KSampler scheduler, e.g. "normal", "karras"
+ * @property {number} [steps]
+ * @property {number} [cfg]
+ * @property {number} [width] - Multiple of 8
+ * @property {number} [height] - Multiple of 8
+ * @property {number} [batchSize] - Images per run
+ */
+
+/**
+ * @typedef {Object} QuotaConfig
+ * @property {number | null} imagesPerDay - Generated images per UTC day (null = unlimited)
+ * @property {number | null} concurrentJobs - Queued + running generation jobs
+ * @property {number | null} maxCount - Largest `count` accepted per request
+ */
+
+/**
+ * @typedef {Object} RateLimitConfig
+ * @property {number} capacity - Burst size
+ * @property {number} refillPerMinute - Tokens added back per minute
+ */
+
+const DEFAULTS = {
+	server: {
+		port: 3000,
+		publicUrl: "http://localhost:3000",
+	},
+	comfy: {
+		url: "http://124.123.18.19:8188",
+		websocket: true,
+		timeoutMs: 30000,
+		retries: 2,
+	},
+	n8n: {
+		url: "http://124.123.18.19:5678",
+		uploadWebhook: "/webhook/process-upload",
+		healthWebhook: "/webhook/from-backend",
+		token: null,
+		timeoutMs: 10000,
+		retries: 1,
+	},
+	rembg: {
+		url: "https://bhdv4f7q-5000.inc1.devtunnels.ms",
+		apiKey: null,
+		timeoutMs: 60000, // Background removal of a 2048px image can take a while
+		retries: 2,
+	},
+	storage: {
+		workspacesRoot: "./workspaces",
+	},
+	auth: {
+		keys: [], // No keys configured = authentication disabled
+	},
+	cors: {
+		origins: ["*"],
+	},
+	quotas: {
+		imagesPerDay: 200,
+		concurrentJobs: 2,
+		maxCount: 8,
+	},
+	rateLimits: {
+		generate: { capacity: 10, refillPerMinute: 10 },
+		upload: { capacity: 20, refillPerMinute: 20 },
+		removeBackground: { capacity: 10, refillPerMinute: 10 },
+		upscale: { capacity: 10, refillPerMinute: 10 },
+		video: { capacity: 5, refillPerMinute: 5 },
+	},
+	duplicates: {
+		threshold: 6, // Max differing dHash bits (of 64) to count as the same shot
+		action: "flag", // "flag" keeps processing, "reject" fails the file
+	},
+	circuitBreaker: {
+		failureThreshold: 5, // Consecutive failed requests (each after its retries) before a service is cut off
+		resetTimeoutMs: 30000, // How long to fail fast before a trial request
+	},
+	backgroundRemoval: {
+		provider: "rembg",
+		fallbacks: ["local"],
+		comfy: {
+			// WAS Node Suite's rembg node; any node taking an IMAGE and returning an RGBA IMAGE works
+			nodeType: "Image Rembg (Remove Background)",
+			imageInput: "images",
+			inputs: {
+				transparency: true,
+				model: "u2net",
+				post_processing: false,
+				only_mask: false,
+				alpha_matting: false,
+				alpha_matting_foreground_threshold: 240,
+				alpha_matting_background_threshold: 10,
+				alpha_matting_erode_size: 10,
+				background_color: "none",
+			},
+			timeoutMs: 120000,
+		},
+		local: {
+			tolerance: 32, // Colour distance from the background still counted as background
+			softness: 16, // Extra distance over which the edge fades out
+			minBorderCoverage: 0.6, // Share of the border that must match the background colour
+		},
+	},
+	workflows: {
+		dir: "./workflows",
+	},
+	scenes: {
+		dir: "./scenes",
+	},
+	generation: {
+		defaults: { sampler: "euler", scheduler: "normal", steps: 20, cfg: 7, width: 512, height: 512, batchSize: 1 },
+		models: {
+			xl: { sampler: "dpmpp_2m", scheduler: "karras", steps: 30, cfg: 6, width: 1024, height: 1024 },
+			turbo: { sampler: "euler_ancestral", scheduler: "normal", steps: 4, cfg: 1, width: 512, height: 512 },
+		},
+		controlnets: {
+			canny: "control_v11p_sd15_canny.pth",
+			depth: "control_v11f1p_sd15_depth.pth",
+			pose: "control_v11p_sd15_openpose.pth",
+		},
+	},
+	upscale: {
+		model: null, // e.g. "4x-UltraSharp.pth"; null picks the first model ComfyUI lists
+		maxDimension: 8192,
+		timeoutMs: 300000,
+	},
+	print: {
+		presets: {
+			tshirt: { width: 4500, height: 5400, dpi: 300 },
+			hoodie: { width: 4200, height: 4800, dpi: 300 },
+			"poster-a3": { width: 3508, height: 4961, dpi: 300 },
+			mug: { width: 2700, height: 1100, dpi: 300 },
+		},
+		minDpi: 150,
+	},
+	marketplace: {
+		presets: {
+			"square-white": { width: 2000, height: 2000, fit: "pad", background: "#FFFFFF", fill: 0.85, format: "jpeg", quality: 90, maxBytes: 10485760 },
+			"portrait-4x5": { width: 1080, height: 1350, fit: "crop", crop: "attention", format: "jpeg", quality: 90, maxBytes: 8388608 },
+			"story-9x16": { width: 1080, height: 1920, fit: "crop", crop: "attention", format: "jpeg", quality: 85, maxBytes: 4194304 },
+			thumbnail: { width: 600, height: 600, fit: "crop", crop: "mask", format: "webp", quality: 80, maxBytes: 102400 },
+		},
+	},
+	watermarks: {
+		profiles: {
+			preview: { text: "PREVIEW", tiled: true, opacity: 0.25, scale: 0.25 },
+			corner: { text: "PREVIEW", position: "bottom-right", opacity: 0.6, scale: 0.2 },
+		},
+		autoApply: null, // Opt-in: e.g. "preview" to stamp everything non-admin keys download
+	},
+};
+
+// Environment variable -> config path
+const ENV_MAP = {
+	PORT: "server.port",
+	PUBLIC_URL: "server.publicUrl",
+	COMFY_URL: "comfy.url",
+	COMFY_WEBSOCKET: "comfy.websocket",
+	COMFY_TIMEOUT_MS: "comfy.timeoutMs",
+	COMFY_RETRIES: "comfy.retries",
+	N8N_URL: "n8n.url",
+	N8N_UPLOAD_WEBHOOK: "n8n.uploadWebhook",
+	N8N_HEALTH_WEBHOOK: "n8n.healthWebhook",
+	N8N_TOKEN: "n8n.token",
+	N8N_TIMEOUT_MS: "n8n.timeoutMs",
+	N8N_RETRIES: "n8n.retries",
+	REMBG_URL: "rembg.url",
+	REMBG_API_KEY: "rembg.apiKey",
+	REMBG_TIMEOUT_MS: "rembg.timeoutMs",
+	REMBG_RETRIES: "rembg.retries",
+	WORKSPACES_ROOT: "storage.workspacesRoot",
+	API_KEYS: "auth.keys",
+	CORS_ORIGINS: "cors.origins",
+	QUOTA_IMAGES_PER_DAY: "quotas.imagesPerDay",
+	QUOTA_CONCURRENT_JOBS: "quotas.concurrentJobs",
+	QUOTA_MAX_COUNT: "quotas.maxCount",
+	DUPLICATE_THRESHOLD: "duplicates.threshold",
+	DUPLICATE_ACTION: "duplicates.action",
+	CIRCUIT_FAILURE_THRESHOLD: "circuitBreaker.failureThreshold",
+	CIRCUIT_RESET_TIMEOUT_MS: "circuitBreaker.resetTimeoutMs",
+	BG_REMOVAL_PROVIDER: "backgroundRemoval.provider",
+	BG_REMOVAL_FALLBACKS: "backgroundRemoval.fallbacks",
+	WORKFLOWS_DIR: "workflows.dir",
+	SCENES_DIR: "scenes.dir",
+	UPSCALE_MODEL: "upscale.model",
+	UPSCALE_MAX_DIMENSION: "upscale.maxDimension",
+	PRINT_MIN_DPI: "print.minDpi",
+};
+
+const SERVICES = ["comfy", "n8n", "rembg"];
+const BG_PROVIDERS = ["rembg", "comfy", "local"];
+
+const MARKETPLACE_FITS = ["pad", "crop"];
+const MARKETPLACE_CROPS = ["attention", "entropy", "mask", "center"];
+const MARKETPLACE_FORMATS = ["jpeg", "png", "webp"];
+
+const WATERMARK_POSITIONS = ["center", "top", "bottom", "left", "right", "top-left", "top-right", "bottom-left", "bottom-right"];
+
+const QUOTA_FIELDS = ["imagesPerDay", "concurrentJobs", "maxCount"];
+
+// Numeric generation settings: [min, max, multipleOf]
+const GENERATION_LIMITS = {
+	steps: [1, 150],
+	cfg: [0, 30],
+	width: [64, 2048, 8],
+	height: [64, 2048, 8],
+	batchSize: [1, 8],
+};
+
+const SECRET_KEYS = /^key$|(token|secret|password|apikey|api_key)$/i;
+
+/**
+ * Deep merge plain objects, later sources win
+ */
+function merge(target, source) {
+	for (const [key, value] of Object.entries(source || {})) {
+		if (value && typeof value === "object" && !Array.isArray(value)) {
+			target[key] = merge(target[key] && typeof target[key] === "object" ? target[key] : {}, value);
+		} else if (value !== undefined) {
+			target[key] = value;
+		}
+	}
+	return target;
+}
+
+function setPath(obj, dottedPath, value) {
+	const keys = dottedPath.split(".");
+	let current = obj;
+	for (const key of keys.slice(0, -1)) {
+		current[key] = current[key] || {};
+		current = current[key];
+	}
+	current[keys[keys.length - 1]] = value;
+}
+
+/**
+ * Read the optional JSON config file (CONFIG_FILE or ./config.json)
+ */
+function readConfigFile(filePath) {
+	const explicit = Boolean(filePath);
+	const resolved = path.resolve(filePath || "./config.json");
+
+	if (!fs.existsSync(resolved)) {
+		if (explicit) {
+			throw new Error(`Config file not found: ${resolved}`);
+		}
+		return { source: null, values: {} };
+	}
+
+	try {
+		return { source: resolved, values: JSON.parse(fs.readFileSync(resolved, "utf-8")) };
+	} catch (error) {
+		throw new Error(`Invalid config file ${resolved}: ${error.message}`);
+	}
+}
+
+/**
+ * API_KEYS env format: "key:workspace:role:name,key2:workspace2:role2" - the name is
+ * optional and defaults to "key-<n>" (names must be unique)
+ */
+function parseApiKeys(value) {
+	if (Array.isArray(value)) return value;
+	return String(value)
+		.split(",")
+		.map((entry) => entry.trim())
+		.filter(Boolean)
+		.map((entry) => {
+			const [key, workspace, role, name] = entry.split(":");
+			return { key, name: name || undefined, workspace, role };
+		});
+}
+
+function parseList(value) {
+	if (Array.isArray(value)) return value;
+	return String(value)
+		.split(",")
+		.map((entry) => entry.trim())
+		.filter(Boolean);
+}
+
+function parseBoolean(value) {
+	if (typeof value === "boolean") return value;
+	if (/^(true|1|yes|on)$/i.test(String(value))) return true;
+	if (/^(false|0|no|off)$/i.test(String(value))) return false;
+	return null;
+}
+
+/**
+ * Quota values are positive integers, or null / "unlimited" for no limit
+ */
+function parseLimit(value) {
+	if (value === null || value === undefined || value === "unlimited") return null;
+	return Number(value);
+}
+
+function validateQuotas(quotas, prefix, errors) {
+	if (!quotas || typeof quotas !== "object") {
+		errors.push(`${prefix} must be an object`);
+		return;
+	}
+	for (const [field, value] of Object.entries(quotas)) {
+		if (!QUOTA_FIELDS.includes(field)) {
+			errors.push(`${prefix}.${field} is not a known quota (${QUOTA_FIELDS.join(", ")})`);
+			continue;
+		}
+		const limit = parseLimit(value);
+		if (limit !== null && (!Number.isInteger(limit) || limit < 1)) {
+			errors.push(`${prefix}.${field} must be a positive integer or null, got "${value}"`);
+		}
+	}
+}
+
+function validateRateLimits(rateLimits, prefix, errors) {
+	if (!rateLimits || typeof rateLimits !== "object") {
+		errors.push(`${prefix} must be an object`);
+		return;
+	}
+	for (const [bucket, limit] of Object.entries(rateLimits)) {
+		if (limit === null) continue; // Bucket disabled
+		if (!limit || !(Number(limit.capacity) >= 1) || !(Number(limit.refillPerMinute) > 0)) {
+			errors.push(`${prefix}.${bucket} needs capacity >= 1 and refillPerMinute > 0 (or null to disable)`);
+		}
+	}
+}
+
+function validateGenerationSettings(settings, prefix, errors) {
+	if (!settings || typeof settings !== "object") {
+		errors.push(`${prefix} must be an object`);
+		return;
+	}
+	for (const key of ["sampler", "scheduler"]) {
+		if (settings[key] !== undefined && (typeof settings[key] !== "string" || !settings[key])) {
+			errors.push(`${prefix}.${key} must be a non-empty string`);
+		}
+	}
+	for (const [key, [min, max, multipleOf = null]] of Object.entries(GENERATION_LIMITS)) {
+		if (settings[key] === undefined) continue;
+		const value = Number(settings[key]);
+		if (!(value >= min && value <= max) || (multipleOf && value % multipleOf !== 0)) {
+			errors.push(`${prefix}.${key} must be between ${min} and ${max}${multipleOf ? ` and a multiple of ${multipleOf}` : ""}, got "${settings[key]}"`);
+		}
+	}
+}
+
+function validateMarketplacePreset(preset, prefix, errors) {
+	for (const field of ["width", "height"]) {
+		if (!Number.isInteger(preset[field]) || preset[field] < 64 || preset[field] > 8000) {
+			errors.push(`${prefix}.${field} must be an integer between 64 and 8000, got "${preset[field]}"`);
+		}
+	}
+	if (!MARKETPLACE_FITS.includes(preset.fit)) {
+		errors.push(`${prefix}.fit must be one of ${MARKETPLACE_FITS.join(", ")}, got "${preset.fit}"`);
+	}
+	if (preset.crop !== undefined && !MARKETPLACE_CROPS.includes(preset.crop)) {
+		errors.push(`${prefix}.crop must be one of ${MARKETPLACE_CROPS.join(", ")}, got "${preset.crop}"`);
+	}
+	if (!MARKETPLACE_FORMATS.includes(preset.format)) {
+		errors.push(`${prefix}.format must be one of ${MARKETPLACE_FORMATS.join(", ")}, got "${preset.format}"`);
+	}
+	if (preset.background != null && !/^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(preset.background)) {
+		errors.push(`${prefix}.background must be a hex color or null, got "${preset.background}"`);
+	}
+	if (preset.fill !== undefined && !(preset.fill >= 0.05 && preset.fill <= 1)) {
+		errors.push(`${prefix}.fill must be between 0.05 and 1, got "${preset.fill}"`);
+	}
+	if (preset.quality !== undefined && (!Number.isInteger(preset.quality) || preset.quality < 1 || preset.quality > 100)) {
+		errors.push(`${prefix}.quality must be an integer between 1 and 100, got "${preset.quality}"`);
+	}
+	for (const field of ["minBytes", "maxBytes"]) {
+		if (preset[field] != null && (!Number.isInteger(preset[field]) || preset[field] < 1)) {
+			errors.push(`${prefix}.${field} must be a positive integer or null, got "${preset[field]}"`);
+		}
+	}
+	if (preset.minBytes != null && preset.maxBytes != null && preset.minBytes >= preset.maxBytes) {
+		errors.push(`${prefix}.minBytes must be below maxBytes`);
+	}
+}
+
+function validateWatermarkProfile(profile, prefix, errors) {
+	const sources = ["logo", "text"].filter((field) => profile[field] !== undefined && profile[field] !== null);
+	if (sources.length !== 1) {
+		errors.push(`${prefix} needs either a logo path or text`);
+	}
+	for (const field of sources) {
+		if (typeof profile[field] !== "string" || !profile[field]) {
+			errors.push(`${prefix}.${field} must be a non-empty string`);
+		}
+	}
+	if (profile.color !== undefined && !/^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(profile.color)) {
+		errors.push(`${prefix}.color must be a hex color, got "${profile.color}"`);
+	}
+	if (profile.outline !== undefined && profile.outline !== null && !/^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(profile.outline)) {
+		errors.push(`${prefix}.outline must be a hex color or null, got "${profile.outline}"`);
+	}
+	if (profile.font !== undefined && (typeof profile.font !== "string" || !profile.font)) {
+		errors.push(`${prefix}.font must be a font description like "sans bold"`);
+	}
+	if (profile.position !== undefined && !WATERMARK_POSITIONS.includes(profile.position)) {
+		errors.push(`${prefix}.position must be one of ${WATERMARK_POSITIONS.join(", ")}, got "${profile.position}"`);
+	}
+	if (profile.tiled !== undefined && typeof profile.tiled !== "boolean") {
+		errors.push(`${prefix}.tiled must be true or false`);
+	}
+	for (const [field, min, max] of [["margin", 0, 0.5], ["opacity", 0.01, 1], ["scale", 0.01, 1], ["angle", -180, 180], ["spacing", 0, 10]]) {
+		if (profile[field] !== undefined && !(profile[field] >= min && profile[field] <= max)) {
+			errors.push(`${prefix}.${field} must be between ${min} and ${max}, got "${profile[field]}"`);
+		}
+	}
+}
+
+function isHttpUrl(value) {
+	try {
+		const url = new URL(value);
+		return url.protocol === "http:" || url.protocol === "https:";
+	} catch (error) {
+		return false;
+	}
+}
+
+/**
+ * Validate a merged config, returning a list of problems
+ */
+export function validateConfig(config) {
+	const errors = [];
+
+	const port = Number(config.server.port);
+	if (!Number.isInteger(port) || port < 1 || port > 65535) {
+		errors.push(`server.port must be an integer between 1 and 65535, got "${config.server.port}"`);
+	}
+
+	for (const key of ["server.publicUrl", "comfy.url", "n8n.url", "rembg.url"]) {
+		const [section, field] = key.split(".");
+		if (!isHttpUrl(config[section][field])) {
+			errors.push(`${key} must be an http(s) URL, got "${config[section][field]}"`);
+		}
+	}
+
+	const isInteger = (value, min) => Number.isInteger(Number(value)) && Number(value) >= min;
+	for (const service of SERVICES) {
+		if (!isInteger(config[service].timeoutMs, 1)) {
+			errors.push(`${service}.timeoutMs must be a positive integer, got "${config[service].timeoutMs}"`);
+		}
+		if (!isInteger(config[service].retries, 0) || Number(config[service].retries) > 10) {
+			errors.push(`${service}.retries must be an integer between 0 and 10, got "${config[service].retries}"`);
+		}
+	}
+	if (!isInteger(config.circuitBreaker.failureThreshold, 1)) {
+		errors.push(`circuitBreaker.failureThreshold must be a positive integer, got "${config.circuitBreaker.failureThreshold}"`);
+	}
+	if (!isInteger(config.circuitBreaker.resetTimeoutMs, 1)) {
+		errors.push(`circuitBreaker.resetTimeoutMs must be a positive integer, got "${config.circuitBreaker.resetTimeoutMs}"`);
+	}
+
+	const bg = config.backgroundRemoval;
+	if (!BG_PROVIDERS.includes(bg.provider)) {
+		errors.push(`backgroundRemoval.provider must be one of ${BG_PROVIDERS.join(", ")}, got "${bg.provider}"`);
+	}
+	for (const fallback of bg.fallbacks) {
+		if (!BG_PROVIDERS.includes(fallback)) {
+			errors.push(`backgroundRemoval.fallbacks contains unknown provider "${fallback}"`);
+		}
+	}
+	if (typeof bg.comfy.nodeType !== "string" || !bg.comfy.nodeType || typeof bg.comfy.imageInput !== "string") {
+		errors.push("backgroundRemoval.comfy needs a nodeType and an imageInput name");
+	}
+	if (!(Number(bg.local.tolerance) >= 0) || !(Number(bg.local.softness) >= 0)) {
+		errors.push("backgroundRemoval.local.tolerance and softness must be numbers >= 0");
+	}
+	if (!(Number(bg.local.minBorderCoverage) >= 0 && Number(bg.local.minBorderCoverage) <= 1)) {
+		errors.push(`backgroundRemoval.local.minBorderCoverage must be between 0 and 1, got "${bg.local.minBorderCoverage}"`);
+	}
+
+	if (parseBoolean(config.comfy.websocket) === null) {
+		errors.push(`comfy.websocket must be a boolean, got "${config.comfy.websocket}"`);
+	}
+
+	for (const key of ["uploadWebhook", "healthWebhook"]) {
+		if (typeof config.n8n[key] !== "string" || !config.n8n[key].startsWith("/")) {
+			errors.push(`n8n.${key} must be a path starting with "/", got "${config.n8n[key]}"`);
+		}
+	}
+
+	if (typeof config.storage.workspacesRoot !== "string" || !config.storage.workspacesRoot) {
+		errors.push("storage.workspacesRoot must be a directory path");
+	}
+	for (const section of ["workflows", "scenes"]) {
+		if (typeof config[section].dir !== "string" || !config[section].dir) {
+			errors.push(`${section}.dir must be a directory path`);
+		}
+	}
+
+	if (!Array.isArray(config.auth.keys)) {
+		errors.push("auth.keys must be an array");
+	} else {
+		config.auth.keys.forEach((entry, i) => {
+			if (!entry || typeof entry.key !== "string" || entry.key.length < 16) {
+				errors.push(`auth.keys[${i}].key must be a string of at least 16 characters`);
+			}
+			if (entry && entry.quotas !== undefined) {
+				validateQuotas(entry.quotas, `auth.keys[${i}].quotas`, errors);
+			}
+			if (entry && entry.rateLimits !== undefined) {
+				validateRateLimits(entry.rateLimits, `auth.keys[${i}].rateLimits`, errors);
+			}
+		});
+	}
+
+	if (!Array.isArray(config.cors.origins) || config.cors.origins.length === 0) {
+		errors.push("cors.origins must be a non-empty list of origins (or [\"*\"])");
+	}
+
+	validateQuotas(config.quotas, "quotas", errors);
+	validateRateLimits(config.rateLimits, "rateLimits", errors);
+
+	validateGenerationSettings(config.generation.defaults, "generation.defaults", errors);
+	for (const [match, settings] of Object.entries(config.generation.models || {})) {
+		validateGenerationSettings(settings, `generation.models.${match}`, errors);
+	}
+	for (const key of ["sampler", "scheduler", ...Object.keys(GENERATION_LIMITS)]) {
+		if (config.generation.defaults?.[key] === undefined) {
+			errors.push(`generation.defaults.${key} is required`);
+		}
+	}
+	for (const [type, model] of Object.entries(config.generation.controlnets || {})) {
+		if (typeof model !== "string" || !model) {
+			errors.push(`generation.controlnets.${type} must be a ControlNet model file name`);
+		}
+	}
+
+	if (config.upscale.model !== null && (typeof config.upscale.model !== "string" || !config.upscale.model)) {
+		errors.push("upscale.model must be an upscale model file name or null");
+	}
+	if (!Number.isInteger(Number(config.upscale.maxDimension)) || Number(config.upscale.maxDimension) < 64) {
+		errors.push(`upscale.maxDimension must be an integer >= 64, got "${config.upscale.maxDimension}"`);
+	}
+	if (!Number.isInteger(Number(config.upscale.timeoutMs)) || Number(config.upscale.timeoutMs) < 1) {
+		errors.push(`upscale.timeoutMs must be a positive integer, got "${config.upscale.timeoutMs}"`);
+	}
+
+	for (const [name, preset] of Object.entries(config.print.presets || {})) {
+		for (const [field, min, max] of [["width", 64, 20000], ["height", 64, 20000], ["dpi", 72, 1200]]) {
+			if (!Number.isInteger(preset?.[field]) || preset[field] < min || preset[field] > max) {
+				errors.push(`print.presets.${name}.${field} must be an integer between ${min} and ${max}, got "${preset?.[field]}"`);
+			}
+		}
+	}
+	if (!Number.isInteger(Number(config.print.minDpi)) || Number(config.print.minDpi) < 1) {
+		errors.push(`print.minDpi must be a positive integer, got "${config.print.minDpi}"`);
+	}
+
+	for (const [name, preset] of Object.entries(config.marketplace.presets || {})) {
+		validateMarketplacePreset(preset || {}, `marketplace.presets.${name}`, errors);
+	}
+
+	for (const [name, profile] of Object.entries(config.watermarks.profiles || {})) {
+		validateWatermarkProfile(profile || {}, `watermarks.profiles.${name}`, errors);
+	}
+	if (config.watermarks.autoApply !== null && !config.watermarks.profiles?.[config.watermarks.autoApply]) {
+		errors.push(`watermarks.autoApply must name a watermark profile or be null, got "${config.watermarks.autoApply}"`);
+	}
+
+	const threshold = Number(config.duplicates.threshold);
+	if (!Number.isInteger(threshold) || threshold < 0 || threshold > 64) {
+		errors.push(`duplicates.threshold must be an integer between 0 and 64, got "${config.duplicates.threshold}"`);
+	}
+	if (!["flag", "reject"].includes(config.duplicates.action)) {
+		errors.push(`duplicates.action must be "flag" or "reject", got "${config.duplicates.action}"`);
+	}
+
+	return errors;
+}
+
+/**
+ * Build the effective config from defaults, the config file and the environment
+ */
+export function loadConfig(env = process.env) {
+	const file = readConfigFile(env.CONFIG_FILE);
+	const config = merge(merge({}, DEFAULTS), file.values);
+
+	for (const [envKey, configPath] of Object.entries(ENV_MAP)) {
+		if (env[envKey] !== undefined && env[envKey] !== "") {
+			setPath(config, configPath, env[envKey]);
+		}
+	}
+
+	config.auth.keys = parseApiKeys(config.auth.keys);
+	config.cors.origins = parseList(config.cors.origins);
+	config.backgroundRemoval.fallbacks = parseList(config.backgroundRemoval.fallbacks);
+
+	const errors = validateConfig(config);
+	if (errors.length > 0) {
+		throw new Error(`Invalid configuration:\n  - ${errors.join("\n  - ")}`);
+	}
+
+	config.server.port = Number(config.server.port);
+	config.comfy.websocket = parseBoolean(config.comfy.websocket);
+	config.duplicates.threshold = Number(config.duplicates.threshold);
+	for (const field of QUOTA_FIELDS) {
+		config.quotas[field] = parseLimit(config.quotas[field]);
+	}
+	for (const section of SERVICES) {
+		config[section].url = config[section].url.replace(/\/+$/, "");
+		config[section].timeoutMs = Number(config[section].timeoutMs);
+		config[section].retries = Number(config[section].retries);
+	}
+	config.circuitBreaker.failureThreshold = Number(config.circuitBreaker.failureThreshold);
+	config.circuitBreaker.resetTimeoutMs = Number(config.circuitBreaker.resetTimeoutMs);
+	config.upscale.maxDimension = Number(config.upscale.maxDimension);
+	config.upscale.timeoutMs = Number(config.upscale.timeoutMs);
+	config.print.minDpi = Number(config.print.minDpi);
+
+	Object.defineProperty(config, "source", { value: file.source, enumerable: false });
+	return config;
+}
+
+/** @type {AppConfig} */
+export const config = loadConfig();
+
+/**
+ * Build a full URL for an external service
+ */
+export function serviceUrl(service, pathname = "") {
+	const section = config[service];
+	if (!section || !section.url) {
+		throw new Error(`Unknown service: ${service}`);
+	}
+	return `${section.url}${pathname}`;
+}
+
+/**
+ * Return a copy of the config that is safe to expose over HTTP
+ */
+export function getRedactedConfig(source = config) {
+	const redact = (value, key = "") => {
+		if (Array.isArray(value)) {
+			return value.map((item) => redact(item));
+		}
+		if (value && typeof value === "object") {
+			return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redact(v, k)]));
+		}
+		if (SECRET_KEYS.test(key)) {
+			return value ? "********" : null;
+		}
+		if (typeof value === "string" && isHttpUrl(value)) {
+			const url = new URL(value);
+			if (url.username || url.password) {
+				url.username = "****";
+				url.password = "****";
+				return url.toString().replace(/\/$/, "");
+			}
+		}
+		return value;
+	};
+
+	return redact(source);
+}
+
+export default {
+	config,
+	loadConfig,
+	validateConfig,
+	serviceUrl,
+	getRedactedConfig,
+};
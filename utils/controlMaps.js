@@ -0,0 +1,123 @@
+// utils/controlMaps.js
+//
+// Control images for ControlNet-guided generation:
+//   canny - edge map of a product image, computed locally (Sobel convolutions in
+//           sharp, then non-maximum suppression and hysteresis thresholding)
+//   depth / pose - maps made elsewhere, only fitted to the generation size
+// Every map is letterboxed onto black at the latent size so the whole product stays in frame.
+import sharp from "sharp";
+
+export const CONTROL_TYPES = ["canny", "depth", "pose"];
+
+const SOBEL_X = [-1, 0, 1, -2, 0, 2, -1, 0, 1];
+const SOBEL_Y = [-1, -2, -1, 0, 0, 0, 1, 2, 1];
+// Gradients reach +-1020; scaled into a byte around 128 so negatives survive
+const GRADIENT_SCALE = 8;
+
+const BLACK = { r: 0, g: 0, b: 0 };
+
+/**
+ * One gradient direction of a greyscale image as signed values
+ */
+async function gradient(grey, info, kernel) {
+	const { data } = await sharp(grey, { raw: { width: info.width, height: info.height, channels: 1 } })
+		.convolve({ width: 3, height: 3, kernel, scale: GRADIENT_SCALE, offset: 128 })
+		.extractChannel(0)
+		.raw()
+		.toBuffer({ resolveWithObject: true });
+	return Int16Array.from(data, (v) => (v - 128) * GRADIENT_SCALE);
+}
+
+/**
+ * Canny edge map of an image as a PNG Buffer (white edges on black), `width` x `height`.
+ * Transparent areas of a cutout are flattened onto mid grey so both light and dark
+ * garments keep their silhouette edge. Thresholds apply to the gradient magnitude (0-1020ish).
+ */
+export async function cannyEdgeMap(imagePath, { width, height, lowThreshold = 100, highThreshold = 200 }) {
+	const { data: grey, info } = await sharp(imagePath)
+		.flatten({ background: "#808080" })
+		.resize(width, height, { fit: "inside" }) // Letterboxed afterwards - the bars would read as edges
+		.greyscale()
+		.blur(1.4)
+		.extractChannel(0)
+		.raw()
+		.toBuffer({ resolveWithObject: true });
+
+	const [gx, gy] = await Promise.all([gradient(grey, info, SOBEL_X), gradient(grey, info, SOBEL_Y)]);
+	const w = info.width;
+	const h = info.height;
+
+	const magnitude = new Float32Array(w * h);
+	for (let i = 0; i < magnitude.length; i++) {
+		magnitude[i] = Math.hypot(gx[i], gy[i]);
+	}
+
+	// Non-maximum suppression: keep pixels that peak across the edge
+	// 0 = strong edge, 1 = weak edge, 2 = none
+	const strength = new Uint8Array(w * h).fill(2);
+	for (let y = 1; y < h - 1; y++) {
+		for (let x = 1; x < w - 1; x++) {
+			const i = y * w + x;
+			const m = magnitude[i];
+			if (m < lowThreshold) continue;
+
+			const angle = ((Math.atan2(gy[i], gx[i]) * 180) / Math.PI + 180) % 180;
+			let step;
+			if (angle < 22.5 || angle >= 157.5) step = 1;
+			else if (angle < 67.5) step = w + 1;
+			else if (angle < 112.5) step = w;
+			else step = w - 1;
+
+			if (m >= magnitude[i - step] && m >= magnitude[i + step]) {
+				strength[i] = m >= highThreshold ? 0 : 1;
+			}
+		}
+	}
+
+	// Hysteresis: weak edges survive only when connected to a strong one
+	const edges = Buffer.alloc(w * h);
+	const stack = [];
+	for (let i = 0; i < strength.length; i++) {
+		if (strength[i] === 0) stack.push(i);
+	}
+	while (stack.length > 0) {
+		const i = stack.pop();
+		if (edges[i]) continue;
+		edges[i] = 255;
+
+		const x = i % w;
+		for (const dy of [-w, 0, w]) {
+			for (const dx of [-1, 0, 1]) {
+				const j = i + dy + dx;
+				if (j < 0 || j >= edges.length || (dx === -1 && x === 0) || (dx === 1 && x === w - 1)) continue;
+				if (strength[j] === 1 && !edges[j]) stack.push(j);
+			}
+		}
+	}
+
+	return sharp(edges, { raw: { width: w, height: h, channels: 1 } })
+		.resize(width, height, { fit: "contain", background: BLACK })
+		.png()
+		.toBuffer();
+}
+
+/**
+ * A control image for `type` as a PNG Buffer at the generation size.
+ * `options`: { width, height, lowThreshold, highThreshold } - thresholds apply to canny only
+ */
+export async function prepareControlImage(type, imagePath, options) {
+	if (type === "canny") {
+		return cannyEdgeMap(imagePath, options);
+	}
+	return sharp(imagePath)
+		.flatten({ background: BLACK })
+		.resize(options.width, options.height, { fit: "contain", background: BLACK })
+		.png()
+		.toBuffer();
+}
+
+export default {
+	CONTROL_TYPES,
+	cannyEdgeMap,
+	prepareControlImage,
+};
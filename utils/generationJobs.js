@@ -0,0 +1,332 @@
+// utils/generationJobs.js
+import fs from "fs/promises";
+import path from "path";
+import {
+	applyControlNet,
+	cancelPrompt,
+	createImg2ImgWorkflow,
+	createInpaintWorkflow,
+	createTextToImageWorkflow,
+	downloadComfyOutput,
+	getDefaultModel,
+	queuePrompt,
+	uploadImageToComfy,
+	waitForCompletion,
+} from "./comfyProcessor.js";
+import { prepareControlImage } from "./controlMaps.js";
+import { compositeProduct, getImageInfo, prepareInpaintCanvas } from "./imageProcessor.js";
+import { registerJobHandler } from "./jobQueue.js";
+import { upscaleImage } from "./upscaler.js";
+import { buildWorkflow, getTemplate, valuesForRun } from "./workflowTemplates.js";
+import { DEFAULT_WORKSPACE, getWorkspace } from "./workspace.js";
+
+// Node ids whose images a workflow saves
+const SAVE_NODES = ["SaveImage", "SaveAnimatedWEBP"];
+const saveImageNodes = (workflow) => Object.keys(workflow).filter((id) => SAVE_NODES.includes(workflow[id].class_type));
+
+// Workspace directory for each kind of output
+const OUTPUT_DIRS = { generated: "generated", video: "videos" };
+
+/**
+ * Queue a workflow (or re-attach to one queued before a restart), wait for it
+ * and download the images of its output nodes (every SaveImage node unless
+ * `outputNodes` is given). `afterDownload(localPath)` may post-process each
+ * image before it is catalogued; with job.params.upscale ({ scale, method, model })
+ * every image is then upscaled in place. `kind` ("generated" or "video") picks the
+ * directory and derivative kind the outputs are stored under.
+ */
+async function runGeneration(job, ctx, index, seed, buildGraph, { outputNodes = null, afterDownload = null, kind = "generated" } = {}) {
+	let promptId;
+	const inFlight = job.state.inFlight;
+
+	if (inFlight && inFlight.index === index) {
+		promptId = inFlight.promptId;
+		outputNodes = inFlight.outputNodes || outputNodes || ["9"]; // Jobs from before output tracking used node 9
+		console.log(`🔁 Re-attaching to prompt_id: ${promptId}`);
+	} else {
+		const workflow = await buildGraph();
+		outputNodes = outputNodes || saveImageNodes(workflow);
+		const queueResult = await queuePrompt(workflow);
+		promptId = queueResult.prompt_id;
+		job.state.inFlight = { index, promptId, seed, outputNodes };
+		await ctx.save();
+		ctx.progress({ stage: "queued", index: index + 1, promptId });
+		console.log(`✅ Queued with prompt_id: ${promptId}`);
+	}
+
+	ctx.onCancel(() => cancelPrompt(promptId));
+
+	try {
+		console.log("⏳ Waiting for generation...");
+		const completion = await waitForCompletion(promptId, undefined, {
+			onProgress: (event) => {
+				// Live only - GET /jobs/:id reads the in-memory job
+				job.state.step = { index, ...event };
+				if (event.type === "step") {
+					ctx.progress({ stage: "progress", index: index + 1, step: event.value, steps: event.max, percent: event.percent });
+				}
+			},
+		});
+
+		if (!completion.success) {
+			return { success: false, error: completion.error, nodeError: completion.nodeError };
+		}
+
+		const images = outputNodes.flatMap((node) => completion.status.outputs?.[node]?.images || []);
+		if (images.length === 0) {
+			return { success: false, error: "No output image generated" };
+		}
+
+		const { paths, catalog } = await getWorkspace(job.workspace || DEFAULT_WORKSPACE);
+		const files = [];
+		for (const image of images) {
+			console.log(`📥 Downloading: ${image.filename}`);
+			const localPath = await downloadComfyOutput(image.filename, paths[OUTPUT_DIRS[kind]]);
+			if (afterDownload) await afterDownload(localPath);
+			let upscaled = null;
+			if (job.params.upscale) {
+				ctx.progress({ stage: "upscaling", index: index + 1 });
+				upscaled = await upscaleImage(localPath, job.params.upscale);
+				await fs.writeFile(localPath, upscaled.buffer);
+				console.log(`🔍 Upscaled to ${upscaled.width}x${upscaled.height} with ${upscaled.method}`);
+			}
+			console.log(`✅ Saved to: ${localPath}`);
+
+			const stats = await fs.stat(localPath);
+			const info = await getImageInfo(localPath).catch(() => null);
+			catalog.recordDerivative(job.params.assetId || null, {
+				kind,
+				filename: path.basename(localPath),
+				path: localPath,
+				size: stats.size,
+				width: info?.width,
+				height: info?.height,
+				format: info?.format,
+				details: {
+					jobId: job.id,
+					jobType: job.type,
+					workflow: job.params.workflow,
+					promptId,
+					seed,
+					prompt: job.params.prompt ?? job.params.values?.prompt,
+					upscale: upscaled ? { scale: job.params.upscale.scale, method: upscaled.method, model: upscaled.model } : undefined,
+				},
+			});
+			files.push({ filename: path.basename(localPath), path: localPath, size: stats.size });
+		}
+
+		if (job.params.assetId) {
+			catalog.recordRun({ assetId: job.params.assetId, operation: "generate", status: "success", details: { jobId: job.id, promptId } });
+		}
+
+		return {
+			success: true,
+			promptId,
+			...files[0],
+			files: files.length > 1 ? files : undefined,
+		};
+	} finally {
+		ctx.onCancel(null);
+		job.state.inFlight = null;
+		job.state.step = null;
+	}
+}
+
+/**
+ * Text-to-image: params { prompt, negative_prompt, seed, count, scene, settings, control }.
+ * With `control` ({ type, sourcePath, model, strength, lowThreshold, highThreshold }) the
+ * control image is built at the generation size and uploaded once.
+ */
+async function textToImageHandler(job, ctx) {
+	const { prompt, negative_prompt, seed, count, settings = {}, control = null } = job.params;
+
+	if (control && !job.state.controlImage) {
+		console.log(`🧭 Preparing ${control.type} control image...`);
+		const map = await prepareControlImage(control.type, control.sourcePath, { ...control, width: settings.width, height: settings.height });
+		job.state.controlImage = await uploadImageToComfy(`${path.parse(control.sourcePath).name}_${control.type}.png`, map);
+		await ctx.save();
+		console.log(`✅ Uploaded as: ${job.state.controlImage}`);
+	}
+	const controlNet = control && { image: job.state.controlImage, model: control.model, strength: control.strength };
+
+	for (let i = job.results.length; i < count; i++) {
+		if (ctx.isCancelled()) break;
+		console.log(`\n🎨 [${i + 1}/${count}] Generating image...`);
+		ctx.progress({ stage: "started", index: i + 1 });
+
+		const resumedSeed = job.state.inFlight?.index === i ? job.state.inFlight.seed : null;
+		const currentSeed = resumedSeed ?? (seed === -1 ? Math.floor(Math.random() * 1000000) : seed + i);
+
+		try {
+			const result = await runGeneration(job, ctx, i, currentSeed, async () =>
+				applyControlNet(await createTextToImageWorkflow(prompt, negative_prompt, currentSeed, settings.model, settings), controlNet)
+			);
+			if (ctx.isCancelled() && !result.success) break;
+
+			if (!result.success) {
+				console.error(`❌ Generation ${i + 1} failed:`, result.error);
+			}
+			await ctx.addResult({ index: i + 1, ...result, seed: currentSeed, prompt });
+		} catch (error) {
+			console.error(`❌ Generation ${i + 1} failed:`, error.message);
+			await ctx.addResult({ index: i + 1, success: false, error: error.message, seed: currentSeed });
+		}
+	}
+}
+
+/**
+ * Image-to-image variations: params { filename, sourcePath, prompt, negative_prompt, strength, count, scene, settings }
+ */
+async function variationsHandler(job, ctx) {
+	const { filename, sourcePath, prompt, negative_prompt, strength, count, settings = {} } = job.params;
+
+	if (!job.state.uploadedFilename) {
+		console.log("📤 Uploading to ComfyUI...");
+		job.state.uploadedFilename = await uploadImageToComfy(sourcePath);
+		await ctx.save();
+		console.log(`✅ Uploaded as: ${job.state.uploadedFilename}`);
+	}
+
+	for (let i = job.results.length; i < count; i++) {
+		if (ctx.isCancelled()) break;
+		console.log(`\n🎨 [${i + 1}/${count}] Generating variation...`);
+		ctx.progress({ stage: "started", index: i + 1 });
+
+		const resumedSeed = job.state.inFlight?.index === i ? job.state.inFlight.seed : null;
+		const currentSeed = resumedSeed ?? Math.floor(Math.random() * 1000000);
+
+		try {
+			const result = await runGeneration(job, ctx, i, currentSeed, () =>
+				createImg2ImgWorkflow(job.state.uploadedFilename, prompt, negative_prompt, strength, currentSeed, settings.model, settings)
+			);
+			if (ctx.isCancelled() && !result.success) break;
+
+			if (!result.success) {
+				console.error(`❌ Variation ${i + 1} failed:`, result.error);
+			}
+			await ctx.addResult({ index: i + 1, ...result, seed: currentSeed, originalImage: filename });
+		} catch (error) {
+			console.error(`❌ Variation ${i + 1} failed:`, error.message);
+			await ctx.addResult({ index: i + 1, success: false, error: error.message, seed: currentSeed });
+		}
+	}
+}
+
+/**
+ * Background inpainting: params { filename, cutoutPath, prompt, negative_prompt, growMask, count, scene, settings }.
+ * Only the transparent area of the cutout is regenerated; the product pixels are
+ * then composited back over every result so the garment itself never changes.
+ */
+async function inpaintHandler(job, ctx) {
+	const { filename, cutoutPath, prompt, negative_prompt, growMask, count, settings = {} } = job.params;
+
+	// Rebuilt on every start (it is deterministic) - the composite needs it in memory
+	const canvas = await prepareInpaintCanvas(cutoutPath, settings);
+	if (!job.state.uploadedFilename) {
+		console.log("📤 Uploading inpainting canvas to ComfyUI...");
+		const canvasName = `${path.parse(cutoutPath).name}_canvas.png`;
+		job.state.uploadedFilename = await uploadImageToComfy(canvasName, canvas);
+		await ctx.save();
+		console.log(`✅ Uploaded as: ${job.state.uploadedFilename}`);
+	}
+
+	for (let i = job.results.length; i < count; i++) {
+		if (ctx.isCancelled()) break;
+		console.log(`\n🖌️  [${i + 1}/${count}] Inpainting background...`);
+		ctx.progress({ stage: "started", index: i + 1 });
+
+		const resumedSeed = job.state.inFlight?.index === i ? job.state.inFlight.seed : null;
+		const currentSeed = resumedSeed ?? Math.floor(Math.random() * 1000000);
+
+		try {
+			const result = await runGeneration(
+				job,
+				ctx,
+				i,
+				currentSeed,
+				() => createInpaintWorkflow(job.state.uploadedFilename, prompt, negative_prompt, currentSeed, settings.model, settings, { growMask }),
+				{ afterDownload: (localPath) => compositeProduct(localPath, canvas) }
+			);
+			if (ctx.isCancelled() && !result.success) break;
+
+			if (!result.success) {
+				console.error(`❌ Inpainting ${i + 1} failed:`, result.error);
+			}
+			await ctx.addResult({ index: i + 1, ...result, seed: currentSeed, originalImage: filename });
+		} catch (error) {
+			console.error(`❌ Inpainting ${i + 1} failed:`, error.message);
+			await ctx.addResult({ index: i + 1, success: false, error: error.message, seed: currentSeed });
+		}
+	}
+}
+
+/**
+ * Workflow template run: params { workflow, values, images: { param: sourcePath }, assetId, count, kind }
+ */
+async function workflowHandler(job, ctx) {
+	const { workflow: name, values, images, count, kind = "generated" } = job.params;
+
+	const template = await getTemplate(name);
+	if (!template) {
+		throw new Error(`Workflow template not found: ${name}`);
+	}
+
+	// Upload image parameters once; uploads survive a restart in job.state
+	job.state.uploadedImages = job.state.uploadedImages || {};
+	for (const [param, sourcePath] of Object.entries(images || {})) {
+		if (job.state.uploadedImages[param]) continue;
+		console.log(`📤 Uploading ${param} to ComfyUI...`);
+		job.state.uploadedImages[param] = await uploadImageToComfy(sourcePath);
+		await ctx.save();
+	}
+
+	const needsModel = Object.entries(template.parameters).some(([param, p]) => p.type === "model" && !values[param]);
+	const model = needsModel ? await getDefaultModel() : null;
+	const seedParam = Object.keys(template.parameters).find((param) => template.parameters[param].seed);
+
+	for (let i = job.results.length; i < count; i++) {
+		if (ctx.isCancelled()) break;
+		console.log(`\n🧩 [${i + 1}/${count}] Running workflow "${name}"...`);
+		ctx.progress({ stage: "started", index: i + 1 });
+
+		const runValues = valuesForRun(template, values, i);
+		if (seedParam && job.state.inFlight?.index === i) {
+			runValues[seedParam] = job.state.inFlight.seed;
+		}
+		const seed = seedParam ? runValues[seedParam] : null;
+
+		try {
+			const result = await runGeneration(
+				job,
+				ctx,
+				i,
+				seed,
+				() => buildWorkflow(template, runValues, { images: job.state.uploadedImages, model }),
+				{ outputNodes: template.outputs, kind }
+			);
+			if (ctx.isCancelled() && !result.success) break;
+
+			if (!result.success) {
+				console.error(`❌ Workflow run ${i + 1} failed:`, result.error);
+			}
+			await ctx.addResult({ index: i + 1, ...result, seed });
+		} catch (error) {
+			console.error(`❌ Workflow run ${i + 1} failed:`, error.message);
+			await ctx.addResult({ index: i + 1, success: false, error: error.message, seed });
+		}
+	}
+}
+
+/**
+ * Register generation job types with the queue
+ */
+export function registerGenerationJobs() {
+	registerJobHandler("text-to-image", textToImageHandler);
+	registerJobHandler("img2img-variations", variationsHandler);
+	registerJobHandler("inpaint-variations", inpaintHandler);
+	registerJobHandler("workflow", workflowHandler);
+}
+
+export default {
+	registerGenerationJobs,
+};
@@ -0,0 +1,91 @@
+// utils/generationSettings.js
+//
+// Effective model, LoRA, sampler and resolution settings for a generation request.
+// Layers, from lowest to highest priority: config.generation.defaults, the
+// config.generation.models entries matching the checkpoint name, the scene, then
+// the request itself.
+import { getAvailableLoras, getAvailableModels, getDefaultModel, getSamplerOptions } from "./comfyProcessor.js";
+import { config } from "./config.js";
+
+export const SETTING_FIELDS = ["model", "loras", "sampler", "scheduler", "steps", "cfg", "width", "height", "batchSize"];
+
+const pickDefined = (source) =>
+	Object.fromEntries(SETTING_FIELDS.filter((field) => source?.[field] !== undefined).map((field) => [field, source[field]]));
+
+/**
+ * Defaults for a checkpoint: the global defaults plus every config.generation.models
+ * entry whose key appears in the model name (later entries win)
+ */
+export function modelDefaults(model = "") {
+	const name = model.toLowerCase();
+	const settings = { ...config.generation.defaults };
+	for (const [match, overrides] of Object.entries(config.generation.models || {})) {
+		if (name.includes(match.toLowerCase())) Object.assign(settings, overrides);
+	}
+	return settings;
+}
+
+/**
+ * Settings a request body asks for (batch_size -> batchSize)
+ */
+export function requestSettings(body) {
+	return pickDefined({ ...body, batchSize: body.batch_size });
+}
+
+/**
+ * Merge setting layers (lowest priority first) over the chosen model's defaults.
+ * With `keepSourceSize` (img2img) width / height only apply when a layer sets
+ * them, so the source image keeps its size by default.
+ */
+export async function resolveGenerationSettings(layers, { keepSourceSize = false } = {}) {
+	const chosen = Object.assign({}, ...layers.map(pickDefined));
+	const model = chosen.model || (await getDefaultModel());
+	const settings = { loras: [], ...modelDefaults(model), ...chosen, model };
+
+	if (keepSourceSize) {
+		if (chosen.width === undefined) delete settings.width;
+		if (chosen.height === undefined) delete settings.height;
+	}
+	return settings;
+}
+
+/**
+ * Check the model, LoRAs, sampler and scheduler against what ComfyUI has installed.
+ * Returns a list of { field, message } (empty when everything is available).
+ */
+export async function checkGenerationSettings(settings) {
+	const errors = [];
+
+	const models = await getAvailableModels();
+	if (!models.includes(settings.model)) {
+		errors.push({ field: "body.model", message: `is not installed in ComfyUI (available: ${models.join(", ")})` });
+	}
+
+	// Skipped when ComfyUI cannot list them - the prompt fails with a clear error instead
+	const options = await getSamplerOptions();
+	if (options && !options.samplers.includes(settings.sampler)) {
+		errors.push({ field: "body.sampler", message: `must be one of: ${options.samplers.join(", ")}` });
+	}
+	if (options && !options.schedulers.includes(settings.scheduler)) {
+		errors.push({ field: "body.scheduler", message: `must be one of: ${options.schedulers.join(", ")}` });
+	}
+
+	if (settings.loras.length > 0) {
+		const loras = await getAvailableLoras().catch(() => null);
+		settings.loras.forEach((lora, i) => {
+			if (loras && !loras.includes(lora.name)) {
+				errors.push({ field: `body.loras[${i}].name`, message: "is not installed in ComfyUI (see /comfy-loras)" });
+			}
+		});
+	}
+
+	return errors;
+}
+
+export default {
+	SETTING_FIELDS,
+	modelDefaults,
+	requestSettings,
+	resolveGenerationSettings,
+	checkGenerationSettings,
+};
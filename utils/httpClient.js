@@ -0,0 +1,212 @@
+// utils/httpClient.js
+import fetch from "node-fetch";
+import { config, serviceUrl } from "./config.js";
+
+const RETRYABLE_STATUSES = [502, 503, 504];
+const RETRY_BASE_DELAY = 500; // Doubled on every attempt, plus jitter
+
+/**
+ * Thrown without touching the network while a service's circuit is open
+ */
+export class CircuitOpenError extends Error {
+	constructor(service, retryAt) {
+		super(`${service} is unavailable (circuit open, retrying after ${new Date(retryAt).toISOString()})`);
+		this.name = "CircuitOpenError";
+		this.status = 503;
+		this.service = service;
+		this.retryAt = retryAt;
+	}
+}
+
+// ========================================
+// CIRCUIT BREAKERS
+// ========================================
+
+const breakers = new Map(); // service -> { state, failures, openedAt, lastError, trialInFlight }
+
+function getBreaker(service) {
+	if (!breakers.has(service)) {
+		breakers.set(service, { state: "closed", failures: 0, openedAt: null, lastError: null, trialInFlight: false });
+	}
+	return breakers.get(service);
+}
+
+/**
+ * Closed: requests flow. Open: fail fast until resetTimeoutMs has passed.
+ * Half-open: let a single trial request through - success closes, failure re-opens.
+ */
+function beforeRequest(service) {
+	const breaker = getBreaker(service);
+	const { resetTimeoutMs } = config.circuitBreaker;
+
+	if (breaker.state === "open") {
+		const retryAt = breaker.openedAt + resetTimeoutMs;
+		if (Date.now() < retryAt) {
+			throw new CircuitOpenError(service, retryAt);
+		}
+		breaker.state = "half-open";
+		console.log(`🟡 [HTTP] ${service} circuit half-open, sending a trial request`);
+	}
+
+	if (breaker.state === "half-open") {
+		if (breaker.trialInFlight) {
+			throw new CircuitOpenError(service, Date.now() + 1000);
+		}
+		breaker.trialInFlight = true;
+	}
+}
+
+function recordSuccess(service) {
+	const breaker = getBreaker(service);
+	if (breaker.state !== "closed") {
+		console.log(`🟢 [HTTP] ${service} circuit closed`);
+	}
+	breaker.state = "closed";
+	breaker.failures = 0;
+	breaker.openedAt = null;
+	breaker.trialInFlight = false;
+}
+
+function recordFailure(service, error) {
+	const breaker = getBreaker(service);
+	breaker.failures++;
+	breaker.lastError = { message: error, at: new Date().toISOString() };
+	breaker.trialInFlight = false;
+
+	if (breaker.state === "half-open" || breaker.failures >= config.circuitBreaker.failureThreshold) {
+		if (breaker.state !== "open") {
+			console.error(`🔴 [HTTP] ${service} circuit open after ${breaker.failures} failure(s): ${error}`);
+		}
+		breaker.state = "open";
+		breaker.openedAt = Date.now();
+	}
+}
+
+/**
+ * Circuit state of every external service, for /system-status
+ */
+export function getCircuitStates() {
+	const states = {};
+	for (const service of ["comfy", "rembg", "n8n"]) {
+		const breaker = getBreaker(service);
+		states[service] = {
+			state: breaker.state,
+			failures: breaker.failures,
+			openedAt: breaker.openedAt ? new Date(breaker.openedAt).toISOString() : null,
+			retryAt: breaker.state === "open" ? new Date(breaker.openedAt + config.circuitBreaker.resetTimeoutMs).toISOString() : null,
+			lastError: breaker.lastError,
+		};
+	}
+	return states;
+}
+
+/**
+ * Whether calls to a service would currently be refused without a request
+ */
+export function isCircuitOpen(service) {
+	const breaker = getBreaker(service);
+	return breaker.state === "open" && Date.now() < breaker.openedAt + config.circuitBreaker.resetTimeoutMs;
+}
+
+// ========================================
+// REQUESTS
+// ========================================
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const BODY_READERS = ["json", "text", "arrayBuffer", "buffer", "blob"];
+
+/**
+ * The timeout covers reading the body as well as the headers: the timer is only
+ * cleared once the body stream closes, so a response stalled mid-body still aborts.
+ */
+async function fetchWithTimeout(url, options, timeoutMs) {
+	const controller = new AbortController();
+	const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+	let response;
+	try {
+		response = await fetch(url, { ...options, signal: controller.signal });
+	} catch (error) {
+		clearTimeout(timer);
+		if (error.name === "AbortError") {
+			throw new Error(`Request timed out after ${timeoutMs}ms`);
+		}
+		throw error;
+	}
+
+	if (!response.body) {
+		clearTimeout(timer);
+		return response;
+	}
+	response.body.once("close", () => clearTimeout(timer));
+	for (const reader of BODY_READERS) {
+		const read = response[reader].bind(response);
+		response[reader] = () =>
+			read().catch((error) => {
+				throw error.name === "AbortError" ? new Error(`Response body timed out after ${timeoutMs}ms`) : error;
+			});
+	}
+	return response;
+}
+
+/**
+ * Fetch from an external service ("comfy", "rembg", "n8n") with the service's
+ * timeout, retries and circuit breaker.
+ *
+ * GET/HEAD requests are retried with exponential backoff on network errors,
+ * timeouts and 502/503/504; other methods only when `idempotent: true`.
+ * Retried requests need a replayable body - a string or Buffer, so send
+ * multipart forms as formData.getBuffer() rather than the stream.
+ * A call counts as a single failure towards the circuit breaker once its last attempt fails.
+ */
+export async function serviceFetch(service, pathname, { timeout, retries, idempotent, ...options } = {}) {
+	const settings = config[service];
+	const method = (options.method || "GET").toUpperCase();
+	const canRetry = idempotent ?? ["GET", "HEAD"].includes(method);
+	const attempts = 1 + (canRetry ? (retries ?? settings.retries) : 0);
+	const timeoutMs = timeout ?? settings.timeoutMs;
+	const url = serviceUrl(service, pathname);
+
+	// The breaker sees one outcome per call, however many attempts it took
+	beforeRequest(service);
+
+	let lastError = null;
+	for (let attempt = 1; attempt <= attempts; attempt++) {
+		if (attempt > 1) {
+			const delay = RETRY_BASE_DELAY * 2 ** (attempt - 2) + Math.random() * 100;
+			console.log(`🔁 [HTTP] Retrying ${service} ${method} ${pathname} in ${Math.round(delay)}ms (attempt ${attempt}/${attempts})`);
+			await sleep(delay);
+		}
+
+		let response;
+		try {
+			response = await fetchWithTimeout(url, { ...options, method }, timeoutMs);
+		} catch (error) {
+			lastError = error;
+			continue;
+		}
+
+		if (response.status >= 500) {
+			if (RETRYABLE_STATUSES.includes(response.status) && attempt < attempts) {
+				// Discard the unread body so the socket and its timeout are released
+				response.body?.destroy();
+				continue;
+			}
+			recordFailure(service, `HTTP ${response.status}`);
+		} else {
+			recordSuccess(service);
+		}
+		return response;
+	}
+
+	recordFailure(service, lastError.message);
+	throw new Error(`${service} ${method} ${pathname} failed: ${lastError.message}`);
+}
+
+export default {
+	CircuitOpenError,
+	serviceFetch,
+	getCircuitStates,
+	isCircuitOpen,
+};
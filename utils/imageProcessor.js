@@ -168,6 +168,49 @@ export async function generateImageHash(filePath) {
 	}
 }
 
+/**
+ * Perceptual difference hash (dHash): 64 bits as 16 hex chars. Each bit says
+ * whether a pixel of a 9x8 greyscale thumbnail is brighter than its right
+ * neighbour, so re-encodes, resizes and small edits keep (nearly) the same hash.
+ */
+export async function generatePerceptualHash(filePath) {
+	try {
+		const pixels = await sharp(filePath).greyscale().resize(9, 8, { fit: "fill" }).raw().toBuffer();
+
+		let hash = "";
+		for (let row = 0; row < 8; row++) {
+			let nibble = 0;
+			for (let col = 0; col < 8; col++) {
+				const i = row * 9 + col;
+				nibble = (nibble << 1) | (pixels[i] > pixels[i + 1] ? 1 : 0);
+				if (col % 4 === 3) {
+					hash += nibble.toString(16);
+					nibble = 0;
+				}
+			}
+		}
+		return hash;
+	} catch (error) {
+		console.error("❌ [HASH] Failed to generate perceptual hash:", error.message);
+		throw new Error(`Failed to generate perceptual hash: ${error.message}`);
+	}
+}
+
+/**
+ * Number of differing bits between two perceptual hashes
+ */
+export function hammingDistance(a, b) {
+	let distance = 0;
+	for (let i = 0; i < a.length; i++) {
+		let bits = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+		while (bits) {
+			distance += bits & 1;
+			bits >>= 1;
+		}
+	}
+	return distance;
+}
+
 /**
  * Check if image is corrupted
  */
@@ -212,6 +255,49 @@ export async function getImageInfo(filePath) {
 	}
 }
 
+/**
+ * Place a transparent-background product cutout on a canvas for inpainting.
+ * Fits it inside width x height when given (the extra area becomes background
+ * to generate), otherwise pads it to the next multiple of 8 - the size the
+ * VAE works in - so the generated image lines up with the cutout pixel for pixel.
+ * Returns the canvas as a PNG Buffer.
+ */
+export async function prepareInpaintCanvas(cutoutPath, { width, height } = {}) {
+	const image = sharp(cutoutPath).ensureAlpha();
+	const metadata = await image.metadata();
+
+	const { channels } = await image.stats();
+	if (channels[3].min === 255) {
+		throw new Error("Cutout has no transparent background to inpaint");
+	}
+
+	const transparent = { r: 0, g: 0, b: 0, alpha: 0 };
+	const roundUp = (value) => Math.ceil(value / 8) * 8;
+
+	if (!width && !height) {
+		const padX = roundUp(metadata.width) - metadata.width;
+		const padY = roundUp(metadata.height) - metadata.height;
+		return image
+			.extend({ left: padX >> 1, right: padX - (padX >> 1), top: padY >> 1, bottom: padY - (padY >> 1), background: transparent })
+			.png()
+			.toBuffer();
+	}
+
+	const canvasWidth = width || roundUp((metadata.width * height) / metadata.height);
+	const canvasHeight = height || roundUp((metadata.height * width) / metadata.width);
+	return image.resize(canvasWidth, canvasHeight, { fit: "contain", background: transparent }).png().toBuffer();
+}
+
+/**
+ * Composite product pixels (a transparent PNG) over an image, in place
+ */
+export async function compositeProduct(imagePath, productPng) {
+	const { width, height } = await sharp(imagePath).metadata();
+	const overlay = await sharp(productPng).resize(width, height, { fit: "fill" }).toBuffer();
+	const output = await sharp(imagePath).composite([{ input: overlay }]).toBuffer();
+	await fs.writeFile(imagePath, output);
+}
+
 /**
  * Format file size to human readable
  */
@@ -222,18 +308,3 @@ function formatFileSize(bytes) {
 	const i = Math.floor(Math.log(bytes) / Math.log(k));
 	return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + " " + sizes[i];
 }
-
-/**
- * Save processing metadata
- */
-export async function saveMetadata(metadataPath, data) {
-	try {
-		console.log("💾 [META] Saving metadata to:", metadataPath);
-		await fs.writeFile(metadataPath, JSON.stringify(data, null, 2));
-		console.log("✅ [META] Metadata saved successfully");
-		return true;
-	} catch (error) {
-		console.error("❌ [META] Failed to save metadata:", error);
-		return false;
-	}
-}
@@ -0,0 +1,292 @@
+// utils/jobQueue.js
+import fs from "fs/promises";
+import path from "path";
+import { v4 as uuidv4 } from "uuid";
+import { progressChannel, publishProgress } from "./progressEvents.js";
+
+const JOBS_DIR = "./processed/jobs";
+const ACTIVE_STATUSES = ["queued", "running"];
+const FINAL_STATUSES = ["completed", "failed", "cancelled"];
+
+const jobs = new Map(); // id -> job
+const handlers = new Map(); // type -> async (job, ctx) => void
+const cancelHooks = new Map(); // id -> async () => void
+const pending = []; // queued job ids, in order
+
+let workerRunning = false;
+let initialized = false;
+
+// Jobs created before workspaces existed belong to the default one
+const jobWorkspace = (job) => job.workspace || "default";
+const publishJobProgress = (job, event) => publishProgress(progressChannel(jobWorkspace(job), job.id), event);
+
+/**
+ * Persist a job to its JSON file (write + rename so a crash never leaves half a file)
+ */
+async function persistJob(job) {
+	job.updatedAt = new Date().toISOString();
+	const jobPath = path.join(JOBS_DIR, `${job.id}.json`);
+	const tmpPath = `${jobPath}.tmp`;
+	await fs.writeFile(tmpPath, JSON.stringify(job, null, 2));
+	await fs.rename(tmpPath, jobPath);
+}
+
+/**
+ * Register the function that executes jobs of a given type
+ */
+export function registerJobHandler(type, handler) {
+	handlers.set(type, handler);
+}
+
+/**
+ * Create a job and queue it for the background worker
+ */
+export async function createJob(type, params, { total = 1, workspace = "default", owner = null } = {}) {
+	if (!handlers.has(type)) {
+		throw new Error(`No handler registered for job type: ${type}`);
+	}
+
+	const now = new Date().toISOString();
+	const job = {
+		id: uuidv4(),
+		type,
+		workspace,
+		owner, // API key id, for quotas
+		status: "queued",
+		params,
+		state: {},
+		progress: { total, completed: 0, failed: 0 },
+		results: [],
+		error: null,
+		cancelRequested: false,
+		createdAt: now,
+		updatedAt: now,
+		startedAt: null,
+		finishedAt: null,
+	};
+
+	jobs.set(job.id, job);
+	await persistJob(job);
+
+	pending.push(job.id);
+	publishJobProgress(job, { type: "status", status: job.status, total });
+	console.log(`📋 [JOBS] Queued ${type} job ${job.id}`);
+	runWorker();
+
+	return job;
+}
+
+/**
+ * Get a job by id, optionally only if it belongs to the given workspace
+ */
+export function getJob(id, workspace = null) {
+	const job = jobs.get(id);
+	if (!job || (workspace && jobWorkspace(job) !== workspace)) {
+		return null;
+	}
+	return job;
+}
+
+/**
+ * List jobs, newest first
+ */
+export function listJobs({ status, type, workspace, owner, since, limit = 50 } = {}) {
+	return [...jobs.values()]
+		.filter((job) => (!status || job.status === status) && (!type || job.type === type))
+		.filter((job) => !workspace || jobWorkspace(job) === workspace)
+		.filter((job) => (!owner || job.owner === owner) && (!since || new Date(job.createdAt) >= since))
+		.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+		.slice(0, limit);
+}
+
+/**
+ * Request cancellation. Queued jobs stop immediately; running jobs stop after
+ * the current step and their in-flight ComfyUI prompt is cancelled.
+ */
+export async function cancelJob(id, workspace = null) {
+	const job = getJob(id, workspace);
+	if (!job) {
+		return null;
+	}
+
+	if (FINAL_STATUSES.includes(job.status)) {
+		return job;
+	}
+
+	job.cancelRequested = true;
+
+	if (job.status === "queued") {
+		const index = pending.indexOf(id);
+		if (index !== -1) pending.splice(index, 1);
+		job.status = "cancelled";
+		job.finishedAt = new Date().toISOString();
+	} else {
+		const hook = cancelHooks.get(id);
+		if (hook) {
+			try {
+				await hook();
+			} catch (error) {
+				console.error(`⚠️  [JOBS] Cancel hook failed for ${id}:`, error.message);
+			}
+		}
+	}
+
+	await persistJob(job);
+	if (job.status === "cancelled") {
+		publishJobProgress(job, { type: "done", status: job.status, progress: job.progress });
+	}
+	console.log(`🛑 [JOBS] Cancellation requested for ${id}`);
+	return job;
+}
+
+/**
+ * Context handed to job handlers
+ */
+function createContext(job) {
+	return {
+		isCancelled: () => job.cancelRequested,
+		save: () => persistJob(job),
+		progress: (event) => publishJobProgress(job, { type: "item", total: job.progress.total, ...event }),
+		onCancel: (hook) => {
+			if (hook) cancelHooks.set(job.id, hook);
+			else cancelHooks.delete(job.id);
+		},
+		addResult: async (result) => {
+			job.results.push(result);
+			if (result.success) job.progress.completed++;
+			else job.progress.failed++;
+			await persistJob(job);
+			publishJobProgress(job, {
+				type: "item",
+				stage: result.success ? "completed" : "failed",
+				total: job.progress.total,
+				progress: job.progress,
+				...result,
+			});
+		},
+	};
+}
+
+async function runJob(job) {
+	const handler = handlers.get(job.type);
+	if (!handler) {
+		job.status = "failed";
+		job.error = `No handler registered for job type: ${job.type}`;
+		job.finishedAt = new Date().toISOString();
+		await persistJob(job);
+		return;
+	}
+
+	job.status = "running";
+	job.startedAt = job.startedAt || new Date().toISOString();
+	await persistJob(job);
+	publishJobProgress(job, { type: "status", status: job.status, progress: job.progress });
+	console.log(`\n⚙️  [JOBS] Running ${job.type} job ${job.id}`);
+
+	try {
+		await handler(job, createContext(job));
+
+		if (job.cancelRequested) {
+			job.status = "cancelled";
+		} else if (job.progress.total > 0 && job.progress.completed === 0) {
+			job.status = "failed";
+			job.error = job.error || "All items failed";
+		} else {
+			job.status = "completed";
+		}
+	} catch (error) {
+		console.error(`❌ [JOBS] Job ${job.id} failed:`, error.message);
+		job.status = job.cancelRequested ? "cancelled" : "failed";
+		job.error = error.message;
+	} finally {
+		cancelHooks.delete(job.id);
+	}
+
+	job.finishedAt = new Date().toISOString();
+	await persistJob(job);
+	publishJobProgress(job, { type: "done", status: job.status, progress: job.progress, error: job.error });
+	console.log(`✅ [JOBS] Job ${job.id} ${job.status} (${job.progress.completed}/${job.progress.total})`);
+}
+
+/**
+ * Drain the queue one job at a time - ComfyUI runs a single GPU queue anyway
+ */
+async function runWorker() {
+	if (workerRunning || !initialized) {
+		return;
+	}
+	workerRunning = true;
+
+	try {
+		while (pending.length > 0) {
+			const job = jobs.get(pending.shift());
+			if (!job || job.status !== "queued") continue;
+
+			try {
+				await runJob(job);
+			} catch (error) {
+				console.error(`❌ [JOBS] Worker error on ${job.id}:`, error.message);
+			}
+		}
+	} finally {
+		workerRunning = false;
+	}
+}
+
+/**
+ * Load persisted jobs and resume anything that was queued or running when the
+ * server stopped. Handlers must skip work already recorded in job.results.
+ */
+export async function startJobWorker() {
+	await fs.mkdir(JOBS_DIR, { recursive: true });
+
+	const files = (await fs.readdir(JOBS_DIR)).filter((f) => f.endsWith(".json"));
+	const resumable = [];
+
+	for (const file of files) {
+		try {
+			const job = JSON.parse(await fs.readFile(path.join(JOBS_DIR, file), "utf-8"));
+			if (jobs.has(job.id)) continue;
+			jobs.set(job.id, job);
+
+			if (ACTIVE_STATUSES.includes(job.status)) {
+				if (job.cancelRequested) {
+					job.status = "cancelled";
+					job.finishedAt = new Date().toISOString();
+					await persistJob(job);
+				} else {
+					job.status = "queued";
+					resumable.push(job);
+				}
+			}
+		} catch (error) {
+			console.error(`⚠️  [JOBS] Skipping unreadable job file ${file}:`, error.message);
+		}
+	}
+
+	resumable.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+	for (const job of resumable) {
+		pending.push(job.id);
+	}
+
+	initialized = true;
+	console.log(`✅ Job worker started (${jobs.size} jobs loaded, ${resumable.length} resumed)`);
+	runWorker();
+}
+
+/**
+ * Whether a job is still queued or running
+ */
+export function isJobActive(job) {
+	return ACTIVE_STATUSES.includes(job.status);
+}
+
+export default {
+	registerJobHandler,
+	isJobActive,
+	createJob,
+	getJob,
+	listJobs,
+	cancelJob,
+	startJobWorker,
+};
@@ -0,0 +1,212 @@
+// utils/marketplaceExport.js
+//
+// Channel-ready listing images from named presets (config.marketplace.presets):
+//   pad  - the whole product on a background at a fixed size (e.g. 2000x2000 on white);
+//          cutouts are laid out with compositor.composeProduct, photos letterboxed
+//   crop - fills the frame, cropped around what matters:
+//            attention / entropy - sharp's saliency and detail strategies
+//            mask   - centred on the product's no-background mask
+//            center - the middle of the image
+// An optional watermark goes on last; the result is encoded at the preset's quality, then
+// re-encoded to land between its minBytes and maxBytes where possible.
+import sharp from "sharp";
+import { alphaBoundingBox, composeProduct } from "./compositor.js";
+import { config } from "./config.js";
+import { watermarkLayers } from "./watermark.js";
+
+export const EXPORT_FITS = ["pad", "crop"];
+export const CROP_STRATEGIES = ["attention", "entropy", "mask", "center"];
+export const EXPORT_FORMATS = ["jpeg", "png", "webp"];
+
+// Lowest quality file-size targeting will go to
+const MIN_QUALITY = 30;
+
+const PRESET_DEFAULTS = { crop: "attention", background: null, fill: 0.85, quality: 90, minBytes: null, maxBytes: null };
+
+/**
+ * A preset from config.marketplace.presets with its defaults filled in, or null if unknown
+ */
+export function marketplacePreset(name) {
+	const preset = config.marketplace.presets[name];
+	return preset ? { ...PRESET_DEFAULTS, ...preset, name } : null;
+}
+
+/**
+ * The whole image on the preset canvas, as raw pixels
+ */
+async function renderPadded(sourcePath, { width, height, background, fill, shadows }) {
+	const { hasAlpha } = await sharp(sourcePath).metadata();
+	if (hasAlpha) {
+		const { canvas } = await composeProduct(sourcePath, {
+			width,
+			height,
+			fill,
+			shadows,
+			background: background ? { type: "color", color: background } : { type: "transparent" },
+		});
+		return canvas.raw().toBuffer({ resolveWithObject: true });
+	}
+	return sharp(sourcePath)
+		.resize(width, height, { fit: "contain", background: background || "#FFFFFF" })
+		.raw()
+		.toBuffer({ resolveWithObject: true });
+}
+
+/**
+ * Crop window centred on the visible part of a mask. The mask may be a different
+ * size from the source (e.g. a cutout of a resized copy) but must share its aspect ratio.
+ * Returns { resizeWidth, resizeHeight, left, top } or null when the mask does not fit the source.
+ */
+async function maskWindow(sourcePath, maskPath, width, height) {
+	const [source, mask] = await Promise.all([sharp(sourcePath).metadata(), sharp(maskPath).metadata()]);
+	if (Math.abs(source.width / source.height - mask.width / mask.height) > 0.01) return null;
+
+	const bounds = await alphaBoundingBox(maskPath);
+	if (!bounds) return null;
+
+	const factor = Math.max(width / source.width, height / source.height);
+	const resizeWidth = Math.max(width, Math.round(source.width * factor));
+	const resizeHeight = Math.max(height, Math.round(source.height * factor));
+	const centerX = ((bounds.left + bounds.width / 2) / mask.width) * resizeWidth;
+	const centerY = ((bounds.top + bounds.height / 2) / mask.height) * resizeHeight;
+
+	const clamp = (value, max) => Math.min(Math.max(0, Math.round(value)), max);
+	return {
+		resizeWidth,
+		resizeHeight,
+		left: clamp(centerX - width / 2, resizeWidth - width),
+		top: clamp(centerY - height / 2, resizeHeight - height),
+	};
+}
+
+/**
+ * The image cropped to fill the preset canvas. Returns { pixels, crop } - the strategy
+ * actually used, as mask falls back to attention without a usable mask.
+ */
+async function renderCropped(sourcePath, { width, height, crop }, maskPath) {
+	if (crop === "mask") {
+		const window = maskPath ? await maskWindow(sourcePath, maskPath, width, height) : null;
+		if (window) {
+			const pixels = await sharp(sourcePath)
+				.resize(window.resizeWidth, window.resizeHeight, { fit: "fill" })
+				.extract({ left: window.left, top: window.top, width, height })
+				.raw()
+				.toBuffer({ resolveWithObject: true });
+			return { pixels, crop };
+		}
+		crop = "attention";
+	}
+
+	const position = crop === "center" ? "centre" : sharp.strategy[crop];
+	const pixels = await sharp(sourcePath).resize(width, height, { fit: "cover", position }).raw().toBuffer({ resolveWithObject: true });
+	return { pixels, crop };
+}
+
+/**
+ * Encode raw pixels at `quality`. PNG is lossless at 100 and palette-quantised below it.
+ */
+function encode({ data, info }, format, quality) {
+	const image = sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } });
+	if (format === "png") {
+		const colours = Math.max(8, Math.round(2.56 * quality)); // Smaller palettes as quality drops
+		return (quality >= 100 ? image.png({ compressionLevel: 9 }) : image.png({ palette: true, quality, colours })).toBuffer();
+	}
+	return format === "webp" ? image.webp({ quality }).toBuffer() : image.jpeg({ quality, mozjpeg: true }).toBuffer();
+}
+
+/**
+ * Encode at `quality`, then search for the highest quality under maxBytes or the
+ * lowest one over minBytes. Returns { buffer, quality, warnings }.
+ */
+async function encodeToSize(pixels, { format, quality, minBytes, maxBytes }) {
+	const warnings = [];
+	let best = { buffer: await encode(pixels, format, quality), quality };
+
+	if (maxBytes && best.buffer.length > maxBytes) {
+		let low = MIN_QUALITY;
+		let high = quality - 1;
+		let fitting = null;
+		while (low <= high) {
+			const mid = Math.floor((low + high) / 2);
+			const buffer = await encode(pixels, format, mid);
+			if (buffer.length <= maxBytes) {
+				fitting = { buffer, quality: mid };
+				low = mid + 1;
+			} else {
+				high = mid - 1;
+			}
+		}
+		if (fitting) {
+			best = fitting;
+		} else {
+			best = { buffer: await encode(pixels, format, MIN_QUALITY), quality: MIN_QUALITY };
+			warnings.push(`${best.buffer.length} bytes even at quality ${MIN_QUALITY}, over the ${maxBytes} byte limit`);
+		}
+	} else if (minBytes && best.buffer.length < minBytes) {
+		let low = quality + 1;
+		let high = 100;
+		let reaching = null;
+		while (low <= high) {
+			const mid = Math.floor((low + high) / 2);
+			const buffer = await encode(pixels, format, mid);
+			if (buffer.length >= minBytes) {
+				reaching = { buffer, quality: mid };
+				high = mid - 1;
+			} else {
+				low = mid + 1;
+			}
+		}
+		if (reaching) {
+			best = reaching;
+		} else {
+			best = { buffer: await encode(pixels, format, 100), quality: 100 };
+			warnings.push(`${best.buffer.length} bytes even at quality 100, under the ${minBytes} byte minimum`);
+		}
+	}
+
+	return { ...best, warnings };
+}
+
+/**
+ * Render one image with a preset.
+ * preset: { width, height, fit, crop, background, fill, format, quality, minBytes, maxBytes }
+ * options: { maskPath (cutout for mask crops), shadows (pad fit with a cutout source),
+ *            watermark (profile - see utils/watermark.js) }
+ * Transparent results are flattened onto the background, or white for JPEG.
+ * Returns { buffer, width, height, format, quality, crop, warnings }.
+ */
+export async function renderMarketplaceImage(sourcePath, preset, { maskPath = null, shadows = [], watermark = null } = {}) {
+	const { width, height, fit, background, format } = preset;
+
+	let pixels;
+	let crop = null;
+	if (fit === "pad") {
+		pixels = await renderPadded(sourcePath, { ...preset, shadows });
+	} else {
+		({ pixels, crop } = await renderCropped(sourcePath, preset, maskPath));
+	}
+
+	if (pixels.info.channels === 4 && (background || format === "jpeg")) {
+		pixels = await sharp(pixels.data, { raw: { width, height, channels: 4 } })
+			.flatten({ background: background || "#FFFFFF" })
+			.raw()
+			.toBuffer({ resolveWithObject: true });
+	}
+	if (watermark) {
+		pixels = await sharp(pixels.data, { raw: { width, height, channels: pixels.info.channels } })
+			.composite(await watermarkLayers(watermark, width, height))
+			.raw()
+			.toBuffer({ resolveWithObject: true });
+	}
+
+	const { buffer, quality, warnings } = await encodeToSize(pixels, preset);
+	return { buffer, width, height, format, quality, crop, warnings };
+}
+
+export default {
+	EXPORT_FITS,
+	CROP_STRATEGIES,
+	EXPORT_FORMATS,
+	marketplacePreset,
+	renderMarketplaceImage,
+};
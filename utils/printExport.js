@@ -0,0 +1,93 @@
+// utils/printExport.js
+//
+// Print-ready exports: a design laid out on a print canvas (e.g. 4500x5400 px at
+// 300 DPI for a T-shirt front) with its density and ICC profile embedded, and a
+// check that the source has enough pixels for the size it will be printed at.
+import sharp from "sharp";
+import { composeProduct } from "./compositor.js";
+import { config } from "./config.js";
+
+export const PRINT_FORMATS = ["png", "tiff"];
+export const ICC_PROFILES = ["srgb", "p3", "cmyk"];
+
+/**
+ * Print canvas: a preset from config.print.presets with optional width / height / dpi
+ * overrides. Returns { preset, width, height, dpi }, or null for an unknown preset.
+ */
+export function printCanvas(presetName, { width, height, dpi } = {}) {
+	const preset = config.print.presets[presetName];
+	if (!preset) return null;
+	return { preset: presetName, width: width ?? preset.width, height: height ?? preset.height, dpi: dpi ?? preset.dpi };
+}
+
+/**
+ * How well the source covers its printed size. A source enlarged to fit prints at
+ * less than the canvas DPI; below config.print.minDpi it is not sufficient.
+ * Returns { effectiveDpi, printWidthIn, printHeightIn, sufficient, warning }.
+ */
+export function checkResolution(placement, dpi) {
+	const effectiveDpi = Math.floor(dpi / placement.scale);
+	const printWidthIn = Number((placement.width / dpi).toFixed(2));
+	const printHeightIn = Number((placement.height / dpi).toFixed(2));
+	const sufficient = effectiveDpi >= config.print.minDpi;
+
+	let warning = null;
+	if (effectiveDpi < dpi) {
+		const needed = Math.ceil(placement.sourceWidth * placement.scale);
+		warning =
+			`Source is ${placement.sourceWidth}x${placement.sourceHeight}px, printed at ${printWidthIn}x${printHeightIn}in it gives ` +
+			`${effectiveDpi} DPI (target ${dpi}, minimum ${config.print.minDpi}). ` +
+			`Upscale it x${Math.ceil(placement.scale * 10) / 10} (to ${needed}px wide) for full quality.`;
+	}
+	return { effectiveDpi, printWidthIn, printHeightIn, sufficient, warning };
+}
+
+/**
+ * Render a design onto a print canvas.
+ * options: { width, height, dpi, fill, scale, padding, position, offsetX, offsetY, shadows,
+ *            background (hex colour, null = transparent), format: "png" | "tiff",
+ *            iccProfile: "srgb" | "p3" | "cmyk", strict, overlays }
+ *   overlays - composite entries drawn over the design, e.g. a watermark
+ * Output keeps its alpha channel only when transparent; CMYK (TIFF only) has none, so it
+ * is flattened onto the background or white.
+ * With `strict`, a source below config.print.minDpi throws instead of exporting.
+ * Returns { buffer, placement, resolution }.
+ */
+export async function renderPrint(sourcePath, options) {
+	const { dpi, background = null, format = "png", iccProfile = "srgb", strict = false, overlays = [] } = options;
+	if (iccProfile === "cmyk" && format !== "tiff") {
+		throw new Error("CMYK output needs the tiff format");
+	}
+
+	let { canvas, placement } = await composeProduct(sourcePath, {
+		...options,
+		background: background ? { type: "color", color: background } : { type: "transparent" },
+	});
+
+	const resolution = checkResolution(placement, dpi);
+	if (strict && !resolution.sufficient) {
+		throw new Error(resolution.warning);
+	}
+
+	if (overlays.length > 0) {
+		// Drawn now, as sharp composites after the flatten below
+		const { data, info } = await canvas.composite(overlays).raw().toBuffer({ resolveWithObject: true });
+		canvas = sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } });
+	}
+	if (background || iccProfile === "cmyk") {
+		canvas.flatten({ background: background || "#FFFFFF" });
+	}
+	// Density first: withMetadata() after withIccProfile() would reset the profile to sRGB
+	canvas.withMetadata({ density: dpi }).withIccProfile(iccProfile);
+
+	const output = format === "tiff" ? canvas.tiff({ compression: "lzw" }) : canvas.png();
+	return { buffer: await output.toBuffer(), placement, resolution };
+}
+
+export default {
+	PRINT_FORMATS,
+	ICC_PROFILES,
+	printCanvas,
+	checkResolution,
+	renderPrint,
+};
@@ -0,0 +1,125 @@
+// utils/progressEvents.js
+import { EventEmitter } from "events";
+
+const MAX_EVENTS_PER_CHANNEL = 500; // Replay buffer for late subscribers
+const CHANNEL_TTL = 60 * 60 * 1000; // Keep finished channels for an hour
+const HEARTBEAT_INTERVAL = 15000;
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+const channels = new Map(); // id -> { nextId, events, closed, expiresTimer }
+
+function getChannel(channelId) {
+	let channel = channels.get(channelId);
+	if (!channel) {
+		channel = { nextId: 1, events: [], closed: false, expiresTimer: null };
+		channels.set(channelId, channel);
+	}
+	return channel;
+}
+
+/**
+ * Channel name for an id within a workspace, so ids never leak across workspaces
+ */
+export function progressChannel(workspace, id) {
+	return `${workspace}:${id}`;
+}
+
+/**
+ * Publish a progress event on a channel (an uploadId or job id).
+ * A "done" event closes the channel; subscribers are disconnected after it.
+ */
+export function publishProgress(channelId, event) {
+	if (!channelId) return null;
+
+	const channel = getChannel(String(channelId));
+	const entry = {
+		id: channel.nextId++,
+		channel: String(channelId),
+		timestamp: new Date().toISOString(),
+		...event,
+	};
+
+	channel.events.push(entry);
+	if (channel.events.length > MAX_EVENTS_PER_CHANNEL) {
+		channel.events.shift();
+	}
+
+	if (entry.type === "done") {
+		channel.closed = true;
+		clearTimeout(channel.expiresTimer);
+		channel.expiresTimer = setTimeout(() => channels.delete(entry.channel), CHANNEL_TTL);
+		channel.expiresTimer.unref();
+	} else if (channel.closed) {
+		// Channel re-used (e.g. the same uploadId processed again)
+		channel.closed = false;
+		clearTimeout(channel.expiresTimer);
+	}
+
+	bus.emit(entry.channel, entry);
+	return entry;
+}
+
+/**
+ * Events recorded for a channel, optionally only those after a given id
+ */
+export function getProgressEvents(channelId, afterId = 0) {
+	const channel = channels.get(String(channelId));
+	return channel ? channel.events.filter((e) => e.id > afterId) : [];
+}
+
+function writeEvent(res, event) {
+	res.write(`id: ${event.id}\ndata: ${JSON.stringify(event)}\n\n`);
+}
+
+/**
+ * Stream a channel to the client as Server-Sent Events. Replays buffered
+ * events (honouring Last-Event-ID) and ends the response after "done".
+ */
+export function streamProgress(req, res, channelId) {
+	channelId = String(channelId);
+
+	res.status(200).set({
+		"Content-Type": "text/event-stream",
+		"Cache-Control": "no-cache",
+		Connection: "keep-alive",
+		"X-Accel-Buffering": "no",
+	});
+	res.flushHeaders();
+
+	const lastEventId = parseInt(req.get("Last-Event-ID") || req.query.lastEventId || "0") || 0;
+	for (const event of getProgressEvents(channelId, lastEventId)) {
+		writeEvent(res, event);
+	}
+
+	const channel = channels.get(channelId);
+	if (channel && channel.closed) {
+		return res.end();
+	}
+
+	const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_INTERVAL);
+
+	const onEvent = (event) => {
+		writeEvent(res, event);
+		if (event.type === "done") {
+			cleanup();
+			res.end();
+		}
+	};
+
+	const cleanup = () => {
+		clearInterval(heartbeat);
+		bus.off(channelId, onEvent);
+	};
+
+	bus.on(channelId, onEvent);
+	req.on("close", cleanup);
+}
+
+export default {
+	progressChannel,
+	publishProgress,
+	getProgressEvents,
+	streamProgress,
+};
@@ -0,0 +1,162 @@
+// utils/quota.js
+import { config } from "./config.js";
+import { isJobActive, listJobs } from "./jobQueue.js";
+
+const buckets = new Map(); // "<key id>:<bucket>" -> { tokens, updatedAt }
+
+/**
+ * Effective quotas for a caller: config.quotas overridden by the key's own
+ */
+export function getQuotas(auth) {
+	const quotas = { ...config.quotas };
+	for (const [field, value] of Object.entries(auth.quotas || {})) {
+		quotas[field] = value === null || value === "unlimited" ? null : Number(value);
+	}
+	return quotas;
+}
+
+function getRateLimit(auth, bucket) {
+	const overrides = auth.rateLimits || {};
+	const limit = bucket in overrides ? overrides[bucket] : config.rateLimits[bucket];
+	return limit ? { capacity: Number(limit.capacity), refillPerMinute: Number(limit.refillPerMinute) } : null;
+}
+
+const startOfDay = (date = new Date()) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+/**
+ * Images charged to a caller today and their active generation jobs.
+ * Active jobs reserve everything not yet failed; finished jobs count what they produced.
+ * Every run of a batched job produces batchSize images.
+ */
+export function getGenerationUsage(auth) {
+	const today = listJobs({ owner: auth.id, since: startOfDay(), limit: Infinity });
+	const active = listJobs({ owner: auth.id, limit: Infinity }).filter(isJobActive);
+
+	const imagesToday = today.reduce((sum, job) => {
+		const runs = isJobActive(job) ? job.progress.total - job.progress.failed : job.progress.completed;
+		return sum + runs * (job.params?.settings?.batchSize || 1);
+	}, 0);
+
+	return { imagesToday, concurrentJobs: active.length };
+}
+
+/**
+ * Check a generation request of `count` runs of `batchSize` images against the
+ * caller's quotas. Returns null when allowed, otherwise a 429 payload.
+ */
+export function checkGenerationQuota(auth, count, batchSize = 1) {
+	const quotas = getQuotas(auth);
+	const usage = getGenerationUsage(auth);
+
+	if (quotas.maxCount !== null && count > quotas.maxCount) {
+		return {
+			error: `count ${count} exceeds the per-request limit of ${quotas.maxCount}`,
+			quota: "maxCount",
+			limit: quotas.maxCount,
+		};
+	}
+
+	if (quotas.concurrentJobs !== null && usage.concurrentJobs >= quotas.concurrentJobs) {
+		return {
+			error: `Concurrent job limit reached (${quotas.concurrentJobs}). Wait for a job to finish or cancel one.`,
+			quota: "concurrentJobs",
+			limit: quotas.concurrentJobs,
+			used: usage.concurrentJobs,
+		};
+	}
+
+	const images = count * batchSize;
+	if (quotas.imagesPerDay !== null && usage.imagesToday + images > quotas.imagesPerDay) {
+		const resetsAt = new Date(startOfDay().getTime() + 24 * 60 * 60 * 1000);
+		return {
+			error: `Daily image quota exceeded (${usage.imagesToday}/${quotas.imagesPerDay} used, ${images} requested)`,
+			quota: "imagesPerDay",
+			limit: quotas.imagesPerDay,
+			used: usage.imagesToday,
+			resetsAt: resetsAt.toISOString(),
+			retryAfter: Math.ceil((resetsAt - Date.now()) / 1000),
+		};
+	}
+
+	return null;
+}
+
+/**
+ * Refill a bucket for the time elapsed since it was last touched
+ */
+function refillBucket(auth, bucket, limit) {
+	const id = `${auth.id}:${bucket}`;
+	const now = Date.now();
+	const state = buckets.get(id) || { tokens: limit.capacity, updatedAt: now };
+
+	state.tokens = Math.min(limit.capacity, state.tokens + ((now - state.updatedAt) / 60000) * limit.refillPerMinute);
+	state.updatedAt = now;
+	buckets.set(id, state);
+	return state;
+}
+
+/**
+ * Route middleware: token-bucket rate limit per API key for a group of routes
+ * (a bucket name from config.rateLimits)
+ */
+export function rateLimit(bucket) {
+	return (req, res, next) => {
+		const limit = getRateLimit(req.auth, bucket);
+		if (!limit) return next();
+
+		const state = refillBucket(req.auth, bucket, limit);
+		res.set("X-RateLimit-Limit", String(limit.capacity));
+
+		if (state.tokens < 1) {
+			const retryAfter = Math.ceil(((1 - state.tokens) * 60) / limit.refillPerMinute);
+			res.set({ "X-RateLimit-Remaining": "0", "Retry-After": String(retryAfter) });
+			return res.status(429).json({
+				success: false,
+				error: `Rate limit exceeded for ${bucket} requests. Retry in ${retryAfter}s.`,
+				bucket,
+				retryAfter,
+			});
+		}
+
+		state.tokens -= 1;
+		res.set("X-RateLimit-Remaining", String(Math.floor(state.tokens)));
+		next();
+	};
+}
+
+/**
+ * Quotas, usage and remaining rate-limit tokens for a caller
+ */
+export function getUsage(auth) {
+	const quotas = getQuotas(auth);
+	const usage = getGenerationUsage(auth);
+	const remaining = (limit, used) => (limit === null ? null : Math.max(0, limit - used));
+
+	const rateLimits = {};
+	for (const bucket of Object.keys(config.rateLimits)) {
+		const limit = getRateLimit(auth, bucket);
+		rateLimits[bucket] = limit ? { ...limit, remaining: Math.floor(refillBucket(auth, bucket, limit).tokens) } : null;
+	}
+
+	return {
+		key: auth.name,
+		keyId: auth.id,
+		workspace: auth.workspace,
+		quotas,
+		usage,
+		remaining: {
+			imagesToday: remaining(quotas.imagesPerDay, usage.imagesToday),
+			concurrentJobs: remaining(quotas.concurrentJobs, usage.concurrentJobs),
+		},
+		resetsAt: new Date(startOfDay().getTime() + 24 * 60 * 60 * 1000).toISOString(),
+		rateLimits,
+	};
+}
+
+export default {
+	getQuotas,
+	getGenerationUsage,
+	checkGenerationQuota,
+	rateLimit,
+	getUsage,
+};
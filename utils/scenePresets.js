@@ -0,0 +1,114 @@
+// utils/scenePresets.js
+//
+// Scene presets: one JSON file per scene in config.scenes.dir, named
+// <scene-name>.json. A scene bundles the prompt, negative prompt and generation
+// settings (model, LoRAs, sampler, scheduler, steps, cfg, width, height) for a look
+// such as "studio-softbox" or "yacht-daylight".
+import fs from "fs/promises";
+import path from "path";
+import { config } from "./config.js";
+import { SETTING_FIELDS } from "./generationSettings.js";
+import { sceneFields } from "./schemas.js";
+import { resolveStoragePath, validateFields } from "./validation.js";
+
+export const SCENE_NAME = /^[a-z0-9][a-z0-9-]{0,63}$/;
+
+const scenePath = (name) => resolveStoragePath(config.scenes.dir, `${name}.json`, "name");
+
+async function readScene(name) {
+	const data = JSON.parse(await fs.readFile(scenePath(name), "utf-8"));
+	const { values, errors } = validateFields(data, sceneFields, name);
+	if (errors.length > 0) {
+		throw new Error(errors.map((e) => `${e.field} ${e.message}`).join("; "));
+	}
+	return { name, ...values };
+}
+
+/**
+ * All valid scenes, sorted by name. Read from disk on every call; broken files
+ * are logged and skipped.
+ */
+export async function listScenes() {
+	const files = await fs.readdir(config.scenes.dir).catch(() => []);
+	const scenes = [];
+
+	for (const file of files.filter((f) => f.endsWith(".json")).sort()) {
+		const name = path.basename(file, ".json");
+		if (!SCENE_NAME.test(name)) continue;
+		try {
+			scenes.push(await readScene(name));
+		} catch (error) {
+			console.error(`⚠️  [SCENES] Skipping scene "${name}":`, error.message);
+		}
+	}
+	return scenes;
+}
+
+/**
+ * A scene by name, or null if it does not exist.
+ * Throws when the file exists but is invalid.
+ */
+export async function getScene(name) {
+	if (!SCENE_NAME.test(name)) return null;
+	try {
+		await fs.access(scenePath(name));
+	} catch (error) {
+		return null;
+	}
+	return readScene(name);
+}
+
+/**
+ * Create or replace a scene (fields already validated against sceneFields)
+ */
+export async function saveScene(name, fields) {
+	await fs.mkdir(config.scenes.dir, { recursive: true });
+	const filePath = scenePath(name);
+	const tmpPath = `${filePath}.tmp`;
+	await fs.writeFile(tmpPath, JSON.stringify(fields, null, "\t") + "\n");
+	await fs.rename(tmpPath, filePath);
+	console.log(`🎬 [SCENES] Saved scene "${name}"`);
+	return { name, ...fields };
+}
+
+/**
+ * Delete a scene; returns false if it did not exist
+ */
+export async function deleteScene(name) {
+	try {
+		await fs.unlink(scenePath(name));
+		console.log(`🗑️  [SCENES] Deleted scene "${name}"`);
+		return true;
+	} catch (error) {
+		if (error.code === "ENOENT") return false;
+		throw error;
+	}
+}
+
+/**
+ * Workflow settings a scene defines, e.g. { sampler, steps, width, height }
+ */
+export function sceneSettings(scene) {
+	const settings = {};
+	for (const field of SETTING_FIELDS) {
+		if (scene?.[field] !== undefined) settings[field] = scene[field];
+	}
+	return settings;
+}
+
+/**
+ * Combine a caller's subject prompt with a scene's prompt
+ */
+export function scenePrompt(scene, prompt) {
+	return [prompt, scene.prompt].filter(Boolean).join(", ");
+}
+
+export default {
+	SCENE_NAME,
+	listScenes,
+	getScene,
+	saveScene,
+	deleteScene,
+	sceneSettings,
+	scenePrompt,
+};
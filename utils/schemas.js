@@ -0,0 +1,380 @@
+// utils/schemas.js
+// Request schemas for validate() - see utils/validation.js for the rule format
+
+const ASSET_STATUSES = ["uploaded", "processing", "processed", "failed", "background-removed"];
+const JOB_STATUSES = ["queued", "running", "completed", "failed", "cancelled"];
+const STYLES = ["studio", "lifestyle", "elegant"];
+const PRODUCT_TYPES = ["clothing", "shoes", "accessories"];
+const BG_PROVIDERS = ["rembg", "comfy", "local"];
+const POSITIONS = ["center", "top", "bottom", "left", "right", "top-left", "top-right", "bottom-left", "bottom-right"];
+const SHADOW_TYPES = ["drop", "contact", "reflection"];
+const CONTROL_TYPES = ["canny", "depth", "pose"];
+const UPSCALE_METHODS = ["auto", "comfy", "sharp"];
+const VIDEO_EFFECTS = ["ken-burns", "parallax", "crossfade", "animatediff"];
+const PAN_DIRECTIONS = ["none", "left", "right", "up", "down"];
+const ICC_PROFILES = ["srgb", "p3", "cmyk"];
+const CROP_STRATEGIES = ["attention", "entropy", "mask", "center"];
+const EXPORT_SOURCES = ["auto", "resized", "no-background", "generated"];
+
+const hexColor = { type: "string", pattern: /^#([0-9a-f]{3}|[0-9a-f]{6})$/i, patternMessage: "must be a hex color like #FFFFFF" };
+
+// Unset fields use the shadow type's defaults (see utils/shadows.js)
+const shadow = {
+	type: "object",
+	fields: {
+		type: { type: "string", enum: SHADOW_TYPES, required: true },
+		angle: { type: "number", min: 0, max: 360 }, // drop: direction it falls, 0 = right, 90 = down
+		distance: { type: "integer", min: -2000, max: 2000 }, // Offset in pixels
+		blur: { type: "number", min: 0, max: 200 },
+		opacity: { type: "number", min: 0, max: 1 },
+		color: hexColor, // drop / contact
+		spread: { type: "number", min: 0.1, max: 3 }, // contact: width relative to the product
+		length: { type: "number", min: 0.05, max: 1 }, // reflection: share of the product's height that shows
+	},
+};
+const shadows = { type: "array", maxItems: 4, items: shadow };
+
+const pagination = (defaultLimit) => ({
+	limit: { type: "integer", min: 1, max: 1000, default: defaultLimit },
+	offset: { type: "integer", min: 0, default: 0 },
+});
+
+const idParams = { id: { type: "id", required: true } };
+
+const prompt = { type: "string", maxLength: 2000 };
+const negativePrompt = { type: "string", maxLength: 2000 };
+const count = (fallback) => ({ type: "integer", min: 1, max: 50, default: fallback });
+const presetName = { type: "string", pattern: /^[a-z0-9][a-z0-9-]{0,63}$/, patternMessage: "must be a preset name" };
+const watermark = { ...presetName, patternMessage: "must be a watermark profile name" }; // config.watermarks.profiles
+const sceneName = { type: "string", pattern: /^[a-z0-9][a-z0-9-]{0,63}$/, patternMessage: "must be lowercase letters, digits and '-'" };
+const comfyOption = { type: "string", maxLength: 64, pattern: /^[a-z0-9_]+$/, patternMessage: "must be a ComfyUI option name" };
+const dimension = { type: "integer", min: 64, max: 2048, multipleOf: 8 };
+
+// Sampler and resolution overrides - unset fields fall back to the scene, then the model's defaults
+const lora = {
+	type: "object",
+	fields: {
+		name: { type: "string", required: true, minLength: 1, maxLength: 255 },
+		strength_model: { type: "number", min: -10, max: 10, default: 1 },
+		strength_clip: { type: "number", min: -10, max: 10, default: 1 },
+	},
+};
+
+// ControlNet guidance: canny derives an edge map from a product image, depth / pose take a ready-made map
+const control = {
+	type: "object",
+	fields: {
+		type: { type: "string", enum: CONTROL_TYPES, required: true },
+		filename: { type: "filename", required: true }, // canny: the product (its cutout is used when there is one); depth / pose: the map
+		model: { type: "string", maxLength: 255 }, // Defaults to config.generation.controlnets[type]
+		strength: { type: "number", min: 0, max: 2, default: 1 },
+		low_threshold: { type: "integer", min: 0, max: 1020, default: 100 }, // canny: gradient magnitude thresholds
+		high_threshold: { type: "integer", min: 0, max: 1020, default: 200 },
+	},
+};
+
+// auto: a ComfyUI upscale model when one is installed, else sharp Lanczos
+const upscaleOptions = {
+	scale: { type: "number", min: 1.1, max: 8, default: 2 },
+	method: { type: "string", enum: UPSCALE_METHODS, default: "auto" },
+	model: { type: "string", maxLength: 255 }, // ComfyUI upscale model, defaults to config.upscale.model
+};
+const upscale = { type: "object", fields: { ...upscaleOptions, scale: { ...upscaleOptions.scale, max: 4 } } }; // Final step of a generation job
+
+const generationSettings = {
+	model: { type: "string", maxLength: 255 },
+	loras: { type: "array", maxItems: 8, items: lora }, // Chained in order after the checkpoint
+	sampler: comfyOption,
+	scheduler: comfyOption,
+	steps: { type: "integer", min: 1, max: 150 },
+	cfg: { type: "number", min: 0, max: 30 },
+	width: dimension,
+	height: dimension,
+};
+const batchSize = { type: "integer", min: 1, max: 8 };
+
+// Explicit files, a whole batch, or (neither) everything pending
+const fileSelection = {
+	uploadId: { type: "id" },
+	filenames: { type: "array", minItems: 1, maxItems: 500, items: { type: "filename" } },
+};
+
+export const listUploadsSchema = {
+	query: {
+		uploadId: { type: "id" },
+		status: { type: "string", enum: ASSET_STATUSES },
+		...pagination(100),
+	},
+};
+
+// Channel to follow on /progress/:id (default: the uploadId). Picked by the client so it
+// can subscribe before starting the batch.
+const progressId = { type: "id" };
+
+export const processImagesSchema = { body: { ...fileSelection, progressId } };
+
+export const removeBackgroundSchema = {
+	body: {
+		...fileSelection,
+		progressId,
+		provider: { type: "string", enum: BG_PROVIDERS },
+		fallback: { type: "boolean", default: true },
+		tolerance: { type: "number", min: 0, max: 442 }, // Local remover only; 442 = max RGB distance
+	},
+};
+
+// Cutouts (or images with a no-background derivative) onto a color, gradient or image background
+export const compositeSchema = {
+	body: {
+		filenames: { ...fileSelection.filenames, maxItems: 100, required: true },
+		background: { type: "string", enum: ["color", "gradient", "image"], default: "color" },
+		color: { ...hexColor, default: "#FFFFFF" },
+		gradient: { type: "array", minItems: 2, maxItems: 8, items: hexColor, default: () => ["#FFFFFF", "#E6E6E6"] },
+		gradient_angle: { type: "integer", min: 0, max: 360, default: 180 },
+		background_image: { type: "filename" }, // A generated image or any workspace image
+		width: { type: "integer", min: 64, max: 8000, default: 2000 },
+		height: { type: "integer", min: 64, max: 8000, default: 2000 },
+		fill: { type: "number", min: 0.05, max: 1, default: 0.85 },
+		scale: { type: "number", min: 0.01, max: 10 }, // Overrides fill
+		padding: { type: "integer", min: 0, max: 4000, default: 0 },
+		position: { type: "string", enum: POSITIONS, default: "center" },
+		offset_x: { type: "integer", min: -8000, max: 8000, default: 0 },
+		offset_y: { type: "integer", min: -8000, max: 8000, default: 0 },
+		shadows, // Drawn under the product, in order
+		format: { type: "string", enum: ["jpeg", "png", "webp"], default: "jpeg" },
+		quality: { type: "integer", min: 1, max: 100, default: 90 },
+		watermark,
+	},
+};
+
+export const upscaleSchema = {
+	body: {
+		filenames: { ...fileSelection.filenames, maxItems: 50, required: true },
+		...upscaleOptions,
+	},
+};
+
+// animatediff runs the "animatediff" workflow template in ComfyUI as a job; the other effects render locally
+export const videoSchema = {
+	body: {
+		filenames: { ...fileSelection.filenames, maxItems: 8, required: true }, // crossfade uses them all, the other effects the first
+		effect: { type: "string", enum: VIDEO_EFFECTS, default: "ken-burns" },
+		width: { ...dimension, max: 1024, default: 512 },
+		height: { ...dimension, max: 1024, default: 512 },
+		fps: { type: "integer", min: 1, max: 30, default: 12 },
+		duration: { type: "number", min: 0.5, max: 10, default: 3 }, // Seconds
+		format: { type: "string", enum: ["webp", "gif"], default: "webp" }, // animatediff always saves WebP
+		quality: { type: "integer", min: 1, max: 100, default: 80 },
+		zoom: { type: "number", min: 1, max: 2, default: 1.2 }, // ken-burns
+		pan: { type: "string", enum: PAN_DIRECTIONS, default: "right" }, // ken-burns
+		sway: { type: "number", min: 0.01, max: 0.1, default: 0.05 }, // parallax: swing as a share of the width
+		background_color: { ...hexColor, default: "#FFFFFF" }, // parallax
+		background_image: { type: "filename" }, // parallax: replaces background_color
+		transition: { type: "number", min: 0.05, max: 1, default: 0.4 }, // crossfade: share of each image's time spent fading
+		prompt, // animatediff
+		negative_prompt: negativePrompt,
+		strength: { type: "number", min: 0, max: 1, default: 0.55 }, // animatediff: how far frames may drift from the source
+		seed: { type: "integer", min: -1, max: 4294967295, default: -1 },
+		motion_model: { type: "string", maxLength: 255 },
+	},
+};
+
+export const shadowsSchema = {
+	body: {
+		filenames: { ...fileSelection.filenames, maxItems: 100, required: true },
+		shadows: { ...shadows, minItems: 1, required: true },
+	},
+};
+
+// Canvas size and DPI come from a config.print preset; width / height / dpi override it
+export const printExportSchema = {
+	body: {
+		filenames: { ...fileSelection.filenames, maxItems: 20, required: true },
+		preset: { ...presetName, default: "tshirt" },
+		width: { type: "integer", min: 64, max: 20000 },
+		height: { type: "integer", min: 64, max: 20000 },
+		dpi: { type: "integer", min: 72, max: 1200 },
+		fill: { type: "number", min: 0.05, max: 1, default: 0.9 },
+		padding: { type: "integer", min: 0, max: 10000, default: 0 },
+		position: { type: "string", enum: POSITIONS, default: "center" },
+		offset_x: { type: "integer", min: -20000, max: 20000, default: 0 },
+		offset_y: { type: "integer", min: -20000, max: 20000, default: 0 },
+		background_color: hexColor, // Omitted = transparent
+		shadows,
+		format: { type: "string", enum: ["png", "tiff"], default: "png" },
+		icc_profile: { type: "string", enum: ICC_PROFILES, default: "srgb" }, // cmyk needs tiff
+		strict: { type: "boolean", default: false }, // Fail files below config.print.minDpi instead of warning
+	},
+};
+
+// Presets come from config.marketplace; with an uploadId, `source` picks which of each asset's images are exported
+export const marketplaceExportSchema = {
+	body: {
+		...fileSelection,
+		progressId,
+		presets: { type: "array", minItems: 1, maxItems: 10, items: presetName, required: true },
+		source: { type: "string", enum: EXPORT_SOURCES, default: "auto" }, // auto = the cutout, else the resized image
+		crop: { type: "string", enum: CROP_STRATEGIES }, // Overrides the presets' crop strategy
+		shadows, // Under cutouts on "pad" presets
+		watermark,
+	},
+};
+
+export const listDerivativesSchema = {
+	query: {
+		uploadId: { type: "id" },
+		...pagination(100),
+	},
+};
+
+// Only admins choose the watermark; other keys always get config.watermarks.autoApply
+export const generatedImageSchema = {
+	params: { filename: { type: "filename", required: true } },
+	query: { watermark },
+};
+
+// Upscaled images, videos and exports, served as stored
+export const storedFileSchema = {
+	params: { filename: { type: "filename", required: true } },
+};
+
+export const comfyHistorySchema = {
+	query: { limit: { type: "integer", min: 1, max: 100, default: 10 } },
+};
+
+// negative_prompt has no schema default: a scene's negative prompt applies first
+export const generateImageSchema = {
+	body: {
+		prompt, // Required unless a scene is given
+		negative_prompt: negativePrompt,
+		seed: { type: "integer", min: -1, max: 4294967295, default: -1 },
+		count: count(1),
+		scene: sceneName,
+		control,
+		upscale,
+		...generationSettings,
+		batch_size: batchSize,
+	},
+};
+
+export const generateVariationsSchema = {
+	body: {
+		filename: { type: "filename", required: true },
+		prompt,
+		negative_prompt: negativePrompt,
+		strength: { type: "number", min: 0, max: 1, default: 0.75 },
+		count: count(3),
+		style: { type: "string", enum: STYLES, default: "studio" },
+		scene: sceneName,
+		// inpaint: keep the product pixels and regenerate only the background (needs a no-background cutout)
+		mode: { type: "string", enum: ["img2img", "inpaint"], default: "img2img" },
+		grow_mask: { type: "integer", min: 0, max: 64, default: 6 }, // inpaint: mask growth in pixels to blend the edge
+		upscale,
+		...generationSettings, // width / height resize the source; without them the source size is kept
+		batch_size: batchSize,
+	},
+};
+
+// A scene preset file (utils/scenePresets.js)
+export const sceneFields = {
+	description: { type: "string", maxLength: 500 },
+	prompt: { ...prompt, required: true, minLength: 1 },
+	negative_prompt: negativePrompt,
+	...generationSettings,
+};
+
+const sceneParams = { name: { ...sceneName, required: true } };
+
+export const sceneSchema = { params: sceneParams };
+
+export const createSceneSchema = { body: { name: { ...sceneName, required: true }, ...sceneFields } };
+
+export const updateSceneSchema = { params: sceneParams, body: sceneFields };
+
+const workflowName = { name: { type: "filename", required: true } };
+
+export const workflowSchema = { params: workflowName };
+
+// `params` is checked against the template's manifest in the route
+export const runWorkflowSchema = {
+	params: workflowName,
+	body: {
+		params: { type: "object", default: () => ({}) },
+		count: count(1),
+		upscale,
+	},
+};
+
+export const listJobsSchema = {
+	query: {
+		status: { type: "string", enum: JOB_STATUSES },
+		type: { type: "string", maxLength: 64 },
+		limit: { type: "integer", min: 1, max: 500, default: 50 },
+	},
+};
+
+export const idParamsSchema = { params: idParams };
+
+export const listBatchesSchema = { query: pagination(50) };
+
+export const listAssetsSchema = {
+	query: {
+		uploadId: { type: "id" },
+		status: { type: "string", enum: ASSET_STATUSES },
+		source: { type: "string", maxLength: 32 },
+		hash: { type: "string", pattern: /^[a-f0-9]{8,128}$/i, patternMessage: "must be a hex digest" },
+		...pagination(100),
+	},
+};
+
+export const duplicatesSchema = {
+	query: {
+		uploadId: { type: "id" },
+		threshold: { type: "integer", min: 0, max: 64 },
+	},
+};
+
+export const fashionPromptsSchema = {
+	query: { productType: { type: "string", enum: PRODUCT_TYPES, default: "clothing" } },
+};
+
+export const usageSchema = {
+	query: { all: { type: "boolean", default: false } },
+};
+
+export const progressSchema = {
+	params: idParams,
+	query: { lastEventId: { type: "integer", min: 0 } },
+};
+
+export default {
+	listUploadsSchema,
+	processImagesSchema,
+	removeBackgroundSchema,
+	compositeSchema,
+	shadowsSchema,
+	upscaleSchema,
+	videoSchema,
+	printExportSchema,
+	marketplaceExportSchema,
+	listDerivativesSchema,
+	generatedImageSchema,
+	storedFileSchema,
+	comfyHistorySchema,
+	generateImageSchema,
+	generateVariationsSchema,
+	sceneFields,
+	sceneSchema,
+	createSceneSchema,
+	updateSceneSchema,
+	workflowSchema,
+	runWorkflowSchema,
+	listJobsSchema,
+	idParamsSchema,
+	listBatchesSchema,
+	listAssetsSchema,
+	duplicatesSchema,
+	fashionPromptsSchema,
+	usageSchema,
+	progressSchema,
+};
@@ -0,0 +1,124 @@
+// utils/shadows.js
+//
+// Synthetic shadows built from a product's alpha mask:
+//   drop       - the silhouette, offset by `distance` towards `angle` and blurred
+//   contact    - the silhouette squashed into a thin band under the product's base
+//   reflection - the product mirrored below itself, fading out over `length` of its height
+// Each shadow becomes a layer placed relative to the product's top-left corner,
+// composited underneath it.
+import sharp from "sharp";
+
+export const SHADOW_TYPES = ["drop", "contact", "reflection"];
+
+// angle: direction the shadow falls in degrees (0 = right, 90 = down)
+const DEFAULTS = {
+	drop: { angle: 45, distance: 20, blur: 12, opacity: 0.5, color: "#000000" },
+	contact: { distance: 0, blur: 10, opacity: 0.6, color: "#000000", spread: 1.05 },
+	reflection: { distance: 0, blur: 2, opacity: 0.35, length: 0.4 },
+};
+
+const parseHex = (hex) => {
+	const value = hex.replace("#", "");
+	const full = value.length === 3 ? [...value].map((c) => c + c).join("") : value;
+	return [0, 2, 4].map((i) => parseInt(full.slice(i, i + 2), 16));
+};
+
+/**
+ * Silhouette of an RGBA image in one colour with alpha scaled by opacity,
+ * padded by `pad` on every side (room for the blur) and blurred
+ */
+async function silhouette(product, { color, opacity, blur }, pad) {
+	const { data, info } = await sharp(product).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+	const [r, g, b] = parseHex(color);
+
+	const out = Buffer.alloc(data.length);
+	for (let i = 0; i < data.length; i += 4) {
+		out[i] = r;
+		out[i + 1] = g;
+		out[i + 2] = b;
+		out[i + 3] = Math.round(data[i + 3] * opacity);
+	}
+
+	const image = sharp(out, { raw: { width: info.width, height: info.height, channels: 4 } }).extend({
+		top: pad,
+		bottom: pad,
+		left: pad,
+		right: pad,
+		background: { r: 0, g: 0, b: 0, alpha: 0 },
+	});
+	return (blur >= 0.3 ? image.blur(blur) : image).png().toBuffer();
+}
+
+async function dropShadow(product, width, height, spec) {
+	const pad = Math.ceil(spec.blur * 3);
+	const radians = (spec.angle * Math.PI) / 180;
+	return {
+		input: await silhouette(product, spec, pad),
+		left: Math.round(Math.cos(radians) * spec.distance) - pad,
+		top: Math.round(Math.sin(radians) * spec.distance) - pad,
+	};
+}
+
+async function contactShadow(product, width, height, spec) {
+	const pad = Math.ceil(spec.blur * 3);
+	const bandWidth = Math.max(2, Math.round(width * spec.spread));
+	const bandHeight = Math.max(2, Math.round(height * 0.06));
+	const band = await sharp(product).resize(bandWidth, bandHeight, { fit: "fill" }).png().toBuffer();
+
+	return {
+		input: await silhouette(band, spec, pad),
+		left: Math.round((width - bandWidth) / 2) - pad,
+		top: height - Math.round(bandHeight / 2) + spec.distance - pad,
+	};
+}
+
+async function reflection(product, width, height, spec) {
+	const visibleHeight = Math.max(1, Math.round(height * spec.length));
+
+	// Fade mask: opacity at the product's base down to nothing at `length`
+	const fade = Buffer.from(
+		`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+			`<defs><linearGradient id="f" x1="0" y1="0" x2="0" y2="1">` +
+			`<stop offset="0" stop-color="#fff" stop-opacity="${spec.opacity}"/>` +
+			`<stop offset="${spec.length}" stop-color="#fff" stop-opacity="0"/>` +
+			`</linearGradient></defs><rect width="100%" height="100%" fill="url(#f)"/></svg>`
+	);
+
+	// Separate pipelines: sharp would extract before compositing the mask
+	const faded = await sharp(product)
+		.ensureAlpha()
+		.flip()
+		.composite([{ input: fade, blend: "dest-in" }])
+		.png()
+		.toBuffer();
+	const mirrored = await sharp(faded).extract({ left: 0, top: 0, width, height: visibleHeight }).png().toBuffer();
+
+	return {
+		input: spec.blur >= 0.3 ? await sharp(mirrored).blur(spec.blur).png().toBuffer() : mirrored,
+		left: 0,
+		top: height + spec.distance,
+	};
+}
+
+const RENDERERS = { drop: dropShadow, contact: contactShadow, reflection };
+
+/**
+ * Shadow layers for a product image (RGBA PNG Buffer, already at its final size).
+ * `specs`: [{ type, angle, distance, blur, opacity, color, spread, length }] -
+ * unset fields use the type's defaults. Returns [{ input, left, top }] with
+ * positions relative to the product's top-left corner, in drawing order.
+ */
+export async function shadowLayers(product, specs = []) {
+	const { width, height } = await sharp(product).metadata();
+	const layers = [];
+	for (const spec of specs) {
+		const settings = { ...DEFAULTS[spec.type], ...Object.fromEntries(Object.entries(spec).filter(([, v]) => v !== undefined)) };
+		layers.push(await RENDERERS[spec.type](product, width, height, settings));
+	}
+	return layers;
+}
+
+export default {
+	SHADOW_TYPES,
+	shadowLayers,
+};
@@ -0,0 +1,120 @@
+// utils/upscaler.js
+//
+// Upscaling for generated and processed images:
+//   comfy - a super-resolution model in ComfyUI (UpscaleModelLoader + ImageUpscaleWithModel),
+//           resized with Lanczos to the exact requested scale (models work in fixed steps, e.g. 4x)
+//   sharp - Lanczos resampling plus light sharpening, always available
+// "auto" uses ComfyUI when it has an upscale model and falls back to sharp when that fails.
+import path from "path";
+import sharp from "sharp";
+import { fetchComfyOutput, getAvailableUpscaleModels, queuePrompt, uploadImageToComfy, waitForCompletion } from "./comfyProcessor.js";
+import { config } from "./config.js";
+import { isCircuitOpen } from "./httpClient.js";
+
+export const UPSCALE_METHODS = ["auto", "comfy", "sharp"];
+
+/**
+ * The upscale model to use: the requested one, the configured one, or the first
+ * installed. Throws when ComfyUI has none (or not the requested one).
+ */
+async function chooseModel(requested) {
+	const models = await getAvailableUpscaleModels();
+	const model = requested || (models.includes(config.upscale.model) ? config.upscale.model : models[0]);
+	if (!model) {
+		throw new Error("No upscale model installed in ComfyUI");
+	}
+	if (!models.includes(model)) {
+		throw new Error(`Upscale model "${model}" is not installed in ComfyUI`);
+	}
+	return model;
+}
+
+/**
+ * LoadImage -> UpscaleModelLoader + ImageUpscaleWithModel -> ImageScale -> SaveImage.
+ * Returns the PNG ComfyUI saved - always RGB, as LoadImage splits any alpha off into
+ * a MASK output this graph does not use.
+ */
+async function upscaleWithComfy(imagePath, model, width, height) {
+	const uploadedName = await uploadImageToComfy(imagePath);
+
+	const workflow = {
+		1: {
+			inputs: { image: uploadedName, upload: "image" },
+			class_type: "LoadImage",
+		},
+		2: {
+			inputs: { model_name: model },
+			class_type: "UpscaleModelLoader",
+		},
+		3: {
+			inputs: { upscale_model: ["2", 0], image: ["1", 0] },
+			class_type: "ImageUpscaleWithModel",
+		},
+		4: {
+			inputs: { image: ["3", 0], upscale_method: "lanczos", width, height, crop: "disabled" },
+			class_type: "ImageScale",
+		},
+		5: {
+			inputs: { images: ["4", 0], filename_prefix: "upscaled" },
+			class_type: "SaveImage",
+		},
+	};
+
+	const { prompt_id: promptId } = await queuePrompt(workflow);
+	const completion = await waitForCompletion(promptId, config.upscale.timeoutMs);
+	if (!completion.success) {
+		throw new Error(`ComfyUI upscale failed: ${completion.error}`);
+	}
+
+	const image = completion.status.outputs?.["5"]?.images?.[0];
+	if (!image) {
+		throw new Error("ComfyUI upscale produced no image");
+	}
+	return fetchComfyOutput(image.filename);
+}
+
+/**
+ * Upscale one image by `scale`. The result keeps the source's format.
+ * options: { scale, method: "auto" | "comfy" | "sharp", model }
+ * Returns { buffer, width, height, method, model, attempts: [{ method, error }] }.
+ */
+export async function upscaleImage(imagePath, { scale, method = "auto", model = null }) {
+	const metadata = await sharp(imagePath).metadata();
+	const width = Math.round(metadata.width * scale);
+	const height = Math.round(metadata.height * scale);
+	if (Math.max(width, height) > config.upscale.maxDimension) {
+		throw new Error(`${width}x${height} exceeds the ${config.upscale.maxDimension}px upscale limit`);
+	}
+
+	const attempts = [];
+	if (method === "comfy" || (method === "auto" && !isCircuitOpen("comfy"))) {
+		try {
+			const upscaleModel = await chooseModel(model);
+			const output = await upscaleWithComfy(imagePath, upscaleModel, width, height);
+			let image = sharp(output);
+			if (metadata.hasAlpha) {
+				// Cutouts get their own alpha back, resampled to the same size. The RGB is
+				// materialised first: in a single pipeline sharp would drop the joined alpha again
+				const alpha = await sharp(imagePath).resize(width, height, { kernel: "lanczos3", fit: "fill" }).extractChannel("alpha").png().toBuffer();
+				image = sharp(await image.removeAlpha().png().toBuffer()).joinChannel(alpha);
+			}
+			const { data: buffer, info } = await image.toFormat(metadata.format).toBuffer({ resolveWithObject: true });
+			return { buffer, width: info.width, height: info.height, method: "comfy", model: upscaleModel, attempts };
+		} catch (error) {
+			if (method === "comfy") throw error;
+			console.error(`⚠️  [UPSCALE] ComfyUI failed for ${path.basename(imagePath)}, using sharp:`, error.message);
+			attempts.push({ method: "comfy", error: error.message });
+		}
+	}
+
+	const buffer = await sharp(imagePath)
+		.resize(width, height, { kernel: "lanczos3", fit: "fill" })
+		.sharpen({ sigma: 0.6 + scale * 0.2 }) // Resampling softens more the further it enlarges
+		.toBuffer();
+	return { buffer, width, height, method: "sharp", model: null, attempts };
+}
+
+export default {
+	UPSCALE_METHODS,
+	upscaleImage,
+};
@@ -0,0 +1,210 @@
+// utils/validation.js
+import path from "path";
+
+/**
+ * A request failed validation. `details` lists every invalid field as
+ * { field, message }, e.g. { field: "body.count", message: "must be an integer >= 1" }.
+ */
+export class ValidationError extends Error {
+	constructor(details, message = "Invalid request") {
+		super(message);
+		this.name = "ValidationError";
+		this.status = 400;
+		this.details = details;
+	}
+
+	toJSON() {
+		return {
+			success: false,
+			error: `${this.message}: ${this.details.map((d) => `${d.field} ${d.message}`).join("; ")}`,
+			errors: this.details,
+		};
+	}
+}
+
+// Plain file names only - no separators, no "." / "..", no control characters
+const FILENAME = /^(?!\.{1,2}$)[^/\\\x00-\x1f]{1,255}$/;
+// Upload / job / asset ids
+const ID = /^[A-Za-z0-9][A-Za-z0-9._:-]{0,127}$/;
+
+export function isSafeFilename(value) {
+	return typeof value === "string" && FILENAME.test(value);
+}
+
+/**
+ * Query strings and multipart fields arrive as strings - coerce them to the
+ * declared type before checking
+ */
+function coerce(value, type) {
+	if (typeof value !== "string") return value;
+	if (type === "integer" || type === "number") {
+		return value.trim() !== "" && !isNaN(Number(value)) ? Number(value) : value;
+	}
+	if (type === "boolean") {
+		if (value === "true") return true;
+		if (value === "false") return false;
+	}
+	if (type === "array") {
+		return value.split(",").map((v) => v.trim()).filter(Boolean);
+	}
+	return value;
+}
+
+/**
+ * Check a single value against its rule; returns an error message or null
+ */
+function checkValue(value, rule) {
+	switch (rule.type) {
+		case "string":
+			if (typeof value !== "string") return "must be a string";
+			if (rule.minLength && value.trim().length < rule.minLength) {
+				return rule.minLength === 1 ? "must not be empty" : `must be at least ${rule.minLength} characters`;
+			}
+			if (rule.maxLength && value.length > rule.maxLength) return `must be at most ${rule.maxLength} characters`;
+			if (rule.pattern && !rule.pattern.test(value)) return rule.patternMessage || "has an invalid format";
+			break;
+		case "filename":
+			if (!isSafeFilename(value)) return "must be a plain file name (no path separators or '..')";
+			break;
+		case "id":
+			if (typeof value !== "string" || !ID.test(value)) return "must be an id of letters, digits, '.', '_', ':' or '-'";
+			break;
+		case "integer":
+			if (!Number.isInteger(value)) return "must be an integer";
+			break;
+		case "number":
+			if (typeof value !== "number" || !Number.isFinite(value)) return "must be a number";
+			break;
+		case "boolean":
+			if (typeof value !== "boolean") return "must be true or false";
+			break;
+		case "array":
+			if (!Array.isArray(value)) return "must be an array";
+			if (rule.minItems && value.length < rule.minItems) return `must contain at least ${rule.minItems} item(s)`;
+			if (rule.maxItems && value.length > rule.maxItems) return `must contain at most ${rule.maxItems} items`;
+			break;
+		case "object":
+			if (!value || typeof value !== "object" || Array.isArray(value)) return "must be an object";
+			break;
+	}
+
+	if (rule.enum && !rule.enum.includes(value)) return `must be one of: ${rule.enum.join(", ")}`;
+	if (rule.min !== undefined && value < rule.min) return `must be >= ${rule.min}`;
+	if (rule.max !== undefined && value > rule.max) return `must be <= ${rule.max}`;
+	if (rule.multipleOf && value % rule.multipleOf !== 0) return `must be a multiple of ${rule.multipleOf}`;
+	return null;
+}
+
+/**
+ * Validate an object against a field schema. Unknown fields are dropped and
+ * defaults applied. Returns { values, errors }.
+ *
+ * Rule: { type, required, default, min, max, multipleOf, enum, minLength,
+ *         maxLength, pattern, minItems, maxItems, items }
+ * A rule of type "object" (a field or an array's `items`) may carry `fields`,
+ * a nested schema for its properties.
+ */
+export function validateFields(input, schema, location) {
+	const values = {};
+	const errors = [];
+	const source = input && typeof input === "object" ? input : {};
+
+	for (const [name, rule] of Object.entries(schema)) {
+		const field = `${location}.${name}`;
+		let value = source[name];
+
+		if (value === undefined || value === null || value === "") {
+			if (rule.required) {
+				errors.push({ field, message: "is required" });
+			} else if (rule.default !== undefined) {
+				values[name] = typeof rule.default === "function" ? rule.default() : rule.default;
+			}
+			continue;
+		}
+
+		value = coerce(value, rule.type);
+		const message = checkValue(value, rule);
+		if (message) {
+			errors.push({ field, message });
+			continue;
+		}
+
+		if (rule.type === "array" && rule.items) {
+			value = value.map((item, i) => {
+				const coerced = coerce(item, rule.items.type);
+				const itemMessage = checkValue(coerced, rule.items);
+				if (itemMessage) {
+					errors.push({ field: `${field}[${i}]`, message: itemMessage });
+				} else if (rule.items.fields) {
+					// Objects in a list are validated field by field, like a nested schema
+					const nested = validateFields(coerced, rule.items.fields, `${field}[${i}]`);
+					errors.push(...nested.errors);
+					return nested.values;
+				}
+				return coerced;
+			});
+		} else if (rule.type === "object" && rule.fields) {
+			const nested = validateFields(value, rule.fields, field);
+			errors.push(...nested.errors);
+			value = nested.values;
+		}
+
+		values[name] = value;
+	}
+
+	return { values, errors };
+}
+
+/**
+ * Route middleware validating { body, query, params } against field schemas.
+ * Validated values replace req.body / req.query / req.params.
+ */
+export function validate(schema) {
+	return (req, res, next) => {
+		const errors = [];
+		const validated = {};
+
+		for (const location of ["params", "query", "body"]) {
+			if (!schema[location]) continue;
+			const result = validateFields(req[location], schema[location], location);
+			validated[location] = result.values;
+			errors.push(...result.errors);
+		}
+
+		if (errors.length > 0) {
+			return res.status(400).json(new ValidationError(errors).toJSON());
+		}
+
+		if (validated.body) req.body = validated.body;
+		if (validated.params) req.params = validated.params;
+		if (validated.query) {
+			// req.query is a getter in Express 5
+			Object.defineProperty(req, "query", { value: validated.query, writable: true, configurable: true, enumerable: true });
+		}
+		next();
+	};
+}
+
+/**
+ * Resolve a client-supplied file name inside a storage directory, refusing
+ * anything that would land outside it
+ */
+export function resolveStoragePath(dir, filename, field = "filename") {
+	if (!isSafeFilename(filename)) {
+		throw new ValidationError([{ field, message: "must be a plain file name (no path separators or '..')" }]);
+	}
+
+	const base = path.resolve(dir);
+	if (path.dirname(path.resolve(base, filename)) !== base) {
+		throw new ValidationError([{ field, message: "resolves outside the storage directory" }]);
+	}
+	return path.join(dir, filename);
+}
+
+export default {
+	ValidationError,
+	isSafeFilename,
+	validateFields,
+	validate,
+	resolveStoragePath,
+};
@@ -0,0 +1,149 @@
+// utils/videoRenderer.js
+//
+// Short looping product clips rendered locally with sharp, encoded as animated WebP or GIF:
+//   ken-burns - slow zoom and pan across one image
+//   parallax  - turntable-style sway: the cutout swings and narrows as if turning
+//               while the background drifts the other way
+//   crossfade - holds each image in turn and blends into the next, looping back to the first
+// Frames are rendered as raw RGB and blended in JS; sharp only resizes, crops and encodes.
+import sharp from "sharp";
+import { createBackground } from "./compositor.js";
+
+export const VIDEO_EFFECTS = ["ken-burns", "parallax", "crossfade"];
+export const VIDEO_FORMATS = ["webp", "gif"];
+export const PAN_DIRECTIONS = ["none", "left", "right", "up", "down"];
+
+// Largest frames x width x height a clip may have (about 180 MB of raw frames)
+export const MAX_VIDEO_PIXELS = 60_000_000;
+
+// Ease in and out so loops and pans start and stop softly
+const ease = (t) => 0.5 - Math.cos(Math.PI * t) / 2;
+
+const rawFrame = (image) => image.removeAlpha().raw().toBuffer();
+
+/**
+ * Zoom from 1 to `zoom` while panning towards `pan`
+ */
+async function kenBurnsFrames([sourcePath], { width, height, frameCount, zoom = 1.2, pan = "right" }) {
+	// Render the source once at the closest zoom, then crop a shrinking window out of it
+	const zoomedWidth = Math.round(width * zoom);
+	const zoomedHeight = Math.round(height * zoom);
+	const zoomed = await sharp(sourcePath).flatten({ background: "#FFFFFF" }).resize(zoomedWidth, zoomedHeight, { fit: "cover" }).png().toBuffer();
+
+	const [panX, panY] = { none: [0, 0], left: [-1, 0], right: [1, 0], up: [0, -1], down: [0, 1] }[pan];
+	const frames = [];
+	for (let i = 0; i < frameCount; i++) {
+		const t = ease(frameCount > 1 ? i / (frameCount - 1) : 0);
+		const scale = 1 + (zoom - 1) * t;
+		const cropWidth = Math.round(zoomedWidth / scale);
+		const cropHeight = Math.round(zoomedHeight / scale);
+		// Centered, then shifted towards the pan direction by up to the free margin
+		const left = Math.round(((zoomedWidth - cropWidth) / 2) * (1 + panX * t));
+		const top = Math.round(((zoomedHeight - cropHeight) / 2) * (1 + panY * t));
+
+		const crop = sharp(zoomed).extract({ left, top, width: cropWidth, height: cropHeight }).resize(width, height);
+		frames.push(await rawFrame(crop));
+	}
+	return frames;
+}
+
+/**
+ * One swing right and back left per loop. `sway` is the swing as a share of the width
+ * (up to 0.1, which keeps the 80%-wide product inside the frame).
+ */
+async function parallaxFrames([cutoutPath], { width, height, frameCount, sway = 0.05, background }) {
+	const margin = Math.ceil(width * sway);
+	const backdrop = await sharp(await createBackground(background, width + 2 * margin, height)).png().toBuffer();
+
+	const productHeight = Math.round(height * 0.8);
+	const product = await sharp(cutoutPath).ensureAlpha().trim().resize({ height: productHeight, width: Math.round(width * 0.8), fit: "inside" }).png().toBuffer();
+	const { width: productWidth } = await sharp(product).metadata();
+
+	const frames = [];
+	for (let i = 0; i < frameCount; i++) {
+		const swing = Math.sin((2 * Math.PI * i) / frameCount); // -1..1, seamless loop
+		// Narrower when turned away from the camera, widest when facing it
+		const turnedWidth = Math.max(1, Math.round(productWidth * (1 - 0.12 * Math.abs(swing))));
+		const turned = await sharp(product).resize(turnedWidth, productHeight, { fit: "fill" }).png().toBuffer();
+
+		const backgroundLeft = Math.round(margin * (1 + swing * 0.5)); // Background drifts half as far, the other way
+		const left = Math.round((width - turnedWidth) / 2 + margin * swing);
+		const top = Math.round((height - productHeight) / 2);
+
+		const frame = sharp(
+			await sharp(backdrop).extract({ left: backgroundLeft, top: 0, width, height }).png().toBuffer()
+		).composite([{ input: turned, left, top }]);
+		frames.push(await rawFrame(frame));
+	}
+	return frames;
+}
+
+/**
+ * Each image holds, then the last `transition` share of its slot blends into the next
+ */
+async function crossfadeFrames(sourcePaths, { width, height, frameCount, transition = 0.4 }) {
+	const images = await Promise.all(
+		sourcePaths.map((sourcePath) =>
+			rawFrame(sharp(sourcePath).flatten({ background: "#FFFFFF" }).resize(width, height, { fit: "cover" }))
+		)
+	);
+
+	const slot = frameCount / images.length;
+	const frames = [];
+	for (let i = 0; i < frameCount; i++) {
+		const current = Math.floor(i / slot);
+		const progress = (i - current * slot) / slot; // 0..1 through this image's slot
+		const blend = ease(Math.max(0, (progress - (1 - transition)) / transition));
+
+		const from = images[current];
+		if (blend <= 0) {
+			frames.push(from);
+			continue;
+		}
+		const to = images[(current + 1) % images.length];
+		const mixed = Buffer.alloc(from.length);
+		for (let p = 0; p < from.length; p++) {
+			mixed[p] = Math.round(from[p] + (to[p] - from[p]) * blend);
+		}
+		frames.push(mixed);
+	}
+	return frames;
+}
+
+const RENDERERS = { "ken-burns": kenBurnsFrames, parallax: parallaxFrames, crossfade: crossfadeFrames };
+
+/**
+ * Render a looping clip.
+ * options: { width, height, fps, duration, format, quality, zoom, pan, sway, transition, background }
+ *   background ({ type, color, colors, angle, imagePath } - see compositor.createBackground) is used by parallax
+ * Returns { buffer, width, height, frames, fps, duration, format }.
+ */
+export async function renderVideo(effect, sourcePaths, options) {
+	const { width, height, fps, duration, format = "webp", quality = 80 } = options;
+	const frameCount = Math.max(2, Math.round(fps * duration));
+	if (frameCount * width * height > MAX_VIDEO_PIXELS) {
+		throw new Error(`${frameCount} frames of ${width}x${height} exceed the local rendering limit - lower the size, fps or duration`);
+	}
+
+	const frames = await RENDERERS[effect](sourcePaths, { ...options, frameCount });
+
+	// Animated output is built by joining encoded frames; raw buffers cannot be joined
+	const encoded = [];
+	for (const frame of frames) {
+		encoded.push(await sharp(frame, { raw: { width, height, channels: 3 } }).png({ compressionLevel: 1 }).toBuffer());
+	}
+
+	const delay = Array(frameCount).fill(Math.round(1000 / fps));
+	const animation = sharp(encoded, { join: { animated: true } });
+	const buffer = await (format === "gif" ? animation.gif({ loop: 0, delay }) : animation.webp({ loop: 0, delay, quality })).toBuffer();
+
+	return { buffer, width, height, frames: frameCount, fps, duration, format };
+}
+
+export default {
+	VIDEO_EFFECTS,
+	VIDEO_FORMATS,
+	PAN_DIRECTIONS,
+	MAX_VIDEO_PIXELS,
+	renderVideo,
+};
@@ -0,0 +1,129 @@
+// utils/watermark.js
+//
+// Brand watermarks from named profiles (config.watermarks.profiles): a logo image or a
+// line of text, placed once at a position or tiled across the whole image at an angle.
+// Marks are sized relative to the image they go on, so one profile suits any output size.
+import sharp from "sharp";
+import { ANCHORS } from "./compositor.js";
+import { config } from "./config.js";
+
+const TRANSPARENT = { r: 0, g: 0, b: 0, alpha: 0 };
+
+const PROFILE_DEFAULTS = {
+	logo: null,
+	text: null,
+	color: "#FFFFFF",
+	outline: "#000000",
+	font: "sans bold",
+	position: "bottom-right",
+	margin: 0.03,
+	opacity: 0.5,
+	scale: 0.2,
+	tiled: false,
+	angle: -30,
+	spacing: 1,
+};
+
+/**
+ * A profile from config.watermarks.profiles with its defaults filled in, or null if unknown
+ */
+export function watermarkProfile(name) {
+	const profile = config.watermarks.profiles[name];
+	return profile ? { ...PROFILE_DEFAULTS, ...profile, name } : null;
+}
+
+const escapeMarkup = (text) => text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+/**
+ * Text rendered with Pango about `width` pixels wide. Rendered at the DPI that gives
+ * that width rather than resized, so large marks stay crisp. With an `outline` colour
+ * the text sits on a halo of it, so white text still shows on a white background.
+ */
+async function renderText({ text, color, outline, font }, width) {
+	const render = (dpi) =>
+		sharp({ text: { text: `<span foreground="${color}">${escapeMarkup(text)}</span>`, font, rgba: true, dpi } }).png().toBuffer({ resolveWithObject: true });
+
+	const { info } = await render(72);
+	const dpi = Math.min(2400, Math.max(12, Math.round((72 * width) / info.width)));
+	const rendered = await render(dpi);
+	if (!outline) return rendered.data;
+
+	// The text's alpha spread by blurring and then boosted, filled with the outline colour
+	const halo = Math.max(2, Math.round(rendered.info.height / 12));
+	const padded = await sharp(rendered.data)
+		.extend({ top: halo, bottom: halo, left: halo, right: halo, background: TRANSPARENT })
+		.png()
+		.toBuffer({ resolveWithObject: true });
+	const alpha = await sharp(padded.data).extractChannel("alpha").png().toBuffer(); // Own pipeline: extraction runs last
+	const mask = await sharp(alpha).blur(halo / 2).linear(4, 0).png().toBuffer();
+	const haloLayer = await sharp({ create: { width: padded.info.width, height: padded.info.height, channels: 3, background: outline } })
+		.joinChannel(mask)
+		.png()
+		.toBuffer();
+	return sharp(haloLayer).composite([{ input: padded.data }]).png().toBuffer();
+}
+
+/**
+ * The mark alone: `scale` x `width` wide, at the profile's opacity
+ */
+async function renderMark(profile, width) {
+	const markWidth = Math.max(8, Math.round(width * profile.scale));
+	const mark = profile.logo ? await sharp(profile.logo).resize({ width: markWidth }).png().toBuffer() : await renderText(profile, markWidth);
+	return sharp(mark).ensureAlpha().linear([1, 1, 1, profile.opacity], [0, 0, 0, 0]).png().toBuffer();
+}
+
+/**
+ * Watermark of a `width` x `height` image as sharp composite entries
+ */
+export async function watermarkLayers(profile, width, height) {
+	let mark = await renderMark(profile, width);
+
+	if (profile.tiled) {
+		// Rotated, then padded so tiles sit `spacing` mark-widths apart
+		const rotated = await sharp(mark).rotate(profile.angle, { background: TRANSPARENT }).png().toBuffer({ resolveWithObject: true });
+		const gapX = Math.round((rotated.info.width * profile.spacing) / 2);
+		const gapY = Math.round((rotated.info.height * profile.spacing) / 2);
+		let tile = await sharp(rotated.data)
+			.extend({ top: gapY, bottom: gapY, left: gapX, right: gapX, background: TRANSPARENT })
+			.png()
+			.toBuffer({ resolveWithObject: true });
+		if (tile.info.width > width || tile.info.height > height) {
+			tile = await sharp(tile.data).resize(width, height, { fit: "inside" }).png().toBuffer({ resolveWithObject: true });
+		}
+		return [{ input: tile.data, tile: true, left: 0, top: 0 }];
+	}
+
+	// Tall logos on wide images could still overflow
+	let { width: markWidth, height: markHeight } = await sharp(mark).metadata();
+	if (markWidth > width || markHeight > height) {
+		mark = await sharp(mark).resize(width, height, { fit: "inside" }).png().toBuffer();
+		({ width: markWidth, height: markHeight } = await sharp(mark).metadata());
+	}
+
+	const margin = Math.round(Math.min(width, height) * profile.margin);
+	const [anchorX, anchorY] = ANCHORS[profile.position];
+	const left = Math.round(margin + (width - 2 * margin - markWidth) * anchorX);
+	const top = Math.round(margin + (height - 2 * margin - markHeight) * anchorY);
+	return [{ input: mark, left: Math.max(0, left), top: Math.max(0, top) }];
+}
+
+/**
+ * Watermark an image file or buffer, keeping its format and, for opaque images, its
+ * lack of alpha. Returns { buffer, format }.
+ */
+export async function applyWatermark(input, profile) {
+	const { width, height, format, hasAlpha } = await sharp(input).metadata();
+	const layers = await watermarkLayers(profile, width, height);
+	// Flattened (raw) first - sharp composites after every other operation of a pipeline
+	const { data, info } = await sharp(input).composite(layers).raw().toBuffer({ resolveWithObject: true });
+	const stamped = sharp(data, { raw: { width: info.width, height: info.height, channels: info.channels } });
+	if (!hasAlpha) stamped.removeAlpha();
+	const buffer = await stamped.toFormat(format).toBuffer();
+	return { buffer, format };
+}
+
+export default {
+	watermarkProfile,
+	watermarkLayers,
+	applyWatermark,
+};
@@ -0,0 +1,185 @@
+// utils/workflowTemplates.js
+//
+// ComfyUI workflow templates loaded from disk. Each template is a directory in
+// config.workflows.dir holding:
+//   workflow.json - the graph in ComfyUI "API format" (Save (API Format) in the UI)
+//   manifest.json - { description, parameters, outputs }
+//
+// parameters: name -> validation rule (see utils/validation.js) plus
+//   target: [nodeId, inputName] or a list of them - where the value is written
+//   type "image": a file name in the caller's workspace, uploaded to ComfyUI
+//   type "model": a checkpoint name, defaulting to the server's default model
+//   seed: true - -1 picks a random seed; with count > 1 each run adds its index
+// outputs: ids of the nodes whose images are downloaded (usually SaveImage)
+import fs from "fs/promises";
+import path from "path";
+import { config } from "./config.js";
+import { isSafeFilename } from "./validation.js";
+
+const PARAMETER_TYPES = ["string", "integer", "number", "boolean", "image", "model"];
+
+const targetsOf = (parameter) => (Array.isArray(parameter.target?.[0]) ? parameter.target : [parameter.target]);
+
+/**
+ * Check a manifest against its graph; returns a list of problems
+ */
+function checkTemplate(manifest, workflow) {
+	const errors = [];
+
+	if (!manifest.parameters || typeof manifest.parameters !== "object") {
+		errors.push("manifest.parameters must be an object");
+	} else {
+		for (const [name, parameter] of Object.entries(manifest.parameters)) {
+			if (!PARAMETER_TYPES.includes(parameter.type)) {
+				errors.push(`parameter "${name}" has unknown type "${parameter.type}"`);
+			}
+			for (const target of targetsOf(parameter)) {
+				if (!Array.isArray(target) || target.length !== 2) {
+					errors.push(`parameter "${name}" needs target [nodeId, inputName]`);
+				} else if (!workflow[target[0]]?.inputs || !(target[1] in workflow[target[0]].inputs)) {
+					errors.push(`parameter "${name}" targets missing input ${target[0]}.${target[1]}`);
+				}
+			}
+		}
+	}
+
+	if (!Array.isArray(manifest.outputs) || manifest.outputs.length === 0) {
+		errors.push("manifest.outputs must list at least one output node");
+	} else {
+		for (const node of manifest.outputs) {
+			if (!workflow[node]) errors.push(`output node "${node}" is not in the workflow`);
+		}
+	}
+
+	return errors;
+}
+
+async function readTemplate(name) {
+	const dir = path.join(config.workflows.dir, name);
+	const [workflow, manifest] = await Promise.all(
+		["workflow.json", "manifest.json"].map(async (file) => JSON.parse(await fs.readFile(path.join(dir, file), "utf-8")))
+	);
+
+	const errors = checkTemplate(manifest, workflow);
+	if (errors.length > 0) {
+		throw new Error(errors.join("; "));
+	}
+
+	return {
+		name,
+		description: manifest.description || "",
+		parameters: manifest.parameters,
+		outputs: manifest.outputs.map(String),
+		workflow,
+	};
+}
+
+/**
+ * All valid templates. Read from disk on every call so dropped-in templates
+ * appear without a restart; broken ones are logged and skipped.
+ */
+export async function listTemplates() {
+	const entries = await fs.readdir(config.workflows.dir, { withFileTypes: true }).catch(() => []);
+	const templates = [];
+
+	for (const entry of entries.filter((e) => e.isDirectory())) {
+		try {
+			templates.push(await readTemplate(entry.name));
+		} catch (error) {
+			console.error(`⚠️  [WORKFLOWS] Skipping template "${entry.name}":`, error.message);
+		}
+	}
+	return templates;
+}
+
+/**
+ * A template by name, or null if it does not exist.
+ * Throws when the template exists but is invalid.
+ */
+export async function getTemplate(name) {
+	if (!isSafeFilename(name)) return null;
+	try {
+		await fs.access(path.join(config.workflows.dir, name, "manifest.json"));
+	} catch (error) {
+		return null;
+	}
+	return readTemplate(name);
+}
+
+/**
+ * Validation schema (utils/validation.js) for a template's parameters
+ */
+export function parameterSchema(template) {
+	const schema = {};
+	for (const [name, parameter] of Object.entries(template.parameters)) {
+		const { target, seed, ...rule } = parameter;
+		schema[name] = {
+			...rule,
+			type: parameter.type === "image" ? "filename" : parameter.type === "model" ? "string" : parameter.type,
+			pattern: rule.pattern ? new RegExp(rule.pattern) : undefined, // Manifests hold patterns as strings
+		};
+	}
+	return schema;
+}
+
+/**
+ * Parameter values for run `index` of a job: seed parameters of -1 get a
+ * random seed, fixed seeds advance by the run index
+ */
+export function valuesForRun(template, values, index) {
+	const run = { ...values };
+	for (const [name, parameter] of Object.entries(template.parameters)) {
+		if (parameter.seed && typeof run[name] === "number") {
+			run[name] = run[name] === -1 ? Math.floor(Math.random() * 1000000) : run[name] + index;
+		}
+	}
+	return run;
+}
+
+/**
+ * Fill a template's graph with parameter values. `images` maps image parameter
+ * names to the file names ComfyUI stored the uploads under.
+ */
+export function buildWorkflow(template, values, { images = {}, model = null } = {}) {
+	const workflow = JSON.parse(JSON.stringify(template.workflow));
+
+	for (const [name, parameter] of Object.entries(template.parameters)) {
+		let value = values[name];
+
+		if (parameter.type === "image") {
+			value = images[name];
+		} else if (parameter.type === "model") {
+			value = value || model;
+		}
+
+		if (value === undefined || value === null) continue;
+		for (const [node, input] of targetsOf(parameter)) {
+			workflow[node].inputs[input] = value;
+		}
+	}
+
+	return workflow;
+}
+
+/**
+ * Public description of a template (no graph)
+ */
+export function describeTemplate(template) {
+	return {
+		name: template.name,
+		description: template.description,
+		parameters: Object.fromEntries(
+			Object.entries(template.parameters).map(([name, { target, ...parameter }]) => [name, parameter])
+		),
+		outputs: template.outputs,
+	};
+}
+
+export default {
+	listTemplates,
+	getTemplate,
+	parameterSchema,
+	valuesForRun,
+	buildWorkflow,
+	describeTemplate,
+};
@@ -0,0 +1,121 @@
+// utils/workspace.js
+import fs from "fs/promises";
+import path from "path";
+import { openCatalog } from "./catalog.js";
+import { config } from "./config.js";
+import { resolveStoragePath } from "./validation.js";
+
+export const DEFAULT_WORKSPACE = "default";
+const WORKSPACE_NAME = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+
+const workspaces = new Map(); // name -> Promise<workspace>
+
+export function isValidWorkspaceName(name) {
+	return typeof name === "string" && WORKSPACE_NAME.test(name);
+}
+
+/**
+ * Storage root of a workspace. The default workspace keeps the original
+ * ./uploads + ./processed layout so existing data stays where it is.
+ */
+export function workspaceRoot(name) {
+	return name === DEFAULT_WORKSPACE ? "." : path.join(config.storage.workspacesRoot, name);
+}
+
+function workspacePaths(root) {
+	return {
+		root,
+		uploads: path.join(root, "uploads"),
+		originals: path.join(root, "processed", "originals"),
+		resized: path.join(root, "processed", "resized"),
+		metadata: path.join(root, "processed", "metadata"),
+		noBackground: path.join(root, "processed", "no-background"),
+		generated: path.join(root, "processed", "generated"),
+		composites: path.join(root, "processed", "composites"),
+		upscaled: path.join(root, "processed", "upscaled"),
+		videos: path.join(root, "processed", "videos"),
+		exports: path.join(root, "processed", "exports"),
+		catalog: path.join(root, "processed", "catalog.sqlite"),
+	};
+}
+
+async function openWorkspace(name) {
+	const paths = workspacePaths(workspaceRoot(name));
+
+	const dirs = [paths.uploads, paths.originals, paths.resized, paths.noBackground, paths.generated, paths.composites, paths.upscaled, paths.videos, paths.exports];
+	for (const dir of dirs) {
+		await fs.mkdir(dir, { recursive: true });
+	}
+
+	const catalog = await openCatalog(paths);
+	console.log(`📁 Workspace "${name}" ready at ${paths.root}`);
+	return { name, paths, catalog };
+}
+
+/**
+ * Get (opening on first use) a workspace: { name, paths, catalog }
+ */
+export function getWorkspace(name = DEFAULT_WORKSPACE) {
+	if (!isValidWorkspaceName(name)) {
+		return Promise.reject(new Error(`Invalid workspace name: ${name}`));
+	}
+
+	if (!workspaces.has(name)) {
+		const opening = openWorkspace(name);
+		opening.catch(() => workspaces.delete(name));
+		workspaces.set(name, opening);
+	}
+	return workspaces.get(name);
+}
+
+/**
+ * Locate a workspace image by file name, preferring the most processed copy
+ * (no-background, resized, original, upload), then generated, composite and
+ * upscaled images. Returns its path or null.
+ */
+export async function findWorkspaceImage(paths, filename) {
+	const dirs = [paths.noBackground, paths.resized, paths.originals, paths.uploads, paths.generated, paths.composites, paths.upscaled];
+	for (const dir of dirs) {
+		const candidate = resolveStoragePath(dir, filename);
+		try {
+			await fs.access(candidate);
+			return candidate;
+		} catch (error) {
+			// Try the next directory
+		}
+	}
+	return null;
+}
+
+/**
+ * Locate the transparent-background cutout of an image: the file itself when it
+ * is a no-background image, otherwise the newest no-background derivative of
+ * its asset. Returns its path or null.
+ */
+export async function findProductCutout({ paths, catalog }, filename) {
+	const candidates = [filename];
+	const asset = catalog.getAssetForFile(filename);
+	if (asset) {
+		candidates.push(...catalog.listDerivatives({ kind: "no-background", assetId: asset.id, limit: -1 }).map((d) => d.filename));
+	}
+
+	for (const candidate of candidates) {
+		const cutoutPath = resolveStoragePath(paths.noBackground, candidate);
+		try {
+			await fs.access(cutoutPath);
+			return cutoutPath;
+		} catch (error) {
+			// Try the next candidate
+		}
+	}
+	return null;
+}
+
+export default {
+	DEFAULT_WORKSPACE,
+	isValidWorkspaceName,
+	workspaceRoot,
+	getWorkspace,
+	findWorkspaceImage,
+	findProductCutout,
+};